@@ -0,0 +1,58 @@
+/**
+ * Consent banner JavaScript functionality
+ * Asks once whether analytics may run and remembers the answer in localStorage;
+ * the inline counter snippet (blocks/metrika) reads the same key on every page
+ */
+
+(function() {
+    'use strict';
+
+    var block = document.querySelector('.consent');
+
+    if (!block) {
+        return;
+    }
+
+    var STORAGE_KEY = 'analytics-consent';
+
+    /**
+     * Stored choice ("granted", "denied") or null
+     */
+    function read() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the choice and close the banner
+     */
+    function choose(value) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, value);
+        } catch (error) {
+            // Private mode: the banner shows again on the next page
+        }
+
+        block.hidden = true;
+
+        if (value === 'granted' && window.startAnalytics) {
+            window.startAnalytics();
+        }
+    }
+
+    if (read()) {
+        return;
+    }
+
+    block.hidden = false;
+
+    block.querySelector('.consent__button_action_accept').addEventListener('click', function() {
+        choose('granted');
+    });
+    block.querySelector('.consent__button_action_decline').addEventListener('click', function() {
+        choose('denied');
+    });
+})();
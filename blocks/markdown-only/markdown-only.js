@@ -0,0 +1,127 @@
+/**
+ * Conditional content JavaScript functionality
+ * Shows the "my car" filter of pages with ::: only / {only ...} content and hides
+ * content for other models and years; the car is remembered in localStorage,
+ * so every page opens filtered to it
+ */
+
+(function() {
+    'use strict';
+
+    var filter = document.querySelector('.markdown-only__filter');
+    var items = document.querySelectorAll('.markdown-only');
+
+    if (!filter || items.length === 0) {
+        return;
+    }
+
+    var STORAGE_KEY = 'markdown-only-car';
+    var vocabulary = JSON.parse(filter.getAttribute('data-vocabulary'));
+
+    /**
+     * Stored car { model, year } (empty strings: any)
+     */
+    function read() {
+        try {
+            var car = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+
+            if (car && typeof car === 'object') {
+                return { model: String(car.model || ''), year: String(car.year || '') };
+            }
+        } catch (error) {
+            // Private mode or a broken value: nothing is filtered
+        }
+
+        return { model: '', year: '' };
+    }
+
+    /**
+     * Remember the car for the next pages
+     */
+    function remember(car) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(car));
+        } catch (error) {
+            // Private mode: the filter resets on the next page
+        }
+    }
+
+    /**
+     * Whether content with the data-models and data-years of the element applies to the car
+     */
+    function applies(item, car) {
+        var models = (item.getAttribute('data-models') || '').split(' ').filter(Boolean);
+        var years = (item.getAttribute('data-years') || '').split('-');
+        var year = Number(car.year);
+
+        if (car.model && models.length > 0 && models.indexOf(car.model) === -1) {
+            return false;
+        }
+
+        if (car.year && years[0] && (year < Number(years[0]) || (years[1] && year > Number(years[1])))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Hide the content for other cars
+     */
+    function apply(car) {
+        Array.prototype.forEach.call(items, function(item) {
+            item.hidden = !applies(item, car);
+        });
+    }
+
+    /**
+     * Select with an "any" option and the vocabulary values
+     */
+    function createSelect(label, anyText, options, value) {
+        var select = document.createElement('select');
+
+        select.className = 'markdown-only__select';
+        select.setAttribute('aria-label', label);
+        select.add(new Option(anyText, ''));
+
+        options.forEach(function(option) {
+            select.add(new Option(option.text, option.value));
+        });
+
+        select.value = value;
+
+        // A value that left the vocabulary falls back to "any"
+        if (select.value !== value) {
+            select.value = '';
+        }
+
+        return select;
+    }
+
+    var car = read();
+    var title = document.createElement('span');
+    var modelSelect = createSelect('Модель', 'Все модели', Object.keys(vocabulary.models).map(function(model) {
+        return { value: model, text: vocabulary.models[model] };
+    }), car.model);
+    var yearSelect = createSelect('Год', 'Все годы', vocabulary.years.map(function(year) {
+        return { value: String(year), text: String(year) };
+    }), car.year);
+
+    title.textContent = 'Моя машина:';
+
+    function change() {
+        car = { model: modelSelect.value, year: yearSelect.value };
+        remember(car);
+        apply(car);
+    }
+
+    modelSelect.addEventListener('change', change);
+    yearSelect.addEventListener('change', change);
+
+    filter.appendChild(title);
+    filter.appendChild(modelSelect);
+    filter.appendChild(yearSelect);
+    filter.hidden = false;
+
+    apply({ model: modelSelect.value, year: yearSelect.value });
+})();
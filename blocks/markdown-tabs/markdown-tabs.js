@@ -0,0 +1,181 @@
+/**
+ * Markdown tabs JavaScript functionality
+ * Turns the stacked variant panels of ::: tabs into an accessible tab list,
+ * opens the panel a link points to, and remembers the chosen label in
+ * localStorage so pages with the same variants open on it
+ */
+
+(function() {
+    'use strict';
+
+    var STORAGE_KEY = 'markdown-tabs-label';
+
+    var groups = Array.prototype.map.call(document.querySelectorAll('.markdown-tabs'), function(block) {
+        return { block: block, panels: [], tabs: [] };
+    });
+
+    if (groups.length === 0) {
+        return;
+    }
+
+    /**
+     * Stored label or null
+     */
+    function read() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the label for the next pages
+     */
+    function remember(label) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, label);
+        } catch (error) {
+            // Private mode: the first tab opens on the next page
+        }
+    }
+
+    /**
+     * Label text of a panel
+     */
+    function labelOf(panel) {
+        return panel.firstElementChild.textContent.trim();
+    }
+
+    /**
+     * Show one panel of the group
+     */
+    function select(group, index, focus) {
+        group.tabs.forEach(function(tab, tabIndex) {
+            var selected = tabIndex === index;
+
+            tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+            tab.tabIndex = selected ? 0 : -1;
+            group.panels[tabIndex].hidden = !selected;
+        });
+
+        if (focus) {
+            group.tabs[index].focus();
+        }
+    }
+
+    /**
+     * Show the panel with the label in every group that has it
+     */
+    function selectLabel(label) {
+        groups.forEach(function(group) {
+            var index = group.panels.map(labelOf).indexOf(label);
+
+            if (index !== -1) {
+                select(group, index, false);
+            }
+        });
+    }
+
+    /**
+     * Show the panel that contains the link target (#anchor)
+     */
+    function selectTarget() {
+        var id = decodeURIComponent(window.location.hash.slice(1));
+        var target = id && document.getElementById(id);
+
+        if (!target) {
+            return false;
+        }
+
+        var found = false;
+
+        groups.forEach(function(group) {
+            group.panels.forEach(function(panel, index) {
+                if (panel.contains(target)) {
+                    select(group, index, false);
+                    found = true;
+                }
+            });
+        });
+
+        if (found) {
+            target.scrollIntoView();
+        }
+
+        return found;
+    }
+
+    groups.forEach(function(group) {
+        var list = document.createElement('div');
+
+        list.className = 'markdown-tabs__list';
+        list.setAttribute('role', 'tablist');
+
+        Array.prototype.forEach.call(group.block.children, function(panel) {
+            if (!panel.classList.contains('markdown-tabs__panel')) {
+                return;
+            }
+
+            var tab = document.createElement('button');
+
+            tab.type = 'button';
+            tab.className = 'markdown-tabs__tab';
+            tab.id = panel.id + '-tab';
+            tab.textContent = labelOf(panel);
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', panel.id);
+
+            panel.setAttribute('role', 'tabpanel');
+            panel.setAttribute('aria-labelledby', tab.id);
+            panel.tabIndex = 0;
+
+            group.panels.push(panel);
+            group.tabs.push(tab);
+            list.appendChild(tab);
+        });
+
+        list.addEventListener('click', function(event) {
+            var index = group.tabs.indexOf(event.target.closest('.markdown-tabs__tab'));
+
+            if (index !== -1) {
+                var label = labelOf(group.panels[index]);
+
+                remember(label);
+                selectLabel(label);
+            }
+        });
+
+        list.addEventListener('keydown', function(event) {
+            var index = group.tabs.indexOf(document.activeElement);
+            var count = group.tabs.length;
+            var next = {
+                ArrowLeft: (index - 1 + count) % count,
+                ArrowRight: (index + 1) % count,
+                Home: 0,
+                End: count - 1,
+            }[event.key];
+
+            if (index === -1 || next === undefined) {
+                return;
+            }
+
+            event.preventDefault();
+            remember(labelOf(group.panels[next]));
+            select(group, next, true);
+        });
+
+        group.block.insertBefore(list, group.block.firstChild);
+        group.block.classList.add('markdown-tabs_js');
+        select(group, 0, false);
+    });
+
+    var stored = read();
+
+    if (stored) {
+        selectLabel(stored);
+    }
+
+    selectTarget();
+    window.addEventListener('hashchange', selectTarget);
+})();
@@ -1,30 +1,27 @@
 /**
  * metrika block — port of blocks/metrika/metrika.njk.
  *
- * Emits the Yandex.Metrika inline `<script>` (verbatim) and a `<noscript>`
- * fallback with two `<img>` beacons. The script body is trusted, fixed source,
- * so it rides as a raw node; the noscript carries real BemNode children so the
- * optimizer still applies (boolean attrs, void img, etc.).
+ * Emits the analytics snippet of config/site.json "analytics" (see
+ * lib/build/analytics.js) verbatim. The snippet starts the counter only after
+ * consent (blocks/consent) and nginx allows it by its hash in the
+ * Content-Security-Policy, so it rides as a single raw text node. There is no
+ * noscript beacon: it would count visitors who never gave consent.
  */
 import type { BemNode } from 'nuckty';
 
-/** The metrika `<script>` body — 1:1 with metrika.njk. */
-const METRIKA_SCRIPT =
-    "(function(m,e,t,r,i,k,a){m[i]=m[i]||function(){(m[i].a=m[i].a||[]).push(arguments)};m[i].l=1*new Date();k=e.createElement(t),a=e.getElementsByTagName(t)[0],k.async=1,k.src=r,a.parentNode.insertBefore(k,a)})(window,document,'script','//mc.yandex.ru/metrika/tag.js','ym');ym(108333304,'init',{referrer:document.referrer,url:location.href,accurateTrackBounce:true,trackLinks:true});";
+/** Page fields the block reads — page.analytics is null where analytics is off. */
+interface MetrikaPage {
+    analytics?: { script: string } | null;
+}
+
+/** Build the metrika node tree (the consent-gated script, if analytics is on). */
+export function metrikaNodes(page: MetrikaPage): BemNode[] {
+    if (!page.analytics) {
+        return [];
+    }
 
-/** Build the metrika node tree (script + noscript). */
-export function metrikaNodes(): BemNode[] {
-    return [
-        // Inline analytics script: emitted as raw so the JS body is not escaped
-        // (the renderer escapes string content; trusted source → raw pass-through).
-        { raw: `<script>${METRIKA_SCRIPT}</script>` },
-        {
-            tag: 'noscript',
-            block: 'metrika',
-            content: [
-                { tag: 'img', bem: false, attrs: { src: '//mc.yandex.ru/watch/108333304', alt: '' } },            ],
-        },
-    ];
+    // Raw so the JS body is not escaped and stays byte-identical to the CSP hash
+    return [{ raw: `<script>${page.analytics.script}</script>` }];
 }
 
 export function register(_env: unknown): void {
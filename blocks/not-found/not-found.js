@@ -0,0 +1,153 @@
+/**
+ * Not found block JavaScript functionality
+ * Suggests pages whose URL is closest to the requested one and, while the
+ * reader types a query, pages whose name contains it
+ */
+
+(function() {
+    'use strict';
+
+    var block = document.querySelector('.not-found');
+
+    if (!block) {
+        return;
+    }
+
+    var MAX_SUGGESTIONS = 5;
+    var MAX_MATCHES = 10;
+
+    var pages = JSON.parse(block.querySelector('.not-found__pages').textContent);
+    var input = block.querySelector('.not-found__input');
+    var suggest = block.querySelector('.not-found__suggest');
+    var title = block.querySelector('.not-found__title');
+    var list = block.querySelector('.not-found__list');
+
+    /**
+     * Edit distance between two strings (insertions, deletions, substitutions)
+     */
+    function levenshtein(a, b) {
+        var previous = [];
+        var current;
+        var i;
+        var j;
+
+        for (j = 0; j <= b.length; j++) {
+            previous.push(j);
+        }
+
+        for (i = 1; i <= a.length; i++) {
+            current = [i];
+
+            for (j = 1; j <= b.length; j++) {
+                current.push(Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+                ));
+            }
+
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Last path segment of a URL
+     */
+    function lastSegment(url) {
+        return url.slice(url.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Pages closest to the requested path: by full URL or by the last segment
+     * (a page moved to another section keeps its name)
+     */
+    function findClosest(requested) {
+        var slug = lastSegment(requested);
+        var limit = Math.max(2, Math.floor(slug.length / 2));
+
+        return pages
+            .map(function(page) {
+                return {
+                    page: page,
+                    distance: Math.min(
+                        levenshtein(requested, page[0]),
+                        levenshtein(slug, lastSegment(page[0])) + 1
+                    ),
+                };
+            })
+            .filter(function(item) {
+                return item.distance <= limit;
+            })
+            .sort(function(a, b) {
+                return a.distance - b.distance;
+            })
+            .slice(0, MAX_SUGGESTIONS)
+            .map(function(item) {
+                return item.page;
+            });
+    }
+
+    /**
+     * Pages whose name contains the query
+     */
+    function findByName(query) {
+        var needle = query.toLowerCase();
+
+        return pages
+            .filter(function(page) {
+                return page[1].toLowerCase().indexOf(needle) !== -1;
+            })
+            .slice(0, MAX_MATCHES);
+    }
+
+    /**
+     * Show a list of page links (hidden when empty)
+     */
+    function render(heading, items) {
+        list.textContent = '';
+
+        items.forEach(function(page) {
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+
+            item.className = 'not-found__item';
+            link.className = 'not-found__link';
+            link.href = page[0];
+            link.textContent = page[1];
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        title.textContent = heading;
+        suggest.hidden = items.length === 0;
+    }
+
+    var requested = window.location.pathname.replace(/\/+$/, '').toLowerCase();
+
+    try {
+        requested = decodeURIComponent(requested);
+    } catch (error) {
+        // Keep the encoded path
+    }
+
+    var closest = findClosest(requested);
+
+    function showClosest() {
+        render('Возможно, вы искали:', closest);
+    }
+
+    showClosest();
+
+    input.addEventListener('input', function() {
+        var query = input.value.trim();
+
+        if (query.length < 2) {
+            showClosest();
+            return;
+        }
+
+        render('Найдено на сайте:', findByName(query));
+    });
+})();
@@ -6,5 +6,8 @@ module.exports = [
   'metrika',
   'link-nav',
   'nav-index',
+  'index-cars',
+  'index-partners',
   'footer',
+  'consent',
 ];
@@ -15,11 +15,18 @@ module.exports = [
   'markdown-gallery',
   'markdown-grid',
   'markdown-partner-link',
+  'markdown-callout',
+  'markdown-tabs',
+  'markdown-only',
+  'not-found',
+  'pager',
   'table',
   'text-with-icon',
   'video',
 
+  'toc',
   'aside',
-  'partner-lovto',
+  'partner',
   'footer',
+  'consent',
 ];
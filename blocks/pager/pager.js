@@ -0,0 +1,37 @@
+/**
+ * Article pager block JavaScript functionality
+ * A page shared between sections shows prev/next links of the section
+ * the reader came from (matched against the referrer path)
+ */
+
+(function() {
+    'use strict';
+
+    var contextPagers = document.querySelectorAll('.pager[data-context]');
+
+    if (contextPagers.length === 0 || !document.referrer) {
+        return;
+    }
+
+    var from;
+
+    try {
+        from = new URL(document.referrer);
+    } catch (error) {
+        return;
+    }
+
+    if (from.origin !== window.location.origin) {
+        return;
+    }
+
+    for (var i = 0; i < contextPagers.length; i++) {
+        var context = contextPagers[i].getAttribute('data-context');
+
+        if (from.pathname === context || from.pathname.indexOf(context + '/') === 0) {
+            document.querySelector('.pager:not([data-context])').hidden = true;
+            contextPagers[i].hidden = false;
+            return;
+        }
+    }
+})();
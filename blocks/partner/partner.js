@@ -0,0 +1,79 @@
+/**
+ * Partner banners JavaScript functionality
+ * Shows one placement per page load (round-robin per visitor, so every active
+ * placement gets an even share), hides placements outside their dates, plays
+ * the video once and then reveals the static overlay
+ */
+
+(function() {
+    'use strict';
+
+    var STORAGE_KEY = 'partner-rotation';
+
+    var section = document.querySelector('.aside__partners');
+    var data = section && section.querySelector('.aside__rotation');
+
+    if (!data) {
+        return;
+    }
+
+    var now = Date.now();
+    var active = JSON.parse(data.textContent).filter(function(placement) {
+        return (!placement.from || Date.parse(placement.from) <= now)
+            && (!placement.until || now < Date.parse(placement.until));
+    });
+
+    /**
+     * Next rotation position of this visitor (random without storage)
+     */
+    function nextIndex(count) {
+        var index;
+
+        try {
+            index = (parseInt(window.localStorage.getItem(STORAGE_KEY), 10) + 1) % count;
+
+            if (isNaN(index)) {
+                index = Math.floor(Math.random() * count);
+            }
+            window.localStorage.setItem(STORAGE_KEY, String(index));
+        } catch (error) {
+            index = Math.floor(Math.random() * count);
+        }
+
+        return index;
+    }
+
+    if (active.length === 0) {
+        section.hidden = true;
+        return;
+    }
+
+    var shown = active[nextIndex(active.length)].id;
+
+    Array.prototype.forEach.call(section.querySelectorAll('.partner'), function(block) {
+        var player = block.querySelector('.partner__player');
+
+        block.hidden = block.getAttribute('data-id') !== shown;
+
+        if (!player) {
+            return;
+        }
+
+        if (block.hidden) {
+            player.pause();
+            return;
+        }
+
+        player.addEventListener('ended', function() {
+            block.classList.add('partner_state_ended');
+        });
+        var playing = player.play();
+
+        if (playing && playing.catch) {
+            playing.catch(function() {
+                // Autoplay refused: show the static overlay
+                block.classList.add('partner_state_ended');
+            });
+        }
+    });
+})();
@@ -0,0 +1,40 @@
+/**
+ * Table of contents block JavaScript functionality
+ * Keeps the table of contents open in the desktop sidebar and closes the
+ * mobile panel after a heading is chosen
+ */
+
+(function() {
+    'use strict';
+
+    var toc = document.querySelector('.toc');
+
+    if (!toc) {
+        return;
+    }
+
+    var desktop = window.matchMedia('(min-width: 80rem)');
+
+    /**
+     * Open on desktop, collapse on smaller screens
+     */
+    function syncOpenState() {
+        toc.open = desktop.matches;
+    }
+
+    syncOpenState();
+    desktop.addEventListener('change', syncOpenState);
+
+    // Keep the sidebar open: the summary is only a heading on desktop
+    toc.querySelector('.toc__title').addEventListener('click', function(event) {
+        if (desktop.matches) {
+            event.preventDefault();
+        }
+    });
+
+    toc.addEventListener('click', function(event) {
+        if (!desktop.matches && event.target.closest('.toc__link')) {
+            toc.open = false;
+        }
+    });
+})();
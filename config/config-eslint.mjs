@@ -53,7 +53,6 @@ export default [
             'site/**',
             'external/**',
             'config/config-eslint.mjs',
-            'config/sitemap.yml', // Exclude sitemap.yml from YAML linting due to custom format
         ],
     },
 ];
@@ -0,0 +1,151 @@
+/**
+ * Analytics
+ *
+ * Responsibilities:
+ * - Read the analytics settings of config/site.json
+ * - Decide whether analytics is on for the build environment (SITE_ENV, CI)
+ * - Build the inline counter snippet, started only after consent (see blocks/consent)
+ * - Build the Content-Security-Policy that allows the snippet by its hash
+ *
+ * Format (config/site.json):
+ *
+ *   "analytics": {
+ *       "provider": "yandex-metrika",
+ *       "counterId": 108333304,
+ *       "environments": ["production"]
+ *   }
+ *
+ * Dependencies: Node.js built-ins
+ *
+ * @module build/analytics
+ */
+
+const crypto = require('crypto');
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * localStorage key of the visitor's choice ("granted" or "denied"), shared with consent.js
+ */
+const CONSENT_KEY = 'analytics-consent';
+
+/**
+ * Supported providers: counter code (runs after consent) and the script hosts it loads from
+ */
+const PROVIDERS = {
+    'yandex-metrika': {
+        code: (counterId) => (
+            '(function(m,e,t,r,i,k,a){m[i]=m[i]||function(){(m[i].a=m[i].a||[]).push(arguments)};' +
+            'm[i].l=1*new Date();k=e.createElement(t),a=e.getElementsByTagName(t)[0],k.async=1,k.src=r,' +
+            'a.parentNode.insertBefore(k,a)})(window,document,\'script\',\'//mc.yandex.ru/metrika/tag.js\',\'ym\');' +
+            `ym(${counterId},'init',{referrer:document.referrer,url:location.href,accurateTrackBounce:true,` +
+            'trackLinks:true});'
+        ),
+        scriptSources: ['https://mc.yandex.ru', 'https://yastatic.net'],
+    },
+};
+
+/**
+ * Analytics Config
+ *
+ * Loads config/site.json analytics settings and builds the snippet and CSP
+ */
+class Analytics {
+    /**
+     * Load and validate the analytics settings
+     * @param {string} filePath - Path to site.json
+     * @returns {Object|null} { provider, counterId, environments }, null if not configured
+     * @throws {Error} "site.json: analytics.<key> ..." on invalid settings
+     */
+    static load(filePath) {
+        if (!fsSync.existsSync(filePath)) {
+            return null;
+        }
+
+        const { analytics } = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+
+        if (!analytics) {
+            return null;
+        }
+
+        const name = path.basename(filePath);
+
+        if (!PROVIDERS[analytics.provider]) {
+            const providers = Object.keys(PROVIDERS).join(', ');
+            throw new Error(`${name}: analytics.provider "${analytics.provider}" is not one of ${providers}`);
+        }
+
+        if (!Number.isInteger(analytics.counterId) || analytics.counterId <= 0) {
+            throw new Error(`${name}: analytics.counterId must be a positive integer`);
+        }
+
+        if (!Array.isArray(analytics.environments)
+            || !analytics.environments.every((environment) => typeof environment === 'string')) {
+            throw new Error(`${name}: analytics.environments must be a list of environment names`);
+        }
+
+        return analytics;
+    }
+
+    /**
+     * Name of the build environment
+     * SITE_ENV wins; CI builds are production, everything else (npm start) is development.
+     * @param {Object} [env=process.env] - Environment variables
+     * @returns {string} Environment name
+     */
+    static environment(env = process.env) {
+        return env.SITE_ENV || (env.CI === 'true' ? 'production' : 'development');
+    }
+
+    /**
+     * Settings to use in this build
+     * @param {Object|null} config - Settings from load()
+     * @param {string} [environment=Analytics.environment()] - Build environment
+     * @returns {Object|null} The settings, null if analytics is off in the environment
+     */
+    static resolve(config, environment = Analytics.environment()) {
+        return config && config.environments.includes(environment) ? config : null;
+    }
+
+    /**
+     * Inline snippet: defines window.startAnalytics() and runs it if the visitor has agreed
+     * The text is fixed per counter, so the CSP allows it by hash.
+     * @param {Object} config - Resolved settings
+     * @returns {string} Script text (without the <script> element)
+     */
+    static snippet(config) {
+        return '(function(w){w.startAnalytics=function(){w.startAnalytics=function(){};' +
+            `${PROVIDERS[config.provider].code(config.counterId)}};` +
+            `try{if(localStorage.getItem('${CONSENT_KEY}')==='granted')w.startAnalytics()}catch(e){}})(window);`;
+    }
+
+    /**
+     * CSP source expression of an inline script
+     * @param {string} script - Script text
+     * @returns {string} 'sha256-...'
+     */
+    static hash(script) {
+        return `'sha256-${crypto.createHash('sha256').update(script, 'utf8').digest('base64')}'`;
+    }
+
+    /**
+     * Content-Security-Policy of HTML pages
+     * Inline scripts are allowed by hash only (never 'unsafe-inline'); JSON data blocks are not executed.
+     * @param {Object|null} config - Resolved settings (null without analytics)
+     * @returns {string} Header value
+     */
+    static csp(config) {
+        const scriptSrc = ['\'self\''];
+
+        if (config) {
+            scriptSrc.push(Analytics.hash(Analytics.snippet(config)), ...PROVIDERS[config.provider].scriptSources);
+        }
+
+        return `script-src ${scriptSrc.join(' ')}; object-src 'none'; base-uri 'self'`;
+    }
+}
+
+module.exports = {
+    Analytics,
+    CONSENT_KEY,
+};
@@ -0,0 +1,166 @@
+/**
+ * Applicability
+ *
+ * Responsibilities:
+ * - Build the vocabulary of car models and model years from sitemap sections
+ * - Parse and validate conditions of ::: only blocks and {only ...} inline spans
+ * - Format condition badges and the data attributes of the client-side "my car" filter
+ *
+ * Format:
+ *
+ *   site.json: "models": ["free", "dreamer", "passion"]   # top-level sitemap sections that are car models
+ *
+ *   Vocabulary:
+ *     models: section URL slug -> section name (/free -> Free)
+ *     years:  four-digit page slugs under the model sections (/free/firmware/2024 -> 2024)
+ *
+ *   Condition (words separated by spaces):
+ *     free dreamer   # any of the models (none: every model)
+ *     2024           # one model year
+ *     2024+          # this year and later
+ *     2021-2023      # years from - to (inclusive)
+ *
+ * Dependencies: none
+ *
+ * @module build/applicability
+ */
+
+/**
+ * Model year page slug
+ */
+const YEAR_REGEX = /^\d{4}$/;
+
+/**
+ * Year word of a condition: 2024, 2024+ or 2021-2023
+ */
+const YEARS_REGEX = /^(\d{4})(?:(\+)|[-–](\d{4}))?$/;
+
+/**
+ * Applicability
+ *
+ * Vocabulary and conditions of model- and year-specific content
+ */
+class Applicability {
+    /**
+     * Build the vocabulary from the page records of the sitemap
+     * Models without a top-level section are left out, so conditions naming them fail.
+     * @param {Object} pages - Page records keyed by URL (SitemapBuilder.processSitemap)
+     * @param {Array<string>} models - Model section slugs (site.json models)
+     * @returns {{models: Object, years: Array<number>}} Model slug to name, sorted years
+     */
+    static fromPages(pages, models) {
+        const vocabulary = { models: {}, years: [] };
+        const years = new Set();
+
+        models.filter((model) => pages[`/${model}`]).forEach((model) => {
+            vocabulary.models[model] = pages[`/${model}`].name;
+
+            Object.keys(pages)
+                .filter((url) => url.startsWith(`/${model}/`))
+                .map((url) => url.split('/').pop())
+                .filter((slug) => YEAR_REGEX.test(slug))
+                .forEach((slug) => years.add(Number(slug)));
+        });
+
+        vocabulary.years = [...years].sort((a, b) => a - b);
+
+        return vocabulary;
+    }
+
+    /**
+     * Parse a condition
+     * Without a vocabulary only the syntax is checked.
+     * @param {string} text - Condition, e.g. "free 2024+"
+     * @param {Object} [vocabulary] - Vocabulary from fromPages()
+     * @returns {{models: Array<string>, from: number|null, to: number|null}} Models and inclusive year range
+     * @throws {Error} On unknown models or years, several year words or an empty condition
+     */
+    static parse(text, vocabulary = null) {
+        const condition = { models: [], from: null, to: null };
+        const words = (text || '').split(/[\s,]+/).filter(Boolean);
+
+        if (words.length === 0) {
+            throw new Error('needs a model or a year');
+        }
+
+        words.forEach((word) => {
+            const years = word.match(YEARS_REGEX);
+
+            if (!years) {
+                const model = word.toLowerCase();
+
+                if (vocabulary && !vocabulary.models[model]) {
+                    const known = Object.keys(vocabulary.models).join(', ');
+                    throw new Error(`unknown model "${word}" (known: ${known || 'none'})`);
+                }
+
+                condition.models.push(model);
+                return;
+            }
+
+            if (condition.from !== null) {
+                throw new Error(`"${word}": only one year or year range is allowed`);
+            }
+
+            const from = Number(years[1]);
+            const to = years[2] ? null : Number(years[3] || years[1]);
+
+            [from, to].filter((year) => year !== null).forEach((year) => {
+                if (vocabulary && !vocabulary.years.includes(year)) {
+                    throw new Error(`unknown year ${year} (known: ${vocabulary.years.join(', ') || 'none'})`);
+                }
+            });
+
+            if (to !== null && to < from) {
+                throw new Error(`"${word}": the range ends before it starts`);
+            }
+
+            condition.from = from;
+            condition.to = to;
+        });
+
+        return condition;
+    }
+
+    /**
+     * Badge text of a condition, e.g. "Free, Dreamer · 2024+"
+     * @param {Object} condition - Result of parse()
+     * @param {Object} [vocabulary] - Vocabulary with model names (slugs are shown without it)
+     * @returns {string} Badge text
+     */
+    static label(condition, vocabulary = null) {
+        const parts = [];
+
+        if (condition.models.length > 0) {
+            parts.push(condition.models
+                .map((model) => (vocabulary && vocabulary.models[model]) || model)
+                .join(', '));
+        }
+
+        if (condition.from !== null) {
+            if (condition.to === null) {
+                parts.push(`${condition.from}+`);
+            } else {
+                parts.push(condition.to === condition.from ? `${condition.from}` : `${condition.from}–${condition.to}`);
+            }
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Data attributes the client-side filter matches the chosen car against
+     * @param {Object} condition - Result of parse()
+     * @returns {{models: string, years: string}} Space-separated models, "from-to" years (open ends are empty)
+     */
+    static dataAttributes(condition) {
+        return {
+            models: condition.models.join(' '),
+            years: condition.from === null ? '' : `${condition.from}-${condition.to === null ? '' : condition.to}`,
+        };
+    }
+}
+
+module.exports = {
+    Applicability,
+};
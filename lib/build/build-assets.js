@@ -19,6 +19,7 @@ const { Dir } = require('../utils/dir');
 const { Stats } = require('./stats');
 const { Timestamp } = require('./timestamp');
 const { generateHash } = require('../utils/hash');
+const { SITE } = require('./constants');
 
 /**
  * Assets Build Script
@@ -35,22 +36,13 @@ class AssetsBuilder {
         this.projectRoot = dir.getRoot();
         this.siteDir = dir.getSite();
         this.ASSETS_DIR = path.resolve(this.projectRoot, '.assets');
-        this.CONFIG_DIR = path.resolve(this.projectRoot, 'config');
-
-        this.SOURCE_REPOS = [
-            {
-                name: 'voyahchat-install',
-                path: path.resolve(this.projectRoot, 'external/voyahchat-install'),
-            },
-            {
-                name: 'voyahchat-docs',
-                path: path.resolve(this.projectRoot, 'external/voyahchat-docs'),
-            },
-            {
-                name: 'voyahchat-content',
-                path: path.resolve(this.projectRoot, 'external/voyahchat-content'),
-            },
-        ];
+        this.CONFIG_DIR = dir.getConfig();
+
+        // Asset repositories and the content repository of config/site.json
+        this.SOURCE_REPOS = [...SITE.assetRepos, SITE.contentRepo].map((name) => ({
+            name,
+            path: path.resolve(this.projectRoot, 'external', name),
+        }));
 
         this.missingRepos = [];
     }
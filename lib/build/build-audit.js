@@ -0,0 +1,356 @@
+/**
+ * Build Script: Content Audit
+ *
+ * Responsibilities:
+ * - Find markdown files in the content repository that no sitemap.yml entry uses (orphan pages)
+ * - Find images (image-mapping.json), zip/pdf/ini assets and videos that no page, block
+ *   or template references
+ * - Find references in rendered pages to files the build does not produce
+ * - Compare orphans with config/audit-baseline.json and fail on new ones (--fail-on-new)
+ *
+ * Runs after build:sitemap; reads the mappings written by build:images and build:assets.
+ *
+ * Dependencies: None (uses Node.js built-ins)
+ * Output: .build/audit.json, config/audit-baseline.json (--update-baseline)
+ *
+ * @module build/build-audit
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { Dir } = require('../utils/dir');
+const levels = require(path.join(Dir.getConfig(), 'levels.json'));
+const { AssetsBuilder } = require('./build-assets');
+const { SITE } = require('./constants');
+
+/**
+ * Report sections compared with the baseline
+ */
+const ORPHAN_SECTIONS = ['orphanPages', 'unreferencedImages', 'unreferencedAssets'];
+
+/**
+ * Markdown files that are repository documentation, not pages
+ */
+const IGNORED_MARKDOWN = new Set(['README.md', 'LICENSE.md', 'CHANGELOG.md']);
+
+/**
+ * Source files of blocks and templates that may reference images
+ */
+const SOURCE_EXTENSIONS = new Set(['.css', '.njk', '.js']);
+
+/**
+ * Content Audit Script
+ *
+ * Cross-references the content tree, sitemap mappings and asset lists
+ * - Reads .build/sitemap.json, .build/image-mapping.json, .build/hash-video.json
+ * - Outputs a report of orphan pages, unreferenced files and missing references
+ */
+class AuditBuilder {
+    constructor(options = {}, dir = Dir) {
+        this.options = options;
+        this.dir = dir;
+    }
+
+    /**
+     * Recursively list files of a directory (.git and node_modules are skipped)
+     * @param {string} dirPath - Directory to scan
+     * @param {Function} filter - Called with the file name, keeps the file if true
+     * @param {string} [basePath=dirPath] - Base for relative paths
+     * @returns {string[]} Relative paths with forward slashes, sorted
+     */
+    static listFiles(dirPath, filter, basePath = dirPath) {
+        if (!fsSync.existsSync(dirPath)) {
+            return [];
+        }
+
+        const files = [];
+
+        fsSync.readdirSync(dirPath, { withFileTypes: true }).forEach((entry) => {
+            const fullPath = path.join(dirPath, entry.name);
+
+            if (entry.isDirectory()) {
+                if (entry.name !== '.git' && entry.name !== 'node_modules') {
+                    files.push(...AuditBuilder.listFiles(fullPath, filter, basePath));
+                }
+            } else if (entry.isFile() && filter(entry.name)) {
+                files.push(path.relative(basePath, fullPath).split(path.sep).join('/'));
+            }
+        });
+
+        return files.sort();
+    }
+
+    /**
+     * Find markdown files not used by any sitemap.yml entry
+     * @param {string[]} markdownFiles - Markdown files relative to the content directory
+     * @param {Object} md2url - Markdown file to URL mapping from sitemap.json
+     * @param {string[]} [unpublishedFiles=[]] - Files of drafts and scheduled pages (sitemap.json)
+     * @returns {string[]} Orphan markdown files
+     */
+    static findOrphanPages(markdownFiles, md2url, unpublishedFiles = []) {
+        const unpublished = new Set(unpublishedFiles);
+
+        return markdownFiles.filter((file) => (
+            !md2url[file] && !unpublished.has(file) && !IGNORED_MARKDOWN.has(path.basename(file))
+        ));
+    }
+
+    /**
+     * Find images whose hashed name or file name appears nowhere in the corpus
+     * @param {Object} imageMapping - Relative image path to hashed file name
+     * @param {string} corpus - Rendered pages and block/template sources
+     * @returns {string[]} Unreferenced images (relative paths)
+     */
+    static findUnreferencedImages(imageMapping, corpus) {
+        return Object.entries(imageMapping)
+            .filter(([imagePath, hashedFilename]) => {
+                const hash = path.basename(hashedFilename, path.extname(hashedFilename));
+
+                return !corpus.includes(hash) && !corpus.includes(path.basename(imagePath));
+            })
+            .map(([imagePath]) => imagePath)
+            .sort();
+    }
+
+    /**
+     * Find assets (zip/pdf/ini, videos) whose public name appears nowhere in the corpus
+     * @param {Array<{name: string, publicName: string}>} assets - Source name and name in site/
+     * @param {string} corpus - Rendered pages and block/template sources
+     * @returns {string[]} Unreferenced asset names
+     */
+    static findUnreferencedAssets(assets, corpus) {
+        return assets
+            .filter(({ name, publicName }) => !corpus.includes(`/${publicName}`) && !corpus.includes(name))
+            .map(({ name }) => name)
+            .sort();
+    }
+
+    /**
+     * Extract local file references (src/href with a file extension) from HTML
+     * @param {string} html - Rendered page HTML (quoted or unquoted attributes)
+     * @returns {string[]} Referenced paths without query and fragment
+     */
+    static extractFileReferences(html) {
+        const references = new Set();
+        const attrRegex = /\s(?:src|href)=(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+        let match;
+
+        while ((match = attrRegex.exec(html)) !== null) {
+            const value = (match[1] ?? match[2] ?? match[3]).split(/[?#]/)[0];
+            const isExternal = /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value);
+            const isFile = path.extname(value) !== '' || /^\/_i[a-f0-9]{16}$/.test(value);
+
+            if (value && !isExternal && isFile) {
+                references.add(value);
+            }
+        }
+
+        return [...references];
+    }
+
+    /**
+     * Find page references to files the build does not produce
+     * @param {Object} pages - Pages from sitemap.json (with html)
+     * @param {Set<string>} knownFiles - Public file names (without leading slash)
+     * @returns {Array<{url: string, ref: string}>} Missing references
+     */
+    static findMissingReferences(pages, knownFiles) {
+        const missing = [];
+
+        Object.entries(pages).forEach(([url, pageData]) => {
+            AuditBuilder.extractFileReferences(pageData.html || '').forEach((ref) => {
+                // Page URLs may contain dots (e.g. /free/v2.1)
+                if (!pages[ref] && !knownFiles.has(ref.replace(/^\/+/, ''))) {
+                    missing.push({ url, ref });
+                }
+            });
+        });
+
+        return missing;
+    }
+
+    /**
+     * Find orphans that are not listed in the baseline
+     * @param {Object} report - Audit report
+     * @param {Object} baseline - Accepted orphans by section
+     * @returns {Object} New orphans by section (sections without new entries are omitted)
+     */
+    static findNewOrphans(report, baseline) {
+        const newOrphans = {};
+
+        ORPHAN_SECTIONS.forEach((section) => {
+            const accepted = new Set(baseline[section] || []);
+            const added = report[section].filter((item) => !accepted.has(item));
+
+            if (added.length > 0) {
+                newOrphans[section] = added;
+            }
+        });
+
+        return newOrphans;
+    }
+
+    /**
+     * Format the report for the console
+     * @param {Object} report - Audit report
+     * @returns {string} Human-readable report
+     */
+    static formatReport(report) {
+        const lines = [];
+        const section = (title, items) => {
+            lines.push(`${title}: ${items.length}`);
+            items.forEach((item) => lines.push(`  ${item}`));
+        };
+
+        section('Orphan pages', report.orphanPages);
+        section('Unreferenced images', report.unreferencedImages);
+        section('Unreferenced assets', report.unreferencedAssets);
+        section('Missing references', report.missingReferences.map(({ url, ref }) => `${url}: ${ref}`));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Read a JSON file from the build directory
+     * @param {string} filename - File name in .build/
+     * @param {*} fallback - Value returned if the file does not exist
+     * @returns {Promise<*>} Parsed JSON
+     */
+    async readBuildJson(filename, fallback) {
+        const filePath = path.join(this.dir.getBuild(), filename);
+
+        if (!fsSync.existsSync(filePath)) {
+            return fallback;
+        }
+
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    }
+
+    /**
+     * Build the audit report with the current options
+     * @returns {Promise<Object>} Report: orphanPages, unreferencedImages, unreferencedAssets, missingReferences
+     * @throws {Error} If sitemap.json is missing, or on new orphans with failOnNew
+     */
+    async build() {
+        try {
+            const projectRoot = this.dir.getRoot();
+            const contentDir = path.join(projectRoot, 'external', SITE.contentRepo);
+            const baselinePath = this.options.baselinePath || path.join(this.dir.getConfig(), 'audit-baseline.json');
+
+            const sitemap = await this.readBuildJson('sitemap.json', null);
+            if (!sitemap) {
+                throw new Error('.build/sitemap.json not found, run build:sitemap first');
+            }
+
+            // Error pages (404.md etc.) are rendered outside navigation but are content pages too
+            const pages = {
+                ...sitemap.pages,
+                ...Object.fromEntries(Object.values(sitemap.errorPages || {}).map((pageData) => (
+                    [pageData.url, pageData]
+                ))),
+            };
+            const md2url = {
+                ...sitemap.md2url,
+                ...Object.fromEntries(Object.values(sitemap.errorPages || {})
+                    .filter((pageData) => pageData.file)
+                    .map((pageData) => [pageData.file, pageData.url])),
+            };
+
+            const imageMapping = await this.readBuildJson('image-mapping.json', {});
+            const videoMapping = await this.readBuildJson('hash-video.json', {});
+
+            const assetsBuilder = new AssetsBuilder({}, this.dir);
+            const assetFiles = [];
+            for (const repo of assetsBuilder.SOURCE_REPOS) {
+                assetFiles.push(...await assetsBuilder.findAssetFiles(repo.path));
+            }
+            const assets = [
+                ...assetFiles.map(({ filename }) => ({ name: filename, publicName: filename })),
+                ...Object.entries(videoMapping).map(([name, publicName]) => ({ name, publicName })),
+            ];
+
+            // Everything a deployed file can be referenced from
+            const sources = levels
+                .map((level) => path.join(projectRoot, level))
+                .filter((levelDir) => !levelDir.startsWith(contentDir))
+                .flatMap((levelDir) => AuditBuilder.listFiles(levelDir, (name) => (
+                    SOURCE_EXTENSIONS.has(path.extname(name))
+                )).map((file) => fsSync.readFileSync(path.join(levelDir, file), 'utf8')));
+            // Partner images and videos are referenced from config/partners.yml only
+            const partnersPath = path.join(this.dir.getConfig(), 'partners.yml');
+            const corpus = [
+                ...Object.values(pages).map((pageData) => pageData.html || ''),
+                ...sources,
+                fsSync.existsSync(partnersPath) ? fsSync.readFileSync(partnersPath, 'utf8') : '',
+            ].join('\n');
+
+            const knownFiles = new Set([
+                ...Object.values(imageMapping),
+                ...Object.values(imageMapping).map((name) => `_i${path.basename(name, path.extname(name))}`),
+                ...assets.map(({ publicName }) => publicName),
+                ...AuditBuilder.listFiles(this.dir.getSite(), () => true),
+            ]);
+
+            const markdownFiles = AuditBuilder.listFiles(contentDir, (name) => name.endsWith('.md'));
+            const report = {
+                orphanPages: AuditBuilder.findOrphanPages(markdownFiles, md2url, sitemap.unpublishedFiles),
+                unreferencedImages: AuditBuilder.findUnreferencedImages(imageMapping, corpus),
+                unreferencedAssets: AuditBuilder.findUnreferencedAssets(assets, corpus),
+                missingReferences: AuditBuilder.findMissingReferences(pages, knownFiles),
+            };
+
+            if (!this.options.skipWrite) {
+                await this.dir.ensure(this.dir.getBuild());
+                await fs.writeFile(
+                    path.join(this.dir.getBuild(), 'audit.json'),
+                    JSON.stringify(report, null, 4),
+                    'utf8',
+                );
+            }
+
+            if (this.options.updateBaseline) {
+                const baseline = Object.fromEntries(ORPHAN_SECTIONS.map((section) => [section, report[section]]));
+                await fs.writeFile(baselinePath, `${JSON.stringify(baseline, null, 4)}\n`, 'utf8');
+            }
+
+            if (this.options.failOnNew) {
+                const baseline = fsSync.existsSync(baselinePath)
+                    ? JSON.parse(await fs.readFile(baselinePath, 'utf8'))
+                    : {};
+                const newOrphans = AuditBuilder.findNewOrphans(report, baseline);
+
+                if (Object.keys(newOrphans).length > 0) {
+                    const list = Object.values(newOrphans).flat().join('\n  ');
+                    throw new Error(
+                        'new orphans not listed in config/audit-baseline.json ' +
+                        `(reference them, remove them or run with --update-baseline):\n  ${list}`,
+                    );
+                }
+            }
+
+            return report;
+        } catch (error) {
+            throw new Error(`Content audit failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    AuditBuilder,
+};
+
+// Only run if called directly (not when imported for testing)
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const builder = new AuditBuilder({
+        failOnNew: args.includes('--fail-on-new'),
+        updateBaseline: args.includes('--update-baseline'),
+    });
+    builder.build()
+        .then((report) => console.log(AuditBuilder.formatReport(report)))
+        .catch((error) => {
+            console.error('Error:', error.message);
+            process.exit(1);
+        });
+}
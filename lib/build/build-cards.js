@@ -0,0 +1,302 @@
+/**
+ * Build Script: Social Cards
+ *
+ * Responsibilities:
+ * - Render a 1200×630 PNG preview card per page: site logo, page name,
+ *   breadcrumb trail and section colour
+ * - Compose cards as SVG and rasterize them with resvg (no browser)
+ * - Store cards the way ImageBuilder stores images: site/png/{hash}.png, referenced as _i{hash}
+ * - Reuse cards rendered from the same input text (.cache/cards/, kept by `npm run clean`)
+ *
+ * Runs after build:sitemap; HTMLBuilder uses a page's card as og:image when the page has no image.
+ *
+ * Dependencies: @resvg/resvg-js
+ * Output: site/png/{hash}.png, .build/hash-cards.json, .build/build-cards.json
+ *
+ * @module build/build-cards
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { Dir } = require('../utils/dir');
+const { generateHash } = require('../utils/hash');
+const { Stats } = require('./stats');
+const { Timestamp } = require('./timestamp');
+const { getSitemap } = require('../test/utils');
+
+/**
+ * Card size recommended for og:image and twitter:card summary_large_image
+ */
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+/**
+ * Background colour of each top-level section (site colour for others)
+ */
+const SECTION_COLORS = {
+    free: '#0b4f6c',
+    dreamer: '#4a3473',
+    passion: '#7a2632',
+    common: '#052433',
+    help: '#245c3a',
+    partners: '#6b4a12',
+};
+const DEFAULT_COLOR = '#052433';
+
+/**
+ * Fonts with Cyrillic glyphs, in order of preference (resolved from system fonts)
+ */
+const FONT_FAMILY = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+
+/**
+ * Page name layout for each font size, largest first
+ * (bold DejaVu Sans is about 0.7em wide per letter, the text area is 1040px wide)
+ */
+const NAME_SIZES = [
+    { fontSize: 80, maxChars: 18, lineHeight: 92 },
+    { fontSize: 64, maxChars: 23, lineHeight: 74 },
+    { fontSize: 52, maxChars: 28, lineHeight: 62 },
+];
+const NAME_MAX_LINES = 3;
+const TRAIL_MAX_CHARS = 60;
+
+/**
+ * Social Cards Build Script
+ *
+ * Generates link preview images for all pages
+ * - Reads .build/sitemap.json and blocks/logo/logo.svg
+ * - Outputs PNG cards and the page URL to card reference mapping
+ */
+class CardBuilder {
+    constructor(options = {}, dir = Dir) {
+        this.options = options;
+        this.dir = dir;
+    }
+
+    /**
+     * Escape text for SVG content
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Wrap text on word boundaries
+     * Words longer than a line are cut; text beyond maxLines ends with an ellipsis.
+     * @param {string} text - Text to wrap
+     * @param {number} maxChars - Characters per line
+     * @param {number} maxLines - Maximum number of lines
+     * @returns {string[]} Lines
+     */
+    static wrapText(text, maxChars, maxLines) {
+        const lines = [];
+        let line = '';
+
+        text.split(/\s+/).filter(Boolean).forEach((word) => {
+            if (line && line.length + 1 + word.length > maxChars) {
+                lines.push(line);
+                line = '';
+            }
+            line = line ? `${line} ${word}` : word;
+
+            while (line.length > maxChars) {
+                lines.push(line.slice(0, maxChars));
+                line = line.slice(maxChars);
+            }
+        });
+
+        if (line) {
+            lines.push(line);
+        }
+
+        if (lines.length > maxLines) {
+            const last = lines[maxLines - 1];
+            lines.length = maxLines;
+            lines[maxLines - 1] = `${last.slice(0, maxChars - 1).trimEnd()}…`;
+        }
+
+        return lines;
+    }
+
+    /**
+     * Collect the text and colour shown on a page card
+     * @param {Object} pageData - Page record from sitemap.json
+     * @param {Object} pages - All page records by URL
+     * @returns {{name: string, trail: string[], color: string}} Card input
+     */
+    static getCardInput(pageData, pages) {
+        const rootPage = pages['/'];
+
+        return {
+            name: pageData.name,
+            trail: [
+                ...(rootPage && pageData.url !== '/' ? [rootPage.name] : []),
+                ...(pageData.breadcrumbs || []).filter((url) => pages[url]).map((url) => pages[url].name),
+            ],
+            color: SECTION_COLORS[pageData.section] || DEFAULT_COLOR,
+        };
+    }
+
+    /**
+     * Compose the card SVG
+     * @param {{name: string, trail: string[], color: string}} input - Card input
+     * @param {string} logoSvg - Content of blocks/logo/logo.svg
+     * @returns {string} SVG document
+     */
+    static renderSvg(input, logoSvg) {
+        const viewBox = (/viewBox="([^"]+)"/.exec(logoSvg) || [])[1];
+        const logoContent = logoSvg.replace(/^[\s\S]*?<svg\b[^>]*>/, '').replace(/<\/svg>\s*$/, '');
+        const trail = input.trail.join(' › ');
+
+        const size = NAME_SIZES.find(({ maxChars }) => (
+            CardBuilder.wrapText(input.name, maxChars, Infinity).length <= NAME_MAX_LINES
+        )) || NAME_SIZES[NAME_SIZES.length - 1];
+        const lines = CardBuilder.wrapText(input.name, size.maxChars, NAME_MAX_LINES);
+        const firstLineY = CARD_HEIGHT - 110 - (lines.length - 1) * size.lineHeight;
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" `
+                + `viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">`,
+            `<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${input.color}"/>`,
+            `<rect y="${CARD_HEIGHT - 24}" width="${CARD_WIDTH}" height="24" fill="#000" fill-opacity="0.25"/>`,
+            `<svg x="80" y="64" width="84" height="120" viewBox="${viewBox}" fill="#fff">${logoContent}</svg>`,
+            trail
+                ? `<text x="196" y="136" font-family="${FONT_FAMILY}" font-size="32" fill="#fff" fill-opacity="0.75">`
+                    + `${CardBuilder.escapeXml(CardBuilder.wrapText(trail, TRAIL_MAX_CHARS, 1)[0])}</text>`
+                : '',
+            ...lines.map((line, i) => (
+                `<text x="80" y="${firstLineY + i * size.lineHeight}" font-family="${FONT_FAMILY}" `
+                    + `font-size="${size.fontSize}" font-weight="bold" fill="#fff">`
+                    + `${CardBuilder.escapeXml(line)}</text>`
+            )),
+            '</svg>',
+        ].join('');
+    }
+
+    /**
+     * Rasterize a card SVG
+     * @param {string} svg - SVG document
+     * @returns {Buffer} PNG image
+     */
+    static renderPng(svg) {
+        const resvg = new Resvg(svg, {
+            fitTo: { mode: 'width', value: CARD_WIDTH },
+            font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' },
+        });
+
+        return resvg.render().asPng();
+    }
+
+    /**
+     * Build cards for all pages
+     * @returns {Promise<Object>} { cards: page URL to _i{hash}, hits, misses }
+     * @throws {Error} If the logo is missing or a card cannot be rendered
+     */
+    async build() {
+        try {
+            const sitemap = this.options.sitemap || getSitemap(this.dir);
+            const logoPath = this.options.logoPath || path.join(this.dir.getRoot(), 'blocks', 'logo', 'logo.svg');
+
+            if (!fsSync.existsSync(logoPath)) {
+                throw new Error(`logo not found: ${logoPath}`);
+            }
+
+            const logoSvg = await fs.readFile(logoPath, 'utf8');
+            const cacheDir = path.join(this.dir.getCache(), 'cards');
+            const outputDir = path.join(this.dir.getSite(), 'png');
+            // Card text comes from page names in sitemap.yml
+            const sourcePath = path.join(this.dir.getConfig(), 'sitemap.yml');
+            const stats = new Stats('build-cards.json', this.dir.getBuild());
+
+            // Cards change with the input text, the logo and this script (layout)
+            const version = generateHash(logoSvg + fsSync.readFileSync(__filename, 'utf8'));
+            const cards = {};
+            const usedKeys = new Set();
+            let hits = 0;
+            let misses = 0;
+
+            if (!this.options.skipWrite) {
+                await this.dir.ensure(cacheDir);
+                await this.dir.ensure(outputDir);
+            }
+
+            for (const [url, pageData] of Object.entries(sitemap.pages)) {
+                const input = CardBuilder.getCardInput(pageData, sitemap.pages);
+                const key = generateHash(`${version}\0${JSON.stringify(input)}`);
+                const cachePath = path.join(cacheDir, `${key}.png`);
+                let png;
+
+                if (fsSync.existsSync(cachePath)) {
+                    png = await fs.readFile(cachePath);
+                    hits++;
+                } else {
+                    png = CardBuilder.renderPng(CardBuilder.renderSvg(input, logoSvg));
+                    misses++;
+
+                    if (!this.options.skipWrite) {
+                        await fs.writeFile(cachePath, png);
+                    }
+                }
+
+                const hash = generateHash(png);
+                const filename = `${hash}.png`;
+
+                usedKeys.add(`${key}.png`);
+                cards[url] = `_i${hash}`;
+                stats.add(filename, url, png.length, { card: true });
+
+                const outputPath = path.join(outputDir, filename);
+                if (!this.options.skipWrite && !fsSync.existsSync(outputPath)) {
+                    await fs.writeFile(outputPath, png);
+                    await Timestamp.setTimestamp(outputPath, sourcePath);
+                }
+            }
+
+            if (!this.options.skipWrite) {
+                // Drop cards of removed or renamed pages
+                const cached = await fs.readdir(cacheDir);
+                await Promise.all(cached
+                    .filter((file) => !usedKeys.has(file))
+                    .map((file) => fs.unlink(path.join(cacheDir, file))));
+
+                await fs.writeFile(
+                    path.join(this.dir.getBuild(), 'hash-cards.json'),
+                    JSON.stringify(cards, null, 2),
+                    'utf8',
+                );
+                await stats.save();
+            }
+
+            return { cards, hits, misses };
+        } catch (error) {
+            throw new Error(`Card build failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    CardBuilder,
+    CARD_WIDTH,
+    CARD_HEIGHT,
+};
+
+// Only run if called directly (not when imported for testing)
+if (require.main === module) {
+    const builder = new CardBuilder();
+    builder.build()
+        .then(({ cards, hits, misses }) => {
+            console.log(`Generated ${Object.keys(cards).length} cards (${hits} cached, ${misses} rendered)`);
+        })
+        .catch((error) => {
+            console.error('Error:', error.message);
+            process.exit(1);
+        });
+}
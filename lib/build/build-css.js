@@ -22,9 +22,9 @@ const postcss = require('postcss');
 const postcssImport = require('postcss-import');
 const autoprefixer = require('autoprefixer');
 const { minify } = require('csso');
-const levels = require('../../config/levels.json');
 const { generateHash } = require('../utils/hash');
 const { Dir } = require('../utils/dir');
+const levels = require(path.join(Dir.getConfig(), 'levels.json'));
 const { Stats } = require('./stats');
 const { Timestamp } = require('./timestamp');
 const { loadBemDeclaration } = require('./utils');
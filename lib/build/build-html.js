@@ -5,12 +5,17 @@
  * - Load sitemap with pre-rendered HTML content
  * - Render pages using Nunjucks templates
  * - Generate flat file structure in site/ directory
+ * - Render error pages (404.html, 500.html, 503.html) with page suggestions
+ * - Build home page navigation from top-level sitemap entries
+ * - Build the page aside (services, partner placements) from config/partners.yml
+ * - Add the analytics snippet of config/site.json when analytics is on for the environment
+ * - Add the Content-Security-Policy meta that allows the snippet by hash (see build/analytics)
  *
  * Note: HTML minification and typography are handled at markdown level
  * No post-processing of HTML content is performed (per AGENTS.md)
  *
- * Dependencies: nunjucks
- * Output: site/*.html, .build/build-html.json
+ * Dependencies: nunjucks, build/partners, build/analytics
+ * Output: site/*.html, .build/build-html.json, .build/partners.json (partner placement report)
  *
  * @module build/build-html
  */
@@ -21,8 +26,24 @@ const nunjucks = require('nunjucks');
 const { Dir } = require('../utils/dir');
 const { Stats } = require('./stats');
 const { Timestamp } = require('./timestamp');
+const { BASE_URL, OG_DESCRIPTION_LENGTH, SITE } = require('./constants');
+const { Partners } = require('./partners');
+const { Analytics } = require('./analytics');
 const { getSitemap, getImageMapping } = require('../test/utils');
 
+/**
+ * site/ subdirectory of original image files by extension (see build-images.js)
+ * Link previews point at the original file: /_i{hash} may serve AVIF, which crawlers do not read.
+ * SVG is left out, it is not supported by link previews.
+ */
+const OG_IMAGE_DIRS = {
+    '.png': 'png',
+    '.jpg': 'jpg',
+    '.jpeg': 'jpg',
+    '.webp': 'webp',
+    '.gif': '',
+};
+
 /**
  * HTML Build Script
  *
@@ -69,6 +90,398 @@ class HTMLBuilder {
         return /\s/.test(value) ? `class="${value}"` : `class=${value}`;
     }
 
+    /**
+     * Format an attribute with free-text value (quoted and escaped only when needed)
+     * @param {string} name - Attribute name
+     * @param {string} value - Attribute value
+     * @returns {string} Attribute string, e.g. content="Text with spaces"
+     */
+    static attr(name, value) {
+        const escaped = String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+        return escaped === '' || /[\s'=<>`]/.test(escaped) ? `${name}="${escaped}"` : `${name}=${escaped}`;
+    }
+
+    /**
+     * Convert an HTML fragment to plain text (tags removed, entities decoded, whitespace collapsed)
+     * @param {string} html - HTML fragment
+     * @returns {string} Plain text
+     */
+    static htmlToText(html) {
+        return html
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .replace(/\s+([.,;:!?)])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Derive a description from the first non-empty paragraph of rendered content
+     * Longer text is cut on a word boundary and ends with an ellipsis.
+     * @param {string} html - Rendered page content
+     * @param {number} [maxLength=OG_DESCRIPTION_LENGTH] - Maximum length in characters
+     * @returns {string|null} Description, or null if the page has no paragraph text
+     */
+    static extractDescription(html, maxLength = OG_DESCRIPTION_LENGTH) {
+        const paragraphRegex = /<p\b[^>]*>([\s\S]*?)<\/p>/g;
+        let match;
+
+        while ((match = paragraphRegex.exec(html)) !== null) {
+            const text = HTMLBuilder.htmlToText(match[1]);
+
+            if (!text) {
+                continue;
+            }
+
+            if (text.length <= maxLength) {
+                return text;
+            }
+
+            // One character is left for the ellipsis; a space right after the cut keeps the last word
+            const lastSpace = text.slice(0, maxLength).lastIndexOf(' ');
+            const cut = lastSpace > 0 ? text.slice(0, lastSpace) : text.slice(0, maxLength - 1);
+
+            return `${cut.replace(/[\s,.;:—-]+$/, '')}…`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve an image to the absolute URL of its hashed original file
+     * @param {string} image - Source path (as in image-mapping.json keys, with or without
+     *   the section directory) or hashed reference (/_i{hash}, {hash}.svg)
+     * @param {Object} imageMapping - Relative image path to hashed reference
+     * @returns {string|null} Absolute URL, or null if the image is unknown or not usable in previews
+     */
+    static resolveImageUrl(image, imageMapping) {
+        if (!image) {
+            return null;
+        }
+
+        if (/^https?:\/\//.test(image)) {
+            return image;
+        }
+
+        const normalized = image.replace(/^\/+/, '');
+        const entries = Object.entries(imageMapping);
+        const entry = entries.find(([source, ref]) => source === normalized || ref === normalized)
+            || entries.find(([source]) => source.endsWith(`/${normalized}`));
+
+        if (!entry) {
+            return null;
+        }
+
+        const [source, ref] = entry;
+        const ext = path.extname(source).toLowerCase();
+        const dir = OG_IMAGE_DIRS[ext];
+
+        if (dir === undefined) {
+            return null;
+        }
+
+        return `${BASE_URL}/${dir ? `${dir}/` : ''}${ref.replace(/^_i/, '')}${ext}`;
+    }
+
+    /**
+     * Pick the link preview description and image of a page
+     * - Description: front matter or sitemap.yml description, otherwise the first paragraph
+     * - Image: og_image, otherwise the first content image, otherwise the generated card (build:cards),
+     *   otherwise og_image of the section page
+     * @param {Object} pageData - Page record from sitemap.json (with html)
+     * @param {Object} pages - All page records by URL
+     * @param {Object} imageMapping - Relative image path to hashed reference
+     * @param {Object} [cards={}] - Page URL to card reference (_i{hash} of a PNG)
+     * @returns {{description: string|null, image: string|null}} Preview data (image as absolute URL)
+     * @throws {Error} If og_image is not found in image-mapping.json
+     */
+    static buildOpenGraph(pageData, pages, imageMapping, cards = {}) {
+        const html = pageData.html || '';
+        const description = pageData.description || HTMLBuilder.extractDescription(html);
+
+        if (pageData.ogImage) {
+            const image = HTMLBuilder.resolveImageUrl(pageData.ogImage, imageMapping);
+
+            if (!image) {
+                throw new Error(
+                    `og_image: "${pageData.ogImage}" on ${pageData.url} is not a PNG, JPG, WebP or GIF `
+                    + 'image from image-mapping.json',
+                );
+            }
+
+            return { description, image };
+        }
+
+        const imageRegex = /<img\b[^>]*?\ssrc=(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+        const contentImage = [...html.matchAll(imageRegex)]
+            .map((match) => HTMLBuilder.resolveImageUrl(match[1] ?? match[2] ?? match[3], imageMapping))
+            .find(Boolean);
+        const card = cards[pageData.url];
+        const cardImage = card ? `${BASE_URL}/png/${card.replace(/^_i/, '')}.png` : null;
+        const sectionPage = pageData.section ? pages[`/${pageData.section}`] : null;
+        const sectionImage = sectionPage && sectionPage.ogImage
+            ? HTMLBuilder.resolveImageUrl(sectionPage.ogImage, imageMapping)
+            : null;
+
+        return { description, image: contentImage || cardImage || sectionImage || null };
+    }
+
+    /**
+     * Extract HowTo steps from the first ordered list under a heading
+     * The list must come before the next heading of the same or a higher level.
+     * @param {string} html - Rendered page content
+     * @param {string} heading - Heading text
+     * @returns {{name: string, anchor: string, steps: string[]}|null} Steps, or null if not found
+     */
+    static extractHowToSteps(html, heading) {
+        const headingRegex = /<h([1-6])\b[^>]*?\sid=(?:"([^"]*)"|([^\s>]+))[^>]*>([\s\S]*?)<\/h\1>/g;
+        let match;
+
+        while ((match = headingRegex.exec(html)) !== null) {
+            const name = HTMLBuilder.htmlToText(match[4]);
+
+            if (name !== heading) {
+                continue;
+            }
+
+            const level = Number(match[1]);
+            const rest = html.slice(headingRegex.lastIndex);
+            const nextHeading = rest.search(new RegExp(`<h[1-${level}]\\b`));
+            const section = nextHeading === -1 ? rest : rest.slice(0, nextHeading);
+            const start = section.search(/<ol\b/);
+
+            if (start === -1) {
+                return null;
+            }
+
+            // Split the list into top-level items (</li> may be omitted, lists may be nested)
+            const steps = [];
+            const tagRegex = /<(\/?)(ol|ul|li)\b[^>]*>/g;
+            tagRegex.lastIndex = start;
+            let depth = 0;
+            let itemStart = -1;
+            let tag;
+
+            const closeItem = (end) => {
+                if (itemStart !== -1) {
+                    steps.push(HTMLBuilder.htmlToText(section.slice(itemStart, end)));
+                    itemStart = -1;
+                }
+            };
+
+            while ((tag = tagRegex.exec(section)) !== null) {
+                const [source, closing, tagName] = tag;
+
+                if (tagName === 'li') {
+                    if (depth === 1) {
+                        closeItem(tag.index);
+                        itemStart = closing ? -1 : tag.index + source.length;
+                    }
+                } else if (closing) {
+                    depth--;
+                    if (depth === 0) {
+                        closeItem(tag.index);
+                        break;
+                    }
+                } else {
+                    depth++;
+                }
+            }
+
+            return { name, anchor: match[2] ?? match[3], steps: steps.filter(Boolean) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Build schema.org structured data of a page
+     * - BreadcrumbList from the home page, page breadcrumbs and the page itself
+     * - TechArticle for pages with applies_to or howto, Article otherwise (WebSite for the home page)
+     * - HowTo from the ordered list under the `howto` heading
+     * @param {Object} pageData - Page record from sitemap.json (with html)
+     * @param {Object} pages - All page records by URL
+     * @param {number|null} timestamp - Unix timestamp of the last source change
+     * @returns {Object} JSON-LD document with a @graph of schema objects
+     * @throws {Error} If the howto heading or its ordered list is not found
+     */
+    static buildStructuredData(pageData, pages, timestamp = null) {
+        const url = `${BASE_URL}${pageData.canonicalUrl || pageData.url}`;
+        const rootPage = pages['/'];
+        const siteName = rootPage ? rootPage.name : SITE.rootTitle;
+        const graph = [];
+
+        if (pageData.url === '/') {
+            graph.push({ '@type': 'WebSite', name: siteName, url: `${BASE_URL}/`, inLanguage: 'ru' });
+            return { '@context': 'https://schema.org', '@graph': graph };
+        }
+
+        const trail = [
+            ...(rootPage ? ['/'] : []),
+            ...(pageData.breadcrumbs || []).filter((breadcrumbUrl) => pages[breadcrumbUrl]),
+        ];
+
+        graph.push({
+            '@type': 'BreadcrumbList',
+            itemListElement: [
+                ...trail.map((breadcrumbUrl, i) => ({
+                    '@type': 'ListItem',
+                    position: i + 1,
+                    name: pages[breadcrumbUrl].name,
+                    item: `${BASE_URL}${breadcrumbUrl}`,
+                })),
+                { '@type': 'ListItem', position: trail.length + 1, name: pageData.name, item: url },
+            ],
+        });
+
+        const article = {
+            '@type': pageData.appliesTo || pageData.howto ? 'TechArticle' : 'Article',
+            headline: pageData.name,
+            url,
+            mainEntityOfPage: url,
+            inLanguage: 'ru',
+            publisher: { '@type': 'Organization', name: siteName, url: `${BASE_URL}/` },
+        };
+
+        if (pageData.description) {
+            article.description = pageData.description;
+        }
+
+        if (pageData.ogImageUrl) {
+            article.image = pageData.ogImageUrl;
+        }
+
+        if (timestamp) {
+            article.dateModified = new Date(timestamp * 1000).toISOString();
+        }
+
+        graph.push(article);
+
+        if (pageData.howto) {
+            const howTo = HTMLBuilder.extractHowToSteps(pageData.html || '', pageData.howto);
+
+            if (!howTo || howTo.steps.length === 0) {
+                throw new Error(`howto: no ordered list under heading "${pageData.howto}" on ${pageData.url}`);
+            }
+
+            const stepsUrl = `${url}#${howTo.anchor}`;
+
+            graph.push({
+                '@type': 'HowTo',
+                name: howTo.name,
+                url: stepsUrl,
+                inLanguage: 'ru',
+                step: howTo.steps.map((text, i) => ({
+                    '@type': 'HowToStep',
+                    position: i + 1,
+                    text,
+                    url: stepsUrl,
+                })),
+            });
+        }
+
+        return { '@context': 'https://schema.org', '@graph': graph };
+    }
+
+    /**
+     * Serialize JSON-LD for an inline <script> element
+     * "<" is escaped so content can never close the script or open a comment.
+     * @param {Object} data - JSON-LD document
+     * @returns {string} JSON text
+     */
+    static serializeJsonLd(data) {
+        return JSON.stringify(data).replace(/</g, '\\u003c');
+    }
+
+    /**
+     * List pages offered on the 404 page ("did you mean" and search by name)
+     * Only canonical, indexed pages are listed.
+     * @param {Object} pages - All page records by URL
+     * @returns {Array<[string, string]>} [url, name] pairs in sitemap order
+     */
+    static buildSuggestions(pages) {
+        return Object.values(pages)
+            .filter((pageData) => !pageData.noindex && (pageData.canonicalUrl || pageData.url) === pageData.url)
+            .map((pageData) => [pageData.url, pageData.name]);
+    }
+
+    /**
+     * Build home page navigation from top-level sitemap entries and their home* options
+     * - sections: nav-index links, ordered by homeOrder (ties keep sitemap order)
+     * - cars: sections with homeGroup cars (index-cars cards)
+     * - partners: sections with homeGroup partners and their child pages (index-partners list)
+     * @param {Object} sitemap - Sitemap data with sitemap tree and pages
+     * @param {Object} imageMapping - Source image path to public name
+     * @returns {{sections: Array, cars: Array, partners: Array}} Home page navigation
+     * @throws {Error} On unknown homeGroup values or icons missing from image-mapping.json
+     */
+    static buildHomeNavigation(sitemap, imageMapping) {
+        const resolveIcon = (pageData) => {
+            if (!pageData.homeIcon) {
+                return null;
+            }
+
+            if (!imageMapping[pageData.homeIcon]) {
+                throw new Error(`homeIcon: "${pageData.homeIcon}" on ${pageData.url} not found in image-mapping.json`);
+            }
+
+            return `/${imageMapping[pageData.homeIcon]}`;
+        };
+        const entryUrl = (item) => (typeof item === 'string' ? item : Object.keys(item)[0]);
+
+        const sections = [];
+
+        sitemap.sitemap.forEach((item) => {
+            const url = entryUrl(item);
+            const pageData = sitemap.pages[url];
+
+            if (url === '/' || !pageData || pageData.homeHidden) {
+                return;
+            }
+
+            if (pageData.homeGroup && !['cars', 'partners'].includes(pageData.homeGroup)) {
+                throw new Error(`homeGroup: "${pageData.homeGroup}" on ${url} must be cars or partners`);
+            }
+
+            const children = typeof item === 'string' || !Array.isArray(item[url]) ? [] : item[url];
+
+            sections.push({
+                url,
+                // Relative links keep the home page working from a file or a subdirectory
+                href: url.slice(1),
+                label: pageData.homeLabel || pageData.name,
+                modifier: pageData.homeModifier || url.split('/').pop(),
+                icon: resolveIcon(pageData),
+                order: pageData.homeOrder || 0,
+                group: pageData.homeGroup || null,
+                items: children
+                    .map((child) => sitemap.pages[entryUrl(child)])
+                    .filter((childData) => childData && !childData.hidden)
+                    .map((childData) => ({
+                        href: childData.url.slice(1),
+                        name: childData.name,
+                        description: childData.description || '',
+                        icon: resolveIcon(childData),
+                    })),
+            });
+        });
+
+        // Array.prototype.sort is stable, so equal homeOrder keeps sitemap order
+        sections.sort((a, b) => a.order - b.order);
+
+        return {
+            sections,
+            cars: sections.filter(({ group }) => group === 'cars'),
+            partners: sections.filter(({ group }) => group === 'partners'),
+        };
+    }
+
     /**
      * Load hash information for CSS and JS files
      *
@@ -198,6 +611,7 @@ class HTMLBuilder {
             jsHash,
             imageMapping,
             videoHash,
+            cardHash,
         ] = await Promise.all([
             // Load sitemap using centralized function
             this.options.sitemap
@@ -226,6 +640,11 @@ class HTMLBuilder {
             fs.readFile(path.join(BUILD_DIR, 'hash-video.json'), 'utf-8')
                 .then(JSON.parse)
                 .catch(() => ({})),
+
+            // Load social card mapping (optional, written by build:cards)
+            fs.readFile(path.join(BUILD_DIR, 'hash-cards.json'), 'utf-8')
+                .then(JSON.parse)
+                .catch(() => ({})),
         ]);
 
         // 3. Initialize Nunjucks - use optimized templates only
@@ -241,17 +660,51 @@ class HTMLBuilder {
         const faviconUrl = imageMapping['logo/logo.svg']
             ? `/${imageMapping['logo/logo.svg']}`
             : '';
-        const defaultJsUrl = (jsHash.page && jsHash.page.url) ? jsHash.page.url : '';
-        const videoLovtoUrl = videoHash['lovto.mp4']
-            ? `/${videoHash['lovto.mp4']}`
-            : '';
+        const jsUrl = (bundle) => ((jsHash[bundle] && jsHash[bundle].url) ? jsHash[bundle].url : '');
+        const siteName = sitemap.pages['/'] ? sitemap.pages['/'].name : SITE.rootTitle;
+        const siteHost = new URL(BASE_URL).host;
+        const sitePath = this.options.sitePath || path.join(this.dir.getConfig(), 'site.json');
+        const analyticsConfig = Analytics.resolve(Analytics.load(sitePath), this.options.environment);
+        const analytics = analyticsConfig ? { script: Analytics.snippet(analyticsConfig) } : null;
+        // The FTP host sends no headers of its own, so pages carry the policy nginx sends
+        const csp = Analytics.csp(analyticsConfig);
+        const partnersPath = this.options.partnersPath || path.join(this.dir.getConfig(), 'partners.yml');
+        const partners = Partners.load(partnersPath);
+        const now = new Date();
+        const asides = new Map();
+
+        // One aside per section: placements may be limited to some sections
+        const getAside = (section) => {
+            if (!asides.has(section)) {
+                const aside = Partners.buildAside(partners, { imageMapping, videoHash, now, section });
+
+                // Rotation data goes into an inline <script type="application/json">
+                asides.set(section, aside.partners ? {
+                    ...aside,
+                    partners: { ...aside.partners, rotation: HTMLBuilder.serializeJsonLd(aside.partners.rotation) },
+                } : aside);
+            }
+
+            return asides.get(section);
+        };
 
         // 5. Process all pages: use pre-rendered HTML, then batch minify
         const htmlPages = [];
 
+        const homeNavigation = HTMLBuilder.buildHomeNavigation(sitemap, imageMapping);
+
+        // Error pages use the page layout too, at their own flat URLs (/404 -> 404.html)
+        const errorPages = Object.fromEntries(Object.values(sitemap.errorPages || {}).map((pageData) => (
+            [pageData.url, pageData]
+        )));
+        const suggestions = Object.keys(errorPages).length > 0
+            ? HTMLBuilder.serializeJsonLd(HTMLBuilder.buildSuggestions(sitemap.pages))
+            : '';
+
         // Phase 1: Process all pages using pre-rendered HTML (parallel)
-        const renderPromises = Object.keys(sitemap.pages).map(async (pageUrl) => {
-            const pageData = sitemap.pages[pageUrl];
+        const allPages = { ...sitemap.pages, ...errorPages };
+        const renderPromises = Object.keys(allPages).map(async (pageUrl) => {
+            const pageData = allPages[pageUrl];
 
             // Skip pages without pre-rendered HTML
             if (!pageData.html) {
@@ -265,17 +718,19 @@ class HTMLBuilder {
             const contentHtml = pageData.html;
 
             // Determine CSS and JS files based on layout
-            let cssKey = 'page'; // default
+            let bundle = 'page'; // default
             if (pageData.layout && pageData.layout.includes('page-index')) {
-                cssKey = 'page-index';
+                bundle = 'page-index';
+                pageData.home = homeNavigation;
             }
 
             // Get timestamp from source markdown file
             let lastUpdated = null;
+            let timestamp = null;
             if (pageData.file) {
                 const mdPath = path.join(Dir.getExternalContent(), pageData.file);
                 try {
-                    const timestamp = await Timestamp.getSourceTimestamp(mdPath);
+                    timestamp = await Timestamp.getSourceTimestamp(mdPath);
                     if (timestamp) {
                         // Create Date object from UTC timestamp and convert to GMT+3
                         const date = new Date(timestamp * 1000);
@@ -299,16 +754,35 @@ class HTMLBuilder {
             }
 
             // Enhance page object with CSS, JS, favicon, and timestamp data (cached values)
-            pageData.css = cssHash[cssKey].url;
-            pageData.js = defaultJsUrl;
+            pageData.css = cssHash[bundle].url;
+            pageData.js = jsUrl(bundle);
             pageData.favicon = faviconUrl;
             pageData.lastUpdated = lastUpdated;
-            pageData.videoLovto = videoLovtoUrl;
+            pageData.aside = getAside(pageData.section || 'root');
+            pageData.analytics = analytics;
+            pageData.csp = csp;
+
+            pageData.siteName = siteName;
+            pageData.baseUrl = BASE_URL;
+            pageData.community = SITE.community;
+            pageData.siteHost = siteHost;
+
+            if (pageData.errorCode) {
+                // Served at any URL: no canonical link, previews or structured data
+                pageData.suggestions = suggestions;
+            } else {
+                const openGraph = HTMLBuilder.buildOpenGraph(pageData, sitemap.pages, imageMapping, cardHash);
+                pageData.ogDescription = openGraph.description;
+                pageData.ogImageUrl = openGraph.image;
+                pageData.jsonLd = HTMLBuilder.serializeJsonLd(
+                    HTMLBuilder.buildStructuredData(pageData, sitemap.pages, timestamp),
+                );
+            }
 
             const context = {
                 sitemap,
                 hash: hashData,
-                helpers: { cleanUrl: HTMLBuilder.cleanUrl, attrClass: HTMLBuilder.attrClass },
+                helpers: { cleanUrl: HTMLBuilder.cleanUrl, attrClass: HTMLBuilder.attrClass, attr: HTMLBuilder.attr },
                 page: pageData,
                 content: contentHtml,
             };
@@ -383,6 +857,17 @@ class HTMLBuilder {
                         sourcePaths.push(...templateFiles);
                     }
 
+                    // The aside is rendered from config/partners.yml
+                    if (blocks.includes('aside') && require('fs').existsSync(partnersPath)) {
+                        sourcePaths.push(partnersPath);
+                    }
+
+                    // The analytics snippet and the footer community link come from config/site.json
+                    const hasCommunity = SITE.community && blocks.includes('footer');
+                    if ((analytics || hasCommunity) && require('fs').existsSync(sitePath)) {
+                        sourcePaths.push(sitePath);
+                    }
+
                     // Only set timestamp if we have source files
                     if (sourcePaths.length > 0) {
                         await Timestamp.setTimestamp(page.outputPath, sourcePaths);
@@ -430,6 +915,16 @@ class HTMLBuilder {
         // 9. Save build statistics using collector (only if not skipWrite)
         if (!this.options.skipWrite) {
             await stats.save();
+
+            // Which partner is shown on which sections (pages with the aside, not the home page)
+            const asidePages = Object.values(sitemap.pages).filter((pageData) => (
+                !pageData.layout || !pageData.layout.includes('page-index')
+            ));
+            await fs.writeFile(
+                path.join(BUILD_DIR, 'partners.json'),
+                JSON.stringify(Partners.buildReport(partners, asidePages, now), null, 4),
+                'utf8',
+            );
         }
 
         // Return summary for benchmarking
@@ -449,6 +944,15 @@ module.exports = {
     getHash: HTMLBuilder.getHash,
     urlToFlatFilename: HTMLBuilder.urlToFlatFilename,
     cleanUrl: HTMLBuilder.cleanUrl,
+    attr: HTMLBuilder.attr,
+    extractHowToSteps: HTMLBuilder.extractHowToSteps,
+    buildStructuredData: HTMLBuilder.buildStructuredData,
+    serializeJsonLd: HTMLBuilder.serializeJsonLd,
+    extractDescription: HTMLBuilder.extractDescription,
+    resolveImageUrl: HTMLBuilder.resolveImageUrl,
+    buildOpenGraph: HTMLBuilder.buildOpenGraph,
+    buildSuggestions: HTMLBuilder.buildSuggestions,
+    buildHomeNavigation: HTMLBuilder.buildHomeNavigation,
 };
 
 // Only run if called directly (not when imported for testing)
@@ -16,9 +16,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const levels = require('../../config/levels.json');
 const { generateHash } = require('../utils/hash');
 const { Dir } = require('../utils/dir');
+const levels = require(path.join(Dir.getConfig(), 'levels.json'));
 const { Stats } = require('./stats');
 const { Timestamp } = require('./timestamp');
 
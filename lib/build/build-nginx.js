@@ -5,8 +5,11 @@
  * - Generate nginx.conf from Nunjucks template
  * - Configure nginx for static site serving
  * - Support compression and caching headers
+ * - Emit permanent redirects from .build/redirects.json
+ * - Send a Content-Security-Policy that allows the analytics snippet by hash
+ * - Name log files after the site (config/site.json: logPrefix)
  *
- * Dependencies: nunjucks
+ * Dependencies: nunjucks, build/analytics, build/constants
  * Output: .build/nginx.conf
  *
  * @module build/build-nginx
@@ -16,12 +19,14 @@ const fs = require('fs');
 const path = require('path');
 const nunjucks = require('nunjucks');
 const { Dir } = require('../utils/dir');
+const { Analytics } = require('./analytics');
+const { SITE } = require('./constants');
 
 /**
  * Nginx Build Script
  *
  * Generates nginx configuration for static site serving
- * - Uses config/ directory for templates
+ * - Uses the config directory (config/ or SITE_CONFIG_DIR) for templates
  * - Outputs to .build/ directory
  * - Configures compression, caching, and security headers
  */
@@ -31,7 +36,7 @@ class NginxBuilder {
         this.dir = dir;
         this.projectRoot = dir.getRoot();
         this.buildDir = dir.getBuild();
-        this.configDir = path.join(this.projectRoot, 'config');
+        this.configDir = dir.getConfig();
     }
 
     /**
@@ -63,9 +68,36 @@ class NginxBuilder {
         return env.renderString(template, {
             ROOT: this.projectRoot,
             MIME_TYPES_PATH: mimeTypesPath,
+            REDIRECTS: this.loadRedirects(),
+            CSP: this.buildCsp(),
+            LOG_PREFIX: SITE.logPrefix,
         });
     }
 
+    /**
+     * Content-Security-Policy of HTML pages for the build environment (see build/analytics)
+     * @returns {string} Header value
+     */
+    buildCsp() {
+        const config = Analytics.load(path.join(this.dir.getConfig(), 'site.json'));
+
+        return Analytics.csp(Analytics.resolve(config, this.options.environment));
+    }
+
+    /**
+     * Load redirects generated by build-redirects.js
+     * @returns {Array<{from: string, to: string}>} Redirects (empty if not built yet)
+     */
+    loadRedirects() {
+        const redirectsPath = path.join(this.buildDir, 'redirects.json');
+
+        if (!fs.existsSync(redirectsPath)) {
+            return [];
+        }
+
+        return JSON.parse(fs.readFileSync(redirectsPath, 'utf8'));
+    }
+
     /**
      * Write nginx configuration to build directory
      * @param {string} content - Rendered nginx configuration
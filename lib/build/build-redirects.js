@@ -0,0 +1,345 @@
+/**
+ * Build Script: Redirect Registry
+ *
+ * Responsibilities:
+ * - Collect permanent redirects from config/redirects.yml and per-page redirectFrom
+ * - Validate the registry (absolute paths, no shadowed pages, no chains, known targets)
+ * - Detect URLs that disappeared since the last deploy (deployed manifest.json)
+ * - Fail with proposed redirects, or apply the proposals with --auto
+ * - Write .build/redirects.json for NginxBuilder
+ * - Write site/.htaccess with RedirectMatch rules for the FTP host
+ *
+ * Dependencies: js-yaml
+ * Output: .build/redirects.json, .build/redirects-proposed.yml, site/.htaccess
+ *
+ * @module build/build-redirects
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { Dir } = require('../utils/dir');
+const Manifest = require('../utils/manifest');
+const { Timestamp } = require('./timestamp');
+const { ERROR_PAGES } = require('./constants');
+
+/**
+ * Line in config/.htaccess replaced with generated redirect rules
+ */
+const HTACCESS_MARKER = '# @redirects';
+
+/**
+ * Redirect Build Script
+ *
+ * Builds the redirect registry and guards against silently removed URLs
+ * - Reads config/redirects.yml and .build/sitemap.json
+ * - Compares page URLs with the previously deployed manifest
+ * - Outputs redirect rules for nginx and Apache
+ */
+class RedirectsBuilder {
+    constructor(options = {}, dir = Dir) {
+        this.options = options;
+        this.dir = dir;
+    }
+
+    /**
+     * Load config/redirects.yml
+     * @param {string} filePath - Path to redirects.yml
+     * @returns {Array<{from: string, to: string, source: string}>} Redirects
+     * @throws {Error} On invalid YAML or structure
+     */
+    static loadConfig(filePath) {
+        if (!fsSync.existsSync(filePath)) {
+            return [];
+        }
+
+        const name = path.basename(filePath);
+        const content = fsSync.readFileSync(filePath, 'utf8');
+        let data;
+
+        try {
+            data = yaml.load(content);
+        } catch (error) {
+            const line = error.mark ? error.mark.line + 1 : 1;
+            throw new Error(`${name}:${line}: ${error.reason || error.message}`);
+        }
+
+        if (!data || data.redirects === null || data.redirects === undefined) {
+            return [];
+        }
+
+        if (typeof data.redirects !== 'object' || Array.isArray(data.redirects)) {
+            throw new Error(`${name}: "redirects" must be a mapping of old path to new path`);
+        }
+
+        return Object.entries(data.redirects).map(([from, to]) => {
+            if (typeof to !== 'string') {
+                const line = content.split('\n').findIndex((l) => l.trim().startsWith(`${from}:`)) + 1;
+                throw new Error(`${name}:${line || 1}: redirect target for "${from}" must be a string`);
+            }
+
+            return { from, to, source: name };
+        });
+    }
+
+    /**
+     * Collect redirectFrom entries of all pages
+     * @param {Object} pages - Pages from sitemap.json
+     * @returns {Array<{from: string, to: string, source: string}>} Redirects
+     */
+    static collectPageRedirects(pages) {
+        const redirects = [];
+
+        Object.values(pages).forEach((page) => {
+            (page.redirectFrom || []).forEach((from) => {
+                redirects.push({ from, to: page.url, source: page.file });
+            });
+        });
+
+        return redirects;
+    }
+
+    /**
+     * Validate the redirect registry against the current pages
+     * @param {Array} redirects - Redirects with from, to and source
+     * @param {Object} pages - Pages from sitemap.json
+     * @throws {Error} Listing every problem found
+     */
+    static validate(redirects, pages) {
+        const errors = [];
+        const sources = new Map();
+
+        redirects.forEach(({ from, to, source }) => {
+            if (!from.startsWith('/')) {
+                errors.push(`${source}: redirect source "${from}" must start with "/"`);
+            }
+            if (!to.startsWith('/') && !/^https?:\/\//.test(to)) {
+                errors.push(`${source}: redirect target "${to}" must start with "/" or http(s)://`);
+            }
+            if (pages[from]) {
+                errors.push(`${source}: redirect source "${from}" is an existing page`);
+            }
+            if (sources.has(from)) {
+                errors.push(`${source}: redirect source "${from}" is already defined in ${sources.get(from)}`);
+            }
+            sources.set(from, source);
+        });
+
+        redirects.forEach(({ from, to, source }) => {
+            const targetPath = to.split('#')[0];
+
+            if (sources.has(targetPath)) {
+                errors.push(`${source}: redirect chain "${from}" → "${to}" → another redirect, point to the final URL`);
+            } else if (to.startsWith('/') && !path.extname(targetPath) && !pages[targetPath]) {
+                errors.push(`${source}: redirect target "${to}" for "${from}" is not a page in sitemap.yml`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid redirects:\n  ${errors.join('\n  ')}`);
+        }
+    }
+
+    /**
+     * Extract page URLs from a deployed manifest
+     * Flat HTML files are mapped back to URLs (sitemap URLs never contain "_").
+     * Error pages (404.html, ...) are served at any URL, so they are not page URLs.
+     * @param {Object} manifest - Manifest data ({ 'html/free_12v.html': {...} })
+     * @returns {string[]} Page URLs
+     */
+    static manifestToUrls(manifest) {
+        return Object.keys(manifest)
+            .filter((file) => file.startsWith('html/') && file.endsWith('.html'))
+            .map((file) => file.slice('html/'.length, -'.html'.length))
+            .filter((name) => !ERROR_PAGES[name])
+            .map((name) => (name === 'index' ? '/' : `/${name.replace(/_/g, '/')}`))
+            .sort();
+    }
+
+    /**
+     * Find previously deployed URLs that are neither pages nor redirects now
+     * @param {string[]} previousUrls - URLs from the deployed manifest
+     * @param {Object} pages - Pages from sitemap.json
+     * @param {Array} redirects - Current redirects
+     * @returns {string[]} Removed URLs
+     */
+    static findRemovedUrls(previousUrls, pages, redirects) {
+        const redirected = new Set(redirects.map((r) => r.from));
+
+        return previousUrls.filter((url) => !pages[url] && !redirected.has(url));
+    }
+
+    /**
+     * Propose a redirect target for a removed URL
+     * Prefers a page with the same last segment (a moved page), then the
+     * closest existing ancestor, then the home page.
+     * @param {string} url - Removed URL
+     * @param {Object} pages - Pages from sitemap.json
+     * @returns {string} Proposed target URL
+     */
+    static proposeTarget(url, pages) {
+        const parts = url.split('/').filter(Boolean);
+        const slug = parts[parts.length - 1];
+        const commonPrefix = (candidate) => {
+            const other = candidate.split('/').filter(Boolean);
+            let i = 0;
+            while (i < parts.length && i < other.length && parts[i] === other[i]) {
+                i += 1;
+            }
+            return i;
+        };
+
+        const moved = Object.keys(pages)
+            .filter((candidate) => candidate.split('/').pop() === slug)
+            .sort((a, b) => commonPrefix(b) - commonPrefix(a) || a.localeCompare(b));
+
+        if (moved.length > 0) {
+            return moved[0];
+        }
+
+        for (let i = parts.length - 1; i > 0; i -= 1) {
+            const ancestor = `/${parts.slice(0, i).join('/')}`;
+            if (pages[ancestor]) {
+                return ancestor;
+            }
+        }
+
+        return '/';
+    }
+
+    /**
+     * Render redirects as Apache mod_alias rules
+     * Rules match the exact path, as the nginx location = blocks do: sub-paths of a moved
+     * section are not redirected, each deployed page of it needs its own redirect.
+     * @param {Array} redirects - Redirects with from and to
+     * @returns {string} RedirectMatch lines
+     */
+    static toApache(redirects) {
+        return redirects
+            .map(({ from, to }) => {
+                const pattern = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return `RedirectMatch 301 ^${pattern}$ ${to}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Build redirect registry with the current options
+     * @returns {Promise<Object>} Build result with redirects and removed URLs
+     */
+    async build() {
+        try {
+            const projectRoot = this.dir.getRoot();
+            const buildDir = this.dir.getBuild();
+            const siteDir = this.dir.getSite();
+            const configDir = this.dir.getConfig();
+
+            const sitemapPath = path.join(buildDir, 'sitemap.json');
+            if (!fsSync.existsSync(sitemapPath)) {
+                throw new Error('.build/sitemap.json not found, run build:sitemap first');
+            }
+            const { pages } = JSON.parse(await fs.readFile(sitemapPath, 'utf8'));
+
+            const redirectsPath = this.options.redirectsPath || path.join(configDir, 'redirects.yml');
+            const redirects = [
+                ...RedirectsBuilder.loadConfig(redirectsPath),
+                ...RedirectsBuilder.collectPageRedirects(pages),
+            ];
+
+            RedirectsBuilder.validate(redirects, pages);
+
+            // Compare with the previously deployed site
+            const manifestDir = this.options.manifestDir || path.join(projectRoot, '.deployed');
+            const previousUrls = RedirectsBuilder.manifestToUrls(Manifest.load(manifestDir));
+            const removed = RedirectsBuilder.findRemovedUrls(previousUrls, pages, redirects);
+            const proposed = removed.map((from) => ({
+                from,
+                to: RedirectsBuilder.proposeTarget(from, pages),
+                source: 'auto',
+            }));
+
+            if (proposed.length > 0) {
+                const proposal = yaml.dump({
+                    redirects: Object.fromEntries(proposed.map(({ from, to }) => [from, to])),
+                });
+                await this.dir.ensure(buildDir);
+                await fs.writeFile(path.join(buildDir, 'redirects-proposed.yml'), proposal, 'utf8');
+
+                if (!this.options.auto) {
+                    throw new Error(
+                        `${proposed.length} deployed URL(s) disappeared without a redirect. ` +
+                        `Add them to config/redirects.yml (or run with --auto):\n${proposal}`,
+                    );
+                }
+
+                if (process.env.NODE_ENV !== 'test') {
+                    console.warn(`Warning: auto-redirecting removed URLs:\n${proposal}`);
+                }
+                redirects.push(...proposed);
+            }
+
+            redirects.sort((a, b) => a.from.localeCompare(b.from));
+
+            if (!this.options.skipWrite) {
+                await this.dir.ensure(buildDir);
+                await fs.writeFile(
+                    path.join(buildDir, 'redirects.json'),
+                    JSON.stringify(redirects.map(({ from, to }) => ({ from, to })), null, 4),
+                    'utf8',
+                );
+
+                await this.writeHtaccess(path.join(configDir, '.htaccess'), siteDir, redirectsPath, redirects);
+            }
+
+            return { redirects, removed, previousUrls: previousUrls.length };
+        } catch (error) {
+            throw new Error(`Redirects generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write site/.htaccess with redirect rules in place of the marker line
+     * @param {string} templatePath - Path to config/.htaccess
+     * @param {string} siteDir - Site output directory
+     * @param {string} redirectsPath - Path to config/redirects.yml (timestamp source)
+     * @param {Array} redirects - Redirects with from and to
+     */
+    async writeHtaccess(templatePath, siteDir, redirectsPath, redirects) {
+        if (!fsSync.existsSync(templatePath)) {
+            return;
+        }
+
+        const template = await fs.readFile(templatePath, 'utf8');
+        const rules = RedirectsBuilder.toApache(redirects);
+        const content = template.includes(HTACCESS_MARKER)
+            ? template.replace(HTACCESS_MARKER, rules)
+            : `${rules}\n\n${template}`;
+
+        await this.dir.ensure(siteDir);
+        const outputPath = path.join(siteDir, '.htaccess');
+        await fs.writeFile(outputPath, content, 'utf8');
+
+        const sources = [templatePath, redirectsPath].filter((p) => fsSync.existsSync(p));
+        await Timestamp.setTimestamp(outputPath, sources);
+    }
+}
+
+module.exports = {
+    RedirectsBuilder,
+    HTACCESS_MARKER,
+};
+
+// Only run if called directly (not when imported for testing)
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const manifestIndex = args.indexOf('--manifest-dir');
+    const builder = new RedirectsBuilder({
+        auto: args.includes('--auto'),
+        manifestDir: manifestIndex !== -1 ? args[manifestIndex + 1] : undefined,
+    });
+    builder.build().catch((error) => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
+}
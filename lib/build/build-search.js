@@ -4,6 +4,7 @@
  * Responsibilities:
  * - Generate SQLite FTS5 search database from sitemap
  * - Extract and index page content (name, title, breadcrumbs, content)
+ * - Index shared markdown files once, under the canonical URL, with alternate URLs
  * - Strip HTML tags and decode entities from content
  * - Generate PHP configuration file with CSS/favicon/logo constants
  * - Support Cyrillic text search with unicode61 tokenizer
@@ -17,10 +18,10 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const Database = require('better-sqlite3');
 const { Dir } = require('../utils/dir');
 const { Stats } = require('./stats');
 const { Timestamp } = require('./timestamp');
+const { SITE } = require('./constants');
 
 /**
  * Strip HTML tags and decode entities from HTML content
@@ -92,6 +93,22 @@ class SearchBuilder {
         return breadcrumbNames.join(' → ');
     }
 
+    /**
+     * Select pages to index: one entry per canonical URL
+     * Pages mounted at several URLs are indexed once under the canonical URL;
+     * the other URLs are offered in results as `alternates`.
+     * @param {Object} pages - Pages map (url -> page data)
+     * @returns {Object[]} Page data with alternates (newline-separated URLs)
+     */
+    static collectSearchPages(pages) {
+        return Object.entries(pages)
+            .filter(([url, pageData]) => !pageData.canonicalUrl || pageData.canonicalUrl === url)
+            .map(([, pageData]) => ({
+                ...pageData,
+                alternates: (pageData.alternateUrls || []).join('\n'),
+            }));
+    }
+
     /**
      * Generate PHP configuration file with constants
      * @param {Object} config - Configuration object
@@ -164,6 +181,8 @@ define('SEARCH_LOGO_SVG', '${escapedLogoSvg}');
                 await fs.unlink(dbPath);
             }
 
+            // Loaded here, so the index helpers are usable without the native module
+            const Database = require('better-sqlite3');
             const db = new Database(dbPath);
 
             try {
@@ -176,14 +195,15 @@ define('SEARCH_LOGO_SVG', '${escapedLogoSvg}');
                         section UNINDEXED,
                         breadcrumbs UNINDEXED,
                         content,
+                        alternates UNINDEXED,
                         tokenize='unicode61'
                     );
                 `);
 
                 // Prepare insert statement
                 const insert = db.prepare(`
-                    INSERT INTO pages (url, name, title, section, breadcrumbs, content)
-                    VALUES (?, ?, ?, ?, ?, ?)
+                    INSERT INTO pages (url, name, title, section, breadcrumbs, content, alternates)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
                 `);
 
                 // Use transaction for better performance
@@ -196,12 +216,13 @@ define('SEARCH_LOGO_SVG', '${escapedLogoSvg}');
                             pageData.section,
                             pageData.breadcrumbs,
                             pageData.content,
+                            pageData.alternates,
                         );
                     }
                 });
 
                 // Prepare data for insertion
-                const pagesData = Object.values(pages).map((pageData) => {
+                const pagesData = SearchBuilder.collectSearchPages(pages).map((pageData) => {
                     // Strip HTML from content
                     const content = stripHtml(pageData.html || '');
 
@@ -215,6 +236,7 @@ define('SEARCH_LOGO_SVG', '${escapedLogoSvg}');
                         section: pageData.section || '',
                         breadcrumbs: breadcrumbsString,
                         content,
+                        alternates: pageData.alternates,
                     };
                 });
 
@@ -237,7 +259,7 @@ define('SEARCH_LOGO_SVG', '${escapedLogoSvg}');
 
                 // Set timestamps from all markdown files (use latest)
                 const projectRoot = this.dir.getRoot();
-                const contentDir = path.join(projectRoot, 'external', 'voyahchat-content');
+                const contentDir = path.join(projectRoot, 'external', SITE.contentRepo);
                 const markdownFiles = Object.values(pages)
                     .map(pageData => path.join(contentDir, pageData.file))
                     .filter(Boolean);
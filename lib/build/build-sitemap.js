@@ -2,16 +2,25 @@
  * Build Script: Sitemap Generation and Content Processing
  *
  * Responsibilities:
- * - Parse config/sitemap.yml
+ * - Parse and validate config/sitemap.yml (see build/sitemap-schema)
+ * - Merge markdown front matter into page records (see build/front-matter)
+ * - Leave drafts and scheduled pages out of the build (unless --drafts)
  * - Generate hierarchical navigation structure
+ * - Compute prev/next/parent links for every page (cross-section aware)
  * - Create URL mappings for markdown links
- * - Render markdown content to pre-minified HTML
+ * - Render markdown content to pre-minified HTML (unchanged pages come from the render cache)
+ * - Distribute rendering across worker threads (RenderPool) after a heading-extraction pass
  * - Generate comprehensive anchor mappings
- * - Generate sitemap.xml for SEO
+ * - Collect per-page table of contents (page.toc) from rendered headings
+ * - Choose canonical URLs for markdown files mounted at several URLs
+ * - Render error pages (404, 500, 503) from optional {code}.md content files
+ * - Add partner UTM parameters to ::: partner-link URLs on placement pages (config/partners.yml)
+ * - Check ::: only conditions against the models (site.json) and years of the sitemap sections
+ * - Generate sitemap.xml for SEO (canonical URLs only)
  * - Fetch last modification dates from Git
  *
- * Dependencies: Node.js built-ins, markdown-it
- * Output: site/sitemap.xml, .build/sitemap.json, .build/build-sitemap.json
+ * Dependencies: Node.js built-ins, markdown-it, js-yaml
+ * Output: site/sitemap.xml, .build/sitemap.json, .build/build-sitemap.json, .cache/render.json
  *
  * @module build/build-sitemap
  */
@@ -24,9 +33,20 @@ const { promisify } = require('util');
 const { Dir } = require('../utils/dir');
 const { Stats } = require('./stats');
 const { Timestamp } = require('./timestamp');
-const { BASE_URL } = require('./constants');
+const {
+    BASE_URL, ERROR_PAGES, MAX_HEADING_LEVEL, SITE, TOC_DEPTH, TOC_MIN_HEADINGS,
+} = require('./constants');
+const { SitemapSchema } = require('./sitemap-schema');
+const { FrontMatter } = require('./front-matter');
+const { RenderCache } = require('./render-cache');
+const { RenderPool } = require('./render-pool');
+const { Partners } = require('./partners');
+const { Applicability } = require('./applicability');
 const {
     createMarkdownInstance,
+    extractAnchorMap,
+    UNPUBLISHED_LINK_ERROR,
+    CONTENT_PREFIX,
     cleanHeadingText,
     createCyrillicSlugify,
 } = require('./markdown');
@@ -42,6 +62,8 @@ const processingState = {
     inProgress: new Set(),
     completed: new Map(),
     anchorMap: new Map(),
+    headings: new Map(),
+    dependencies: new Map(),
 };
 
 /**
@@ -49,11 +71,11 @@ const processingState = {
  * @param {string} url - Document URL
  * @param {string} filePath - Full file path to markdown file
  * @param {Object} sitemap - Sitemap data object
- * @param {Object} _options - Rendering options
+ * @param {Object} options - Rendering options ({ imageMapping, partnerLinks, applicability })
  * @param {Object} dir - Directory instance (TestDir or Dir)
  * @returns {string} Rendered HTML
  */
-function processDocument(url, filePath, sitemap, _options = {}, dir = Dir) {
+function processDocument(url, filePath, sitemap, options = {}, dir = Dir) {
     // Check circular dependency
     if (processingState.inProgress.has(url)) {
         const chain = Array.from(processingState.inProgress);
@@ -69,24 +91,30 @@ function processDocument(url, filePath, sitemap, _options = {}, dir = Dir) {
     processingState.inProgress.add(url);
 
     try {
-        // Read markdown content
-        const content = fsSync.readFileSync(filePath, 'utf-8');
+        // Read markdown content without front matter (merged into pages by build())
+        const content = FrontMatter.strip(fsSync.readFileSync(filePath, 'utf-8'));
 
         // Get image mapping for HTML rendering
-        const imageMapping = getImageMapping();
+        const imageMapping = options.imageMapping || getImageMapping();
 
         // Create markdown instance and render
-        const md = createMarkdownInstance({ imageMapping, sitemap });
+        const md = createMarkdownInstance({
+            imageMapping,
+            sitemap,
+            partnerLinks: options.partnerLinks,
+            applicability: options.applicability,
+        });
 
         // Prepare environment with processing state
-        const contentRoot = path.join(dir.getRoot(), 'external', 'voyahchat-content');
+        const contentRoot = path.join(dir.getRoot(), 'external', SITE.contentRepo);
         const relativePath = path.relative(contentRoot, filePath);
         const env = {
-            page: { inputPath: `./external/voyahchat-content/${relativePath}` },
+            page: { inputPath: `${CONTENT_PREFIX}${relativePath}` },
             _sitemap: sitemap,
             _currentUrl: url,
             _processingState: processingState,
             _processDocument: processDocument,
+            _anchorDependencies: new Set(),
         };
 
         // Render markdown to HTML
@@ -95,6 +123,8 @@ function processDocument(url, filePath, sitemap, _options = {}, dir = Dir) {
         // Mark as completed
         processingState.inProgress.delete(url);
         processingState.completed.set(url, html);
+        processingState.headings.set(url, env._headings || []);
+        processingState.dependencies.set(url, [...env._anchorDependencies]);
 
         return html;
     } catch (error) {
@@ -111,6 +141,8 @@ function resetProcessingState() {
     processingState.inProgress.clear();
     processingState.completed.clear();
     processingState.anchorMap.clear();
+    processingState.headings.clear();
+    processingState.dependencies.clear();
 }
 
 /**
@@ -133,38 +165,18 @@ class SitemapBuilder {
      * @returns {Object|null} Parsed object with title, url, file, and meta properties
      */
     static parseSitemapLine(line) {
+        const parsed = SitemapSchema.parseShorthand(line);
 
-        // Updated regex to capture optional metadata object
-        const match = line.match(/^(.+?)\s*\[([^,]+),\s*([^,]+)(?:,\s*(\{.*\s*))?\]$/);
-
-        if (match) {
-            const result = {
-                title: match[1].trim(),
-                url: match[2].trim(),
-                file: match[3].trim(),
-                meta: {}, // Default empty meta object
-            };
-
-            // If metadata is present, parse it
-            if (match[4]) {
-                try {
-                // Parse JSON-like object from metadata string
-                // Convert YAML-like format to valid JSON
-                    const jsonString = match[4]
-                        .replace(/(\w+):/g, '"$1":')
-                        .replace(/'/g, '"')
-                        .replace(/,\s*}/g, '}');
-
-                    result.meta = JSON.parse(jsonString);
-                } catch (e) {
-                    console.warn(`Could not parse metadata for line: ${line}`);
-                }
-            }
-
-            return result;
+        if (!parsed) {
+            return null;
         }
 
-        return null;
+        return {
+            title: parsed.title,
+            url: parsed.url,
+            file: parsed.file,
+            meta: parsed.options,
+        };
     }
 
     /**
@@ -201,88 +213,243 @@ class SitemapBuilder {
     }
 
     /**
-     * Parse indented sitemap format from raw YAML text
-     * @param {string} content - Raw YAML content from sitemap.yml
-     * @returns {Array} Parsed sitemap structure as nested arrays and objects
+     * Check whether a page is not published yet: marked as draft or
+     * scheduled with publishAt in the future
+     * @param {Object} pageData - Page record
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {boolean} True if the page must stay out of a regular build
      */
-    static parseIndentedSitemap(content) {
-        const lines = content.split('\n');
-        const result = [];
-        const stack = [{ level: -1, children: result }];
+    static isUnpublished(pageData, now = new Date()) {
+        if (pageData.draft === true) {
+            return true;
+        }
 
-        lines.forEach((line, i) => {
-            const trimmed = line.trim();
+        return Boolean(pageData.publishAt) && Date.parse(pageData.publishAt) > now.getTime();
+    }
 
-            // Skip empty lines and comments
-            if (!trimmed || trimmed.startsWith('#')) return;
+    /**
+     * Find unpublished pages, including pages nested under an unpublished section
+     * @param {Object} pages - Page records keyed by URL
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {Set<string>} URLs of unpublished pages
+     */
+    static findUnpublished(pages, now = new Date()) {
+        const unpublished = new Set(Object.values(pages)
+            .filter((pageData) => SitemapBuilder.isUnpublished(pageData, now))
+            .map((pageData) => pageData.url));
 
-            // Skip YAML structure lines
-            if (trimmed === 'sitemap:' || trimmed.startsWith('sitemap:')) return;
+        Object.values(pages).forEach((pageData) => {
+            if (pageData.breadcrumbs.some((breadcrumbUrl) => unpublished.has(breadcrumbUrl))) {
+                unpublished.add(pageData.url);
+            }
+        });
+
+        return unpublished;
+    }
+
+    /**
+     * Remove URLs from the navigation tree (children of a removed node go with it)
+     * @param {Array} sitemap - Navigation tree from processSitemap
+     * @param {Set<string>} urls - URLs to remove
+     * @returns {Array} Navigation tree without the URLs
+     */
+    static removeFromNavigation(sitemap, urls) {
+        return sitemap
+            .filter((node) => !urls.has(typeof node === 'string' ? node : Object.keys(node)[0]))
+            .map((node) => {
+                if (typeof node === 'string') {
+                    return node;
+                }
 
-            // Calculate indentation level (each 2 spaces = 1 level)
-            const match = line.match(/^(\s*)-\s*(.+)$/);
+                const [url, value] = Object.entries(node)[0];
 
-            if (!match) return;
+                return Array.isArray(value)
+                    ? { [url]: SitemapBuilder.removeFromNavigation(value, urls) }
+                    : node;
+            });
+    }
 
-            const indent = match[1].length;
-            const level = Math.floor(indent / 2);
-            const itemContent = match[2].trim();
+    /**
+     * Choose the canonical URL of every page
+     * A markdown file mounted at several URLs gets one primary URL: the entry
+     * marked `canonical: true`, otherwise the first declaration in sitemap.yml.
+     * Sets `canonicalUrl` on every page and `alternateUrls` on primary pages of shared files.
+     * @param {Object} pages - Built pages keyed by URL (updated in place)
+     * @param {Object} md2urls - Markdown file to URLs in declaration order
+     * @throws {Error} If several URLs of one file are marked canonical
+     */
+    static assignCanonicalUrls(pages, md2urls) {
+        Object.entries(md2urls).forEach(([file, urls]) => {
+            const builtUrls = urls.filter((url) => pages[url]);
+            const marked = builtUrls.filter((url) => pages[url].canonical === true);
 
-            // Pop stack to correct level
-            while (stack.length > 1 && stack[stack.length - 1].level >= level) {
-                stack.pop();
+            if (marked.length > 1) {
+                throw new Error(`${file}: "canonical" is set on several URLs: ${marked.join(', ')}`);
             }
 
-            const parent = stack[stack.length - 1];
+            const canonicalUrl = marked[0] || builtUrls[0];
+
+            builtUrls.forEach((url) => {
+                pages[url].canonicalUrl = canonicalUrl;
+            });
 
-            // Check if this item might have children by looking ahead
-            let hasChildren = false;
+            if (builtUrls.length > 1) {
+                pages[canonicalUrl].alternateUrls = builtUrls.filter((url) => url !== canonicalUrl);
+            }
+        });
+    }
 
-            // Look for next non-empty, non-comment line
-            for (let j = i + 1; j < lines.length; j += 1) {
-                const nextLine = lines[j];
-                const nextTrimmed = nextLine.trim();
+    /**
+     * Render one page in a fresh processing state
+     * Anchor maps of the other pages come from the heading-extraction pass, so the
+     * result does not depend on render order. Used in-process and by RenderPool workers.
+     * @param {{url: string, filePath: string}} job - Page URL and full path to its markdown file
+     * @param {Object} shared - { sitemap, anchorMaps, imageMapping, partnerLinks, applicability, root }
+     * @returns {Object} { url, html, headings, dependencies } or { url, error } with the error message
+     */
+    static renderJob({ url, filePath }, { sitemap, anchorMaps, imageMapping, partnerLinks, applicability, root }) {
+        resetProcessingState();
+        anchorMaps.forEach((anchors, anchorUrl) => {
+            // Same-page anchors are collected while the page renders, as in a single render
+            if (anchorUrl !== url) {
+                processingState.anchorMap.set(anchorUrl, anchors);
+            }
+        });
 
-                // Skip empty lines and comments
-                if (!nextTrimmed || nextTrimmed.startsWith('#')) {
-                    continue;
-                }
+        try {
+            // Only the project root is needed from the Dir-like instance (workers get plain data)
+            const html = processDocument(
+                url,
+                filePath,
+                sitemap,
+                { imageMapping, partnerLinks, applicability },
+                { getRoot: () => root },
+            );
 
-                // Skip YAML structure lines
-                if (nextTrimmed === 'sitemap:' || nextTrimmed.startsWith('sitemap:')) {
-                    continue;
-                }
+            return {
+                url,
+                html,
+                headings: processingState.headings.get(url),
+                dependencies: processingState.dependencies.get(url),
+            };
+        } catch (error) {
+            return { url, error: error.message };
+        }
+    }
 
-                const nextMatch = nextLine.match(/^(\s*)-\s*(.+)$/);
+    /**
+     * Render error pages from optional {code}.md files in the content root
+     * A content file names the page with its h1; pages without one get the default
+     * heading and message of ERROR_PAGES.
+     * Error pages are served at any URL, so they stay out of pages, navigation and sitemap.xml.
+     * @param {string} contentDir - Content repository root
+     * @param {Object} shared - Shared render data of renderJob
+     * @returns {Object} Error code to page record { url, errorCode, name, title, html, noindex, breadcrumbs }
+     * @throws {Error} If an error page content file cannot be rendered
+     */
+    static buildErrorPages(contentDir, shared) {
+        const rootPage = shared.sitemap.pages['/'];
+        const rootTitle = rootPage ? rootPage.name : SITE.rootTitle;
+        const errorPages = {};
+
+        Object.entries(ERROR_PAGES).forEach(([code, { name, message }]) => {
+            const file = `${code}.md`;
+            const filePath = path.join(contentDir, file);
+            const pageData = {
+                url: `/${code}`,
+                errorCode: Number(code),
+                name,
+                html: `<h1>${name}</h1><p>${message}</p>`,
+                noindex: true,
+                breadcrumbs: [],
+            };
 
-                if (nextMatch) {
-                    const nextIndent = nextMatch[1].length;
-                    const nextLevel = Math.floor(nextIndent / 2);
+            if (fsSync.existsSync(filePath)) {
+                const { fields } = FrontMatter.parse(fsSync.readFileSync(filePath, 'utf8'), file);
+                const renderResult = SitemapBuilder.renderJob({ url: pageData.url, filePath }, shared);
 
-                    hasChildren = nextLevel > level;
-                    break;
+                if (renderResult.error) {
+                    throw new Error(`${file}: ${renderResult.error}`);
                 }
+
+                // The page title of the content file names the page
+                const heading = (renderResult.headings || []).find(({ level }) => level === 1);
+                Object.assign(pageData, fields, { file, html: renderResult.html }, heading && { name: heading.text });
             }
 
-            if (hasChildren) {
-            // Create object with children array
-                const obj = {};
+            errorPages[code] = { ...pageData, title: `${pageData.name} | ${rootTitle}` };
+        });
 
-                obj[itemContent] = [];
-                parent.children.push(obj);
-                stack.push({ level, children: obj[itemContent] });
-            } else {
-            // Simple item
-                parent.children.push(itemContent);
+        return errorPages;
+    }
+
+    /**
+     * Build a page table of contents from rendered headings
+     * The page title (h1) is skipped; headings deeper than tocDepth are left out.
+     * @param {Array<{level: number, text: string, anchor: string}>} headings - Headings in document order
+     * @param {Object} [pageData={}] - Page record with optional toc and tocDepth options
+     * @returns {Array|false} Tree of { text, anchor, level, children }, empty if too short, false if disabled
+     */
+    static buildToc(headings = [], pageData = {}) {
+        if (pageData.toc === false) {
+            return false;
+        }
+
+        const depth = Math.min(pageData.tocDepth || TOC_DEPTH, MAX_HEADING_LEVEL);
+        const entries = headings.filter(({ level }) => level > 1 && level <= depth);
+
+        if (entries.length < TOC_MIN_HEADINGS) {
+            return [];
+        }
+
+        const toc = [];
+        const stack = [];
+
+        entries.forEach(({ level, text, anchor }) => {
+            const item = { text, anchor, level, children: [] };
+
+            // Attach to the closest preceding heading of a higher level
+            while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+
+            (stack.length > 0 ? stack[stack.length - 1].children : toc).push(item);
+            stack.push(item);
+        });
+
+        return toc;
+    }
+
+    /**
+     * Keep only file/URL mappings of pages that are part of the build
+     * @param {Object} mappings - { md2url, md2urls, url2md }
+     * @param {Object} pages - Built pages keyed by URL
+     * @returns {Object} Filtered { md2url, md2urls, url2md }
+     */
+    static filterMappings({ md2url, md2urls, url2md }, pages) {
+        const filtered = { md2url: {}, md2urls: {}, url2md: {} };
+
+        Object.entries(md2urls).forEach(([file, urls]) => {
+            const builtUrls = urls.filter((url) => pages[url]);
+
+            if (builtUrls.length > 0) {
+                filtered.md2urls[file] = builtUrls;
+                filtered.md2url[file] = pages[md2url[file]] ? md2url[file] : builtUrls[builtUrls.length - 1];
+            }
+        });
+
+        Object.entries(url2md).forEach(([url, file]) => {
+            if (pages[url]) {
+                filtered.url2md[url] = file;
             }
         });
 
-        return result;
+        return filtered;
     }
 
     /**
      * Process sitemap items into structured navigation
-     * @param {Array} items - Parsed sitemap items
+     * @param {Array} items - Sitemap entries (raw YAML values or normalized entries)
      * @param {string} [parentUrl=''] - Parent URL for relative URL resolution
      * @returns {Object} Object with sitemap, pages, and urlMapping properties
      */
@@ -291,42 +458,35 @@ class SitemapBuilder {
         const pages = {};
         const urlMapping = new Map();
 
-        function processItems(navItems, parentUrlValue, sitemapArray) {
-            navItems.forEach((item) => {
-                if (typeof item === 'string') {
-                // Simple string item - parse it
-                    const parsed = SitemapBuilder.parseSitemapLine(item);
-
-                    if (!parsed) {
-                        // During tests, don't output to console - tests must be silent
-                        if (process.env.NODE_ENV !== 'test') {
-                            console.warn(`Could not parse sitemap line: ${item}`);
-                        }
-                        return;
-                    }
-
-                    const fullUrl = SitemapBuilder.buildFullUrl(parentUrlValue, parsed.url);
-
-                    urlMapping.set(parsed.file, fullUrl);
-
-                    // Cross-section link: absolute URL pointing outside its parent.
-                    // It reuses the canonical page record (do not overwrite name/title)
-                    // and may carry its own menu label via meta.navLabel.
-                    const crossSection = SitemapBuilder.isCrossSection(fullUrl, parentUrlValue);
-
-                    // Add to sitemap array (carry navLabel on the tree node if present)
-                    if (crossSection && parsed.meta.navLabel) {
-                        sitemapArray.push({ [fullUrl]: parsed.meta.navLabel });
-                    } else {
-                        sitemapArray.push(fullUrl);
-                    }
-
-                    // Add to pages object, but never clobber the canonical record of a
-                    // cross-section link (it was defined in its home section).
-                    if (crossSection && pages[fullUrl]) {
-                        return;
-                    }
+        function processItems(entries, parentUrlValue, sitemapArray) {
+            entries.forEach((entry) => {
+                const { title, url, file, children = [], ...meta } = entry;
+                const fullUrl = SitemapBuilder.buildFullUrl(parentUrlValue, url);
+                const hasChildren = children.length > 0;
+
+                urlMapping.set(file, fullUrl);
+
+                // Cross-section link: absolute URL pointing outside its parent.
+                // It reuses the canonical page record (do not overwrite name/title)
+                // and may carry its own menu label via meta.navLabel.
+                const crossSection = !hasChildren && SitemapBuilder.isCrossSection(fullUrl, parentUrlValue);
+
+                // Hidden pages are built but kept out of the navigation tree
+                const targetArray = meta.hidden ? [] : sitemapArray;
+                const childrenArray = [];
+
+                if (hasChildren) {
+                    targetArray.push({ [fullUrl]: childrenArray });
+                } else if (crossSection && meta.navLabel) {
+                    // Carry navLabel on the tree node
+                    targetArray.push({ [fullUrl]: meta.navLabel });
+                } else {
+                    targetArray.push(fullUrl);
+                }
 
+                // Never clobber the canonical record of a cross-section link
+                // (it was defined in its home section).
+                if (!(crossSection && pages[fullUrl])) {
                     const urlParts = fullUrl.split('/').filter((p) => p);
                     const section = urlParts.length > 0 ? urlParts[0] : null;
 
@@ -335,112 +495,29 @@ class SitemapBuilder {
                         `/${urlParts.slice(0, i + 1).join('/')}`
                     ));
 
-                    const pageData = {
-                        file: parsed.file,
+                    // Added before children so breadcrumbs can reference it
+                    pages[fullUrl] = {
+                        file,
                         url: fullUrl,
-                        name: parsed.title,
-                        title: parsed.title, // Will be updated with root title later
+                        name: title,
+                        title, // Will be updated with root title later
                         section,
                         breadcrumbs,
-                        ...parsed.meta,
+                        ...meta,
                     };
+                }
 
-                    pages[fullUrl] = pageData;
-                } else if (typeof item === 'object' && item !== null) {
-                // Object with title and potentially children
-                    const keys = Object.keys(item);
-                    const title = keys[0];
-                    const value = item[title];
-
-                    const parsed = SitemapBuilder.parseSitemapLine(title);
-
-                    if (!parsed) {
-                        // During tests, don't output to console - tests must be silent
-                        if (process.env.NODE_ENV !== 'test') {
-                            console.warn(`Could not parse sitemap line: ${title}`);
-                        }
-                        return;
-                    }
-
-                    const fullUrl = SitemapBuilder.buildFullUrl(parentUrlValue, parsed.url);
-
-                    urlMapping.set(parsed.file, fullUrl);
-
-                    if (Array.isArray(value) && value.length > 0) {
-                    // Has children - create hierarchical structure
-                        const childrenArray = [];
-                        const sitemapEntry = {};
-
-                        sitemapEntry[fullUrl] = childrenArray;
-                        sitemapArray.push(sitemapEntry);
-
-                        // Add to pages object first (so breadcrumbs can reference it)
-                        const urlParts = fullUrl.split('/').filter((p) => p);
-                        const section = urlParts.length > 0 ? urlParts[0] : null;
-
-                        // Build breadcrumbs
-                        const breadcrumbs = urlParts.slice(0, -1).map((_, i) => (
-                            `/${urlParts.slice(0, i + 1).join('/')}`
-                        ));
-
-                        const pageData = {
-                            file: parsed.file,
-                            url: fullUrl,
-                            name: parsed.title,
-                            title: parsed.title, // Will be updated with root title later
-                            section,
-                            breadcrumbs,
-                            ...parsed.meta,
-                        };
-
-                        pages[fullUrl] = pageData;
-
-                        // Process children
-                        processItems(value, fullUrl, childrenArray);
-                    } else {
-                    // No children - simple item
-                        const crossSection = SitemapBuilder.isCrossSection(fullUrl, parentUrlValue);
-
-                        if (crossSection && parsed.meta.navLabel) {
-                            sitemapArray.push({ [fullUrl]: parsed.meta.navLabel });
-                        } else {
-                            sitemapArray.push(fullUrl);
-                        }
-
-                        if (crossSection && pages[fullUrl]) {
-                            return;
-                        }
-
-                        // Add to pages object
-                        const urlParts = fullUrl.split('/').filter((p) => p);
-                        const section = urlParts.length > 0 ? urlParts[0] : null;
-
-                        // Build breadcrumbs
-                        const breadcrumbs = urlParts.slice(0, -1).map((_, i) => (
-                            `/${urlParts.slice(0, i + 1).join('/')}`
-                        ));
-
-                        const pageData = {
-                            file: parsed.file,
-                            url: fullUrl,
-                            name: parsed.title,
-                            title: parsed.title, // Will be updated with root title later
-                            section,
-                            breadcrumbs,
-                            ...parsed.meta,
-                        };
-
-                        pages[fullUrl] = pageData;
-                    }
+                if (hasChildren) {
+                    processItems(children, fullUrl, childrenArray);
                 }
             });
         }
 
-        processItems(items, parentUrl, sitemap);
+        processItems(SitemapSchema.normalize(items), parentUrl, sitemap);
 
         // Get root page title for suffix
         const rootPage = pages['/'];
-        const rootTitle = rootPage ? rootPage.name : 'VoyahChat';
+        const rootTitle = rootPage ? rootPage.name : SITE.rootTitle;
 
         // Load password data if available
         let passwordData = null;
@@ -448,7 +525,7 @@ class SitemapBuilder {
             const passwordJsonPath = path.join(
                 dir.getRoot(),
                 'external',
-                'voyahchat-content',
+                SITE.contentRepo,
                 'common',
                 'password.json',
             );
@@ -504,9 +581,74 @@ class SitemapBuilder {
             };
         });
 
+        SitemapBuilder.addPageNavigation(sitemap, pages);
+
         return { sitemap, pages, urlMapping };
     }
 
+    /**
+     * Compute prev/next/parent links from the ordered navigation tree
+     * Every page gets `pager` from its home section. A cross-section entry also
+     * gets `pagerContexts[parentUrl]`, the links among its neighbours in that
+     * section, so the page can offer them to readers coming from there.
+     * Top-level entries (sections) have no pager.
+     * @param {Array} sitemap - Navigation tree from processSitemap
+     * @param {Object} pages - Page records keyed by URL (updated in place)
+     */
+    static addPageNavigation(sitemap, pages) {
+        Object.values(pages).forEach((pageData) => {
+            delete pageData.pager;
+            delete pageData.pagerContexts;
+        });
+
+        const toLink = (url, label) => (pages[url] ? { url, title: label || pages[url].name } : null);
+
+        function walk(nodes, parentUrl) {
+            const entries = nodes.map((node) => {
+                if (typeof node === 'string') {
+                    return { url: node, label: null, children: [] };
+                }
+
+                const [url, value] = Object.entries(node)[0];
+
+                return Array.isArray(value)
+                    ? { url, label: null, children: value }
+                    : { url, label: value, children: [] };
+            });
+
+            entries.forEach((entry, i) => {
+                const pageData = pages[entry.url];
+
+                if (parentUrl && pageData) {
+                    const prev = entries[i - 1];
+                    const next = entries[i + 1];
+                    const pager = {
+                        prev: prev ? toLink(prev.url, prev.label) : null,
+                        next: next ? toLink(next.url, next.label) : null,
+                        parent: toLink(parentUrl),
+                    };
+
+                    if (SitemapBuilder.isCrossSection(entry.url, parentUrl)) {
+                        pageData.pagerContexts = { ...pageData.pagerContexts, [parentUrl]: pager };
+                    } else {
+                        pageData.pager = pager;
+                    }
+                }
+
+                walk(entry.children, entry.url);
+            });
+        }
+
+        walk(sitemap, null);
+
+        // Pages listed only as cross-section entries use their first context
+        Object.values(pages).forEach((pageData) => {
+            if (!pageData.pager && pageData.pagerContexts) {
+                pageData.pager = Object.values(pageData.pagerContexts)[0];
+            }
+        });
+    }
+
     /**
      * Get last modification date(s) from Git for file(s)
      * Performance optimization: reduces N Git calls to 1 call for multiple files
@@ -647,12 +789,10 @@ class SitemapBuilder {
             const buildDir = this.dir.getBuild();
             const siteDir = this.dir.getSite();
 
-            // Read sitemap.yml as YAML
-            const sitemapPath = this.options.sitemapPath || path.join(projectRoot, 'config', 'sitemap.yml');
+            // Read sitemap.yml and validate it against the schema
+            const sitemapPath = this.options.sitemapPath || path.join(this.dir.getConfig(), 'sitemap.yml');
             const sitemapContent = await fs.readFile(sitemapPath, 'utf8');
-
-            // Parse the indented sitemap format directly from content
-            const navigation = SitemapBuilder.parseIndentedSitemap(sitemapContent);
+            const navigation = SitemapSchema.parse(sitemapContent, path.relative(projectRoot, sitemapPath));
 
             // Ensure build directory exists
             await this.dir.ensure(buildDir);
@@ -686,6 +826,29 @@ class SitemapBuilder {
                 }
             });
 
+            // Merge validated front matter into page records before rendering
+            const contentDir = path.join(projectRoot, 'external', SITE.contentRepo);
+
+            Object.values(result.pages).forEach((pageData) => {
+                const fullPath = path.join(contentDir, pageData.file);
+
+                if (!fsSync.existsSync(fullPath)) {
+                    return;
+                }
+
+                const { fields } = FrontMatter.parse(fsSync.readFileSync(fullPath, 'utf8'), pageData.file);
+                Object.assign(pageData, fields);
+            });
+
+            // Drafts and scheduled pages stay out of navigation, sitemap.xml, search
+            // and HTML unless the preview mode (--drafts) is enabled
+            const unpublished = SitemapBuilder.findUnpublished(result.pages);
+
+            if (!this.options.drafts && unpublished.size > 0) {
+                result.sitemap = SitemapBuilder.removeFromNavigation(result.sitemap, unpublished);
+                SitemapBuilder.addPageNavigation(result.sitemap, result.pages);
+            }
+
             // Create sitemap object with mappings for document processing
             const sitemapWithMappings = {
                 sitemap: result.sitemap,
@@ -693,45 +856,167 @@ class SitemapBuilder {
                 md2url,
                 md2urls,
                 url2md,
+                unpublished,
+                drafts: Boolean(this.options.drafts),
             };
 
             // Extract headings from all markdown files for anchor mapping
-            const contentDir = path.join(projectRoot, 'external', 'voyahchat-content');
             const pages = { ...result.pages };
 
-            // Process all pages using the new processDocument function
-            const pagePromises = Object.entries(result.pages).map(async ([url, pageData]) => {
-                const filePath = pageData.file;
-                if (!filePath) return;
+            if (!this.options.drafts) {
+                unpublished.forEach((url) => {
+                    delete pages[url];
+                });
+            }
 
-                try {
-                    const fullPath = path.join(contentDir, filePath);
+            // Shared markdown files point search engines at one primary URL
+            SitemapBuilder.assignCanonicalUrls(pages, md2urls);
+
+            // Persistent render cache: pages rendered from the same content in the same
+            // context reuse their HTML unless the anchors they link to have changed
+            const imageMapping = getImageMapping();
+            const partnerLinks = Partners.buildPartnerLinks(Partners.load(
+                this.options.partnersPath || path.join(this.dir.getConfig(), 'partners.yml'),
+            ));
+            const applicability = Applicability.fromPages(result.pages, SITE.models);
+            const cache = this.options.cache === false
+                ? null
+                : new RenderCache(path.join(this.dir.getCache(), 'render.json')).load();
+            const contextHash = RenderCache.hash(JSON.stringify({
+                renderer: RenderCache.rendererVersion(),
+                // Links to the site and to asset repositories are rewritten with these
+                site: {
+                    baseUrl: SITE.baseUrl,
+                    contentRepo: SITE.contentRepo,
+                    assetRepos: SITE.assetRepos,
+                    githubRawBase: SITE.githubRawBase,
+                },
+                imageMapping,
+                partnerLinks,
+                applicability,
+                md2url,
+                md2urls,
+                url2md,
+                unpublished: [...unpublished].sort(),
+                drafts: sitemapWithMappings.drafts,
+            }));
+            const contentHashes = new Map();
+            const cachedEntries = new Map();
+
+            // Heading-extraction pass: anchor maps of every page are known before rendering,
+            // so pages render independently of each other (in any order, in any thread)
+            const md = createMarkdownInstance({ imageMapping, sitemap: sitemapWithMappings, applicability });
+            const anchorMaps = new Map();
+
+            Object.entries(pages).forEach(([url, pageData]) => {
+                const fullPath = path.join(contentDir, pageData.file);
+
+                if (!fsSync.existsSync(fullPath)) {
+                    return;
+                }
 
-                    // Use processDocument for lazy anchor resolution
-                    const html = processDocument(url, fullPath, sitemapWithMappings, {
-                        imageMapping: getImageMapping(),
-                    }, this.dir);
+                const source = fsSync.readFileSync(fullPath);
+                const contentHash = RenderCache.hash(source);
+                const entry = cache && cache.lookup(url, contentHash, contextHash);
+                contentHashes.set(url, contentHash);
 
-                    // Add HTML to page data
-                    pages[url] = {
-                        ...pageData,
-                        html,
-                    };
+                // Anchors depend only on the page's own content, so cached ones are still valid
+                if (entry) {
+                    cachedEntries.set(url, entry);
+                    anchorMaps.set(url, new Map(entry.anchors));
+                    return;
+                }
+
+                try {
+                    anchorMaps.set(url, extractAnchorMap(md, FrontMatter.strip(source.toString('utf8')), {
+                        page: { inputPath: `${CONTENT_PREFIX}${pageData.file}` },
+                        _sitemap: sitemapWithMappings,
+                        _currentUrl: url,
+                    }));
                 } catch (error) {
+                    // Reported when the page itself is rendered
+                }
+            });
+
+            // Render changed pages and cached pages whose linked anchors changed
+            const jobs = Object.entries(pages)
+                .filter(([url, pageData]) => pageData.file && (
+                    !cachedEntries.has(url) || !RenderCache.isFresh(cachedEntries.get(url), anchorMaps)
+                ))
+                .map(([url, pageData]) => ({ url, filePath: path.join(contentDir, pageData.file) }));
+            const shared = {
+                sitemap: sitemapWithMappings,
+                anchorMaps,
+                imageMapping,
+                partnerLinks,
+                applicability,
+                root: projectRoot,
+            };
+            const workers = this.options.workers || RenderPool.defaultSize();
+            const rendered = workers > 1 && jobs.length > 1
+                ? await new RenderPool(workers).render(jobs, shared)
+                : new Map(jobs.map((job) => [job.url, SitemapBuilder.renderJob(job, shared)]));
+
+            // Results are merged in sitemap order, so the output does not depend on the pool
+            Object.entries(pages).forEach(([url, pageData]) => {
+                const entry = cachedEntries.get(url);
+                const renderResult = rendered.get(url);
+
+                if (renderResult && renderResult.error) {
+                    // Links to unpublished pages must fail the build
+                    if (renderResult.error.startsWith(UNPUBLISHED_LINK_ERROR)) {
+                        throw new Error(renderResult.error);
+                    }
+
                     // If file doesn't exist or can't be read, keep original page data without HTML
                     // During tests, don't output to console - tests must be silent
                     if (process.env.NODE_ENV !== 'test') {
-                        console.warn(`Warning: Could not process ${filePath}: ${error.message}`);
+                        console.warn(`Warning: Could not process ${pageData.file}: ${renderResult.error}`);
                     }
                     pages[url] = {
                         ...pageData,
                         html: '',
                     };
+                } else if (renderResult) {
+                    const { html, headings, dependencies } = renderResult;
+
+                    if (cache && contentHashes.has(url)) {
+                        cache.misses += 1;
+                        cache.set(url, {
+                            contentHash: contentHashes.get(url),
+                            contextHash,
+                            html,
+                            headings,
+                            anchors: [...(anchorMaps.get(url) || [])],
+                            dependencies: Object.fromEntries(dependencies.map((depUrl) => (
+                                [depUrl, RenderCache.hashAnchors(anchorMaps.get(depUrl))]
+                            ))),
+                        });
+                    }
+
+                    // Add HTML and table of contents to page data
+                    pages[url] = {
+                        ...pageData,
+                        html,
+                        toc: SitemapBuilder.buildToc(headings, pageData),
+                    };
+                } else if (entry) {
+                    cache.hits += 1;
+                    pages[url] = {
+                        ...pageData,
+                        html: entry.html,
+                        toc: SitemapBuilder.buildToc(entry.headings, pageData),
+                    };
                 }
             });
 
-            // Wait for all page processing to complete
-            await Promise.all(pagePromises);
+            if (cache) {
+                this.cacheStats = { hits: cache.hits, misses: cache.misses };
+
+                if (!this.options.skipWrite) {
+                    cache.save(Object.keys(pages));
+                }
+            }
 
             // HTML is already correctly generated with proper anchors and links
             // No post-processing needed as per AGENTS.md rule
@@ -740,9 +1025,12 @@ class SitemapBuilder {
             const optimizedStructure = {
                 sitemap: result.sitemap,
                 pages, // Use pages with HTML
-                md2url,
-                md2urls,
-                url2md,
+                ...SitemapBuilder.filterMappings({ md2url, md2urls, url2md }, pages),
+                // Files of sitemap.yml entries left out of the build, still in use (build:audit)
+                unpublishedFiles: [...new Set([...unpublished]
+                    .filter((url) => !pages[url])
+                    .map((url) => result.pages[url].file))].sort(),
+                errorPages: SitemapBuilder.buildErrorPages(contentDir, shared),
             };
 
             // Write optimized structure to .build/sitemap.json unless skipWrite is true
@@ -764,13 +1052,16 @@ class SitemapBuilder {
                 const sitemapXmlPath = path.join(xmlDir, 'sitemap.xml');
 
                 // Generate sitemap.xml content with batch Git optimization
-                const contentDir = path.join(projectRoot, 'external', 'voyahchat-content');
+                const contentDir = path.join(projectRoot, 'external', SITE.contentRepo);
 
                 // Get all file paths for batch processing
                 const filePaths = Object.values(pages).map(pageData => pageData.file);
                 const lastModDates = await SitemapBuilder.getLastModFromGit(filePaths, contentDir, this.dir);
 
-                const urlEntries = Object.entries(pages).map(([url, pageData]) => {
+                // Only canonical URLs are listed; noindex pages are kept out of sitemap.xml
+                const indexedPages = Object.entries(pages)
+                    .filter(([url, pageData]) => !pageData.noindex && pageData.canonicalUrl === url);
+                const urlEntries = indexedPages.map(([url, pageData]) => {
                     const lastmod = lastModDates.get(pageData.file);
                     const lastmodTag = lastmod ? `<lastmod>${lastmod}</lastmod>` : '';
 
@@ -800,7 +1091,7 @@ class SitemapBuilder {
                     fileStats.size,
                     {
                         url: '/sitemap.xml',
-                        urlsCount: Object.keys(result.pages).length,
+                        urlsCount: indexedPages.length,
                     },
                 );
                 await statsInstance.save();
@@ -817,7 +1108,6 @@ module.exports = {
     SitemapBuilder,
     parseSitemapLine: SitemapBuilder.parseSitemapLine,
     buildFullUrl: SitemapBuilder.buildFullUrl,
-    parseIndentedSitemap: SitemapBuilder.parseIndentedSitemap,
     processSitemap: SitemapBuilder.processSitemap,
     getLastModFromGit: SitemapBuilder.getLastModFromGit,
     extractHeadingsFromMarkdown: SitemapBuilder.extractHeadingsFromMarkdown,
@@ -826,7 +1116,13 @@ module.exports = {
 
 // Run the script
 if (require.main === module) {
-    const builder = new SitemapBuilder();
+    const args = process.argv.slice(2);
+    const workersIndex = args.indexOf('--workers');
+    const builder = new SitemapBuilder({
+        drafts: args.includes('--drafts'),
+        cache: !args.includes('--no-cache'),
+        workers: workersIndex !== -1 ? Number(args[workersIndex + 1]) : undefined,
+    });
     builder.build().catch((error) => {
         console.error('Error:', error.message);
         process.exit(1);
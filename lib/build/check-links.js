@@ -0,0 +1,275 @@
+/**
+ * Build Script: Link Checker
+ *
+ * Responsibilities:
+ * - Walk every generated page in site/html
+ * - Resolve internal hrefs (markdown, raw HTML and template links) against the
+ *   flat-file URL scheme of HTMLBuilder.urlToFlatFilename
+ * - Check #anchors against the element ids of the target page
+ * - Follow permanent redirects from .build/redirects.json
+ * - Report broken pages and anchors with the source markdown file and line
+ *
+ * Runs after build:html, standalone (`npm run check:links`) and in `npm test` (integrity.test.js).
+ *
+ * Dependencies: None (uses Node.js built-ins)
+ * Output: .build/check-links.json
+ *
+ * @module build/check-links
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { Dir } = require('../utils/dir');
+const { BASE_URL, SITE } = require('./constants');
+const { HTMLBuilder } = require('./build-html');
+
+/**
+ * Link Checker
+ *
+ * Verifies internal links and anchors of the rendered site
+ * - Reads site/html/*.html, .build/sitemap.json and .build/redirects.json
+ * - Outputs the list of broken links
+ */
+class LinkChecker {
+    constructor(options = {}, dir = Dir) {
+        this.options = options;
+        this.dir = dir;
+    }
+
+    /**
+     * Remove code blocks and inline code, whose text may look like markup
+     * @param {string} html - Page HTML
+     * @returns {string} HTML without <pre> and <code> contents
+     */
+    static stripCode(html) {
+        return html
+            .replace(/<pre[\s>][\s\S]*?<\/pre>/gi, '')
+            .replace(/<code[\s>][\s\S]*?<\/code>/gi, '');
+    }
+
+    /**
+     * Collect attribute values of the given name (quoted or unquoted)
+     * @param {string} html - Page HTML
+     * @param {string} name - Attribute name
+     * @returns {string[]} Attribute values in document order
+     */
+    static extractAttributes(html, name) {
+        const values = [];
+        const regex = new RegExp(`\\s${name}=(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'g');
+        let match;
+
+        while ((match = regex.exec(html)) !== null) {
+            values.push((match[1] ?? match[2] ?? match[3]).replace(/&amp;/g, '&'));
+        }
+
+        return values;
+    }
+
+    /**
+     * Collect element ids (and legacy a[name] targets) of a page
+     * @param {string} html - Page HTML
+     * @returns {Set<string>} Fragment targets
+     */
+    static extractIds(html) {
+        const source = LinkChecker.stripCode(html);
+
+        return new Set([
+            ...LinkChecker.extractAttributes(source, 'id'),
+            ...LinkChecker.extractAttributes(source, 'name'),
+        ]);
+    }
+
+    /**
+     * Resolve an href to an internal page URL and fragment
+     * Links to files (extension or /_ prefix for hashed assets) and other hosts are skipped.
+     * @param {string} href - Link target
+     * @param {string} pageUrl - URL of the page containing the link
+     * @returns {{url: string, anchor: string}|null} Target, or null if not an internal page link
+     */
+    static resolveHref(href, pageUrl) {
+        if (!href || /^(mailto|tel|javascript|data):/i.test(href)) {
+            return null;
+        }
+
+        let resolved;
+        let url;
+
+        try {
+            resolved = new URL(href, `${BASE_URL}${pageUrl}`);
+            url = HTMLBuilder.cleanUrl(decodeURIComponent(resolved.pathname));
+        } catch (error) {
+            return null;
+        }
+
+        if (resolved.origin !== BASE_URL) {
+            return null;
+        }
+
+        if (path.extname(url) !== '' || url.startsWith('/_')) {
+            return null;
+        }
+
+        let anchor = resolved.hash.slice(1);
+
+        try {
+            anchor = decodeURIComponent(anchor);
+        } catch (error) {
+            // Keep the encoded anchor
+        }
+
+        return { url, anchor };
+    }
+
+    /**
+     * Find the line of a link in its markdown source
+     * Tries the literal href, then the anchor and the target file name.
+     * @param {string} content - Markdown file content
+     * @param {string[]} needles - Strings to look for, in order of preference
+     * @returns {number|null} 1-based line number
+     */
+    static findSourceLine(content, needles) {
+        const lines = content.split('\n');
+
+        for (const needle of needles.filter(Boolean)) {
+            const index = lines.findIndex((line) => line.includes(needle));
+
+            if (index !== -1) {
+                return index + 1;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check links of all pages
+     * @param {Map<string, string>} pages - Page URL to HTML
+     * @param {Object} [redirects={}] - Redirect source URL to target URL
+     * @returns {Array<{url: string, href: string, reason: string}>} Broken links
+     */
+    static check(pages, redirects = {}) {
+        const ids = new Map();
+        const getIds = (url) => {
+            if (!ids.has(url)) {
+                ids.set(url, LinkChecker.extractIds(pages.get(url)));
+            }
+            return ids.get(url);
+        };
+        const broken = [];
+
+        pages.forEach((html, pageUrl) => {
+            const hrefs = new Set(LinkChecker.extractAttributes(LinkChecker.stripCode(html), 'href'));
+
+            hrefs.forEach((href) => {
+                const target = LinkChecker.resolveHref(href, pageUrl);
+
+                if (!target) {
+                    return;
+                }
+
+                // Redirects to other sites are not checked
+                const redirect = redirects[target.url];
+                if (redirect && !redirect.startsWith('/')) {
+                    return;
+                }
+
+                const targetUrl = redirect ? HTMLBuilder.cleanUrl(redirect.split('#')[0]) : target.url;
+
+                if (!pages.has(targetUrl)) {
+                    broken.push({ url: pageUrl, href, reason: `page ${targetUrl} not found` });
+                } else if (target.anchor && !getIds(targetUrl).has(target.anchor)) {
+                    broken.push({ url: pageUrl, href, reason: `anchor #${target.anchor} not found on ${targetUrl}` });
+                }
+            });
+        });
+
+        return broken;
+    }
+
+    /**
+     * Check the generated site
+     * @returns {Promise<Array>} Broken links with source markdown file and line
+     * @throws {Error} If site/html is missing, or if broken links are found
+     */
+    async build() {
+        try {
+            const htmlDir = path.join(this.dir.getSite(), 'html');
+            const buildDir = this.dir.getBuild();
+            const contentDir = path.join(this.dir.getRoot(), 'external', SITE.contentRepo);
+
+            if (!fsSync.existsSync(htmlDir)) {
+                throw new Error('site/html not found, run build:html first');
+            }
+
+            const readJson = (filename, fallback) => {
+                const filePath = path.join(buildDir, filename);
+                return fsSync.existsSync(filePath) ? JSON.parse(fsSync.readFileSync(filePath, 'utf8')) : fallback;
+            };
+            const sitemap = readJson('sitemap.json', { pages: {}, url2md: {} });
+            const redirects = Object.fromEntries(readJson('redirects.json', []).map(({ from, to }) => [from, to]));
+
+            // Flat file names are ambiguous ("_" is also a valid URL character), so map them through sitemap URLs
+            const flatToUrl = new Map(Object.keys(sitemap.pages).map((url) => (
+                [HTMLBuilder.urlToFlatFilename(url), url]
+            )));
+            const files = (await fs.readdir(htmlDir)).filter((file) => file.endsWith('.html')).sort();
+            const pages = new Map();
+
+            for (const file of files) {
+                const url = flatToUrl.get(file) || `/${file.slice(0, -'.html'.length).replace(/_/g, '/')}`;
+                pages.set(url === '/index' ? '/' : url, await fs.readFile(path.join(htmlDir, file), 'utf8'));
+            }
+
+            const broken = LinkChecker.check(pages, redirects).map((link) => {
+                const pageData = sitemap.pages[link.url];
+                const sourcePath = pageData && pageData.file ? path.join(contentDir, pageData.file) : null;
+
+                if (!sourcePath || !fsSync.existsSync(sourcePath)) {
+                    return { ...link, source: null };
+                }
+
+                const target = LinkChecker.resolveHref(link.href, link.url);
+                const line = LinkChecker.findSourceLine(fsSync.readFileSync(sourcePath, 'utf8'), [
+                    link.href,
+                    target.anchor && `#${target.anchor}`,
+                    sitemap.url2md[target.url] && path.basename(sitemap.url2md[target.url]),
+                    target.url,
+                ]);
+
+                // Links not found in the markdown come from templates
+                return { ...link, source: line ? `${pageData.file}:${line}` : null };
+            });
+
+            if (!this.options.skipWrite) {
+                await fs.writeFile(path.join(buildDir, 'check-links.json'), JSON.stringify(broken, null, 4), 'utf8');
+            }
+
+            if (broken.length > 0) {
+                const list = broken.map(({ url, href, reason, source }) => (
+                    `${source || `${HTMLBuilder.urlToFlatFilename(url)} (template)`}: "${href}" - ${reason}`
+                ));
+                throw new Error(`${broken.length} broken link(s):\n  ${list.join('\n  ')}`);
+            }
+
+            return broken;
+        } catch (error) {
+            throw new Error(`Link check failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    LinkChecker,
+};
+
+// Only run if called directly (not when imported for testing)
+if (require.main === module) {
+    const checker = new LinkChecker();
+    checker.build()
+        .then(() => console.log('All internal links and anchors are valid'))
+        .catch((error) => {
+            console.error('Error:', error.message);
+            process.exit(1);
+        });
+}
@@ -7,11 +7,19 @@
  * @module build/constants
  */
 
+const { SiteConfig } = require('./site-config');
+
 /**
- * CSS bundles to process
+ * Site settings of the config directory (config/site.json)
+ * @constant {Object}
+ */
+const SITE = SiteConfig.load();
+
+/**
+ * CSS and JS bundles to process (site.json: bundles)
  * @constant {string[]}
  */
-const BUNDLES = ['page', 'page-index'];
+const BUNDLES = SITE.bundles;
 
 /**
  * Indentation size for YAML parsing (spaces per level)
@@ -38,16 +46,59 @@ const COMPRESSIBLE_EXTENSIONS = ['.html', '.css', '.js', '.svg', '.xml'];
 const MAX_HEADING_LEVEL = 6;
 
 /**
- * Base URL for sitemap.xml
+ * Deepest heading level listed in a page table of contents (per page: tocDepth)
+ * @constant {number}
+ */
+const TOC_DEPTH = 3;
+
+/**
+ * Minimum number of headings for a page to get a table of contents
+ * @constant {number}
+ */
+const TOC_MIN_HEADINGS = 3;
+
+/**
+ * Base URL for sitemap.xml, canonical links and asset links (site.json: baseUrl)
  * @constant {string}
  */
-const BASE_URL = 'https://voyahchat.ru';
+const BASE_URL = SITE.baseUrl;
+
+/**
+ * Maximum length of a description derived from page content (og:description)
+ * @constant {number}
+ */
+const OG_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Error pages rendered by the build (site/html/{code}.html)
+ * The default message is used when the content repository has no {code}.md file.
+ * @constant {Object<string, {name: string, message: string}>}
+ */
+const ERROR_PAGES = {
+    404: {
+        name: 'Страница не найдена',
+        message: 'Такой страницы нет на сайте. Возможно, она переехала или в адресе опечатка.',
+    },
+    500: {
+        name: 'Ошибка сервера',
+        message: 'Что-то пошло не так. Попробуйте обновить страницу через несколько минут.',
+    },
+    503: {
+        name: 'Технические работы',
+        message: 'Сайт обновляется и скоро снова будет доступен.',
+    },
+};
 
 module.exports = {
+    SITE,
     BUNDLES,
     INDENT_SIZE,
     SUPPORTED_IMAGE_FORMATS,
     COMPRESSIBLE_EXTENSIONS,
     MAX_HEADING_LEVEL,
+    TOC_DEPTH,
+    TOC_MIN_HEADINGS,
     BASE_URL,
+    OG_DESCRIPTION_LENGTH,
+    ERROR_PAGES,
 };
@@ -0,0 +1,200 @@
+/**
+ * Front Matter
+ *
+ * Responsibilities:
+ * - Extract YAML front matter from the top of content markdown files
+ * - Strip it before markdown-it rendering (line numbers are preserved)
+ * - Validate keys and value types against FRONT_MATTER_SCHEMA
+ * - Map front matter keys to page record fields
+ *
+ * Format:
+ *
+ *   ---
+ *   description: Замена АКБ 12V
+ *   applies_to: [free, dreamer]
+ *   noindex: true
+ *   ---
+ *   # Heading
+ *
+ * Dependencies: js-yaml, build/sitemap-schema (value types)
+ *
+ * @module build/front-matter
+ */
+
+const yaml = require('js-yaml');
+const { SitemapSchema } = require('./sitemap-schema');
+
+/**
+ * Accepted front matter keys.
+ * `field` is the page record property the value is merged into.
+ */
+const FRONT_MATTER_SCHEMA = {
+    title: { type: 'string', field: 'title', description: 'Replaces the generated <title>' },
+    description: { type: 'string', field: 'description', description: 'Text for <meta name="description">' },
+    keywords: { type: 'string[]', field: 'keywords', description: 'Text for <meta name="keywords">' },
+    noindex: { type: 'boolean', field: 'noindex', description: 'Ask robots not to index the page' },
+    draft: { type: 'boolean', field: 'draft', description: 'Page is not ready for publishing' },
+    publish_at: { type: 'date', field: 'publishAt', description: 'Page is a draft until this ISO date' },
+    applies_to: { type: 'string[]', field: 'appliesTo', description: 'Car models the page applies to' },
+    og_image: { type: 'string', field: 'ogImage', description: 'Image for social network previews' },
+    toc: { type: 'boolean', field: 'toc', description: 'Set to false to hide the table of contents' },
+    toc_depth: { type: 'number', field: 'tocDepth', description: 'Deepest heading level in the table of contents' },
+    redirect_from: { type: 'string[]', field: 'redirectFrom', description: 'Old URLs that redirect to this page' },
+    howto: { type: 'string', field: 'howto', description: 'Heading whose ordered list is published as HowTo steps' },
+};
+
+/**
+ * Opening and closing delimiter line
+ */
+const DELIMITER = '---';
+
+/**
+ * Front Matter
+ *
+ * Parses and validates YAML front matter of markdown files
+ */
+class FrontMatter {
+    /**
+     * Split markdown content into front matter and body
+     * The front matter block is replaced by empty lines, so line numbers
+     * reported for the body still match the source file.
+     * A leading "---" without a closing one is a thematic break, not front matter.
+     * @param {string} content - Markdown file content
+     * @param {string} [filePath='markdown'] - File name for error messages
+     * @returns {{data: Object, body: string}} Raw front matter data and markdown body
+     * @throws {Error} "<file>:<line>: front matter ..." on invalid YAML
+     */
+    static extract(content, filePath = 'markdown') {
+        const lines = content.split('\n');
+        const end = FrontMatter.findEnd(lines);
+
+        if (end === -1) {
+            return { data: {}, body: content };
+        }
+
+        let data;
+
+        try {
+            data = yaml.load(lines.slice(1, end).join('\n'));
+        } catch (error) {
+            const line = error.mark ? error.mark.line + 2 : 1;
+            throw new Error(`${filePath}:${line}: front matter: ${error.reason || error.message}`);
+        }
+
+        if (data === undefined || data === null) {
+            data = {};
+        }
+
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`${filePath}:2: front matter must be a mapping of keys`);
+        }
+
+        const body = lines.map((line, i) => (i <= end ? '' : line)).join('\n');
+
+        return { data, body };
+    }
+
+    /**
+     * Remove front matter from markdown content, keeping line numbers
+     * @param {string} content - Markdown file content
+     * @returns {string} Markdown body
+     */
+    static strip(content) {
+        return FrontMatter.extract(content).body;
+    }
+
+    /**
+     * Validate front matter data and map it to page record fields
+     * @param {Object} data - Raw front matter data
+     * @param {string} content - Markdown file content (for line numbers)
+     * @param {string} [filePath='markdown'] - File name for error messages
+     * @returns {Object} Page fields, e.g. { description, appliesTo }
+     * @throws {Error} "<file>:<line>: front matter ..." on unknown keys or wrong types
+     */
+    static validate(data, content, filePath = 'markdown') {
+        const fields = {};
+
+        Object.entries(data).forEach(([key, value]) => {
+            const spec = FRONT_MATTER_SCHEMA[key];
+            const location = `${filePath}:${FrontMatter.findKeyLine(content, key)}`;
+
+            if (!spec) {
+                const allowed = Object.keys(FRONT_MATTER_SCHEMA).join(', ');
+                throw new Error(`${location}: front matter: unknown key "${key}" (allowed: ${allowed})`);
+            }
+
+            if (!FrontMatter.isType(value, spec.type)) {
+                throw new Error(`${location}: front matter: "${key}" must be ${FrontMatter.describeType(spec.type)}`);
+            }
+
+            fields[spec.field] = value instanceof Date ? value.toISOString() : value;
+        });
+
+        return fields;
+    }
+
+    /**
+     * Extract and validate front matter in one step
+     * @param {string} content - Markdown file content
+     * @param {string} [filePath='markdown'] - File name for error messages
+     * @returns {{fields: Object, body: string}} Page fields and markdown body
+     */
+    static parse(content, filePath = 'markdown') {
+        const { data, body } = FrontMatter.extract(content, filePath);
+
+        return { fields: FrontMatter.validate(data, content, filePath), body };
+    }
+
+    /**
+     * Check a value against a schema type
+     * @param {*} value - Value to check
+     * @param {string} type - 'string', 'boolean', 'number', 'string[]' or 'date'
+     * @returns {boolean} True if the value matches
+     */
+    static isType(value, type) {
+        return SitemapSchema.isType(value, type);
+    }
+
+    /**
+     * Describe a schema type for error messages
+     * @param {string} type - Schema type
+     * @returns {string} Human-readable type
+     */
+    static describeType(type) {
+        return SitemapSchema.describeType(type);
+    }
+
+    /**
+     * Find the closing delimiter of the front matter block
+     * @param {Array<string>} lines - Markdown file lines
+     * @returns {number} Index of the closing line (-1 without front matter)
+     */
+    static findEnd(lines) {
+        if (lines[0].replace(/^\uFEFF/, '').trimEnd() !== DELIMITER) {
+            return -1;
+        }
+
+        return lines.findIndex((line, i) => i > 0 && line.trimEnd() === DELIMITER);
+    }
+
+    /**
+     * Find the 1-based line of a front matter key
+     * Only the front matter block is searched, not the markdown body.
+     * @param {string} content - Markdown file content
+     * @param {string} key - Front matter key
+     * @returns {number} Line number (1 if not found)
+     */
+    static findKeyLine(content, key) {
+        const lines = content.split('\n');
+        const index = lines
+            .slice(0, Math.max(FrontMatter.findEnd(lines), 0))
+            .findIndex((line) => line.startsWith(`${key}:`));
+
+        return index === -1 ? 1 : index + 1;
+    }
+}
+
+module.exports = {
+    FrontMatter,
+    FRONT_MATTER_SCHEMA,
+};
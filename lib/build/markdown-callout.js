@@ -0,0 +1,47 @@
+/**
+ * Markdown-it callout plugin
+ *
+ * Syntax:
+ *   ::: warning Перед сбросом к заводским настройкам
+ *   Any markdown: lists, code, images, [links](../free/reset.md).
+ *   :::
+ *
+ * Kinds: info, tip, warning, danger. Without a title the default title
+ * of the kind is used. Markdown container (see registerContainer in
+ * build/markdown): the body is parsed as regular block markdown, so links
+ * and images go through the same renderers as the rest of the page;
+ * callouts may contain other containers.
+ *
+ * @module build/markdown-callout
+ */
+
+const { formatAttribute, registerContainer } = require('./markdown');
+
+/**
+ * Default titles by kind
+ */
+const CALLOUT_TITLES = {
+    info: 'Примечание',
+    tip: 'Совет',
+    warning: 'Внимание',
+    danger: 'Опасно',
+};
+
+function calloutPlugin(md) {
+    Object.entries(CALLOUT_TITLES).forEach(([kind, defaultTitle]) => {
+        registerContainer(md, kind, {
+            markdown: true,
+            open(token, env) {
+                const title = md.renderInline(token.meta.params || defaultTitle, env);
+
+                return `<div ${formatAttribute('class', `markdown-callout markdown-callout_type_${kind}`)} role=note>`
+                    + `<div class=markdown-callout__title>${title}</div>`;
+            },
+            close() {
+                return '</div>';
+            },
+        });
+    });
+}
+
+module.exports = calloutPlugin;
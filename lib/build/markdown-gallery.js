@@ -9,55 +9,39 @@
  *
  * Generates horizontal scrollable gallery with Tobii lightbox.
  * Image paths transformed via transformImagePath + imageMapping.
+ * Raw container (see registerContainer in build/markdown): lines other
+ * than images are ignored.
  *
  * @module build/markdown-gallery
  */
 
-const { transformImagePath } = require('./markdown');
+const { registerContainer, transformImagePath } = require('./markdown');
 
-const GALLERY_OPEN = /^::: gallery\s*$/;
-const GALLERY_CLOSE = /^:::\s*$/;
 const IMAGE_RE = /^!\[([^\]]*)\]\(([^)]+)\)$/;
 
 function galleryPlugin(md, pluginOptions) {
-    md.core.ruler.before('block', 'markdown-gallery', function(state) {
-        const lines = state.src.split('\n');
-        const result = [];
-        let i = 0;
+    registerContainer(md, 'gallery', {
+        render(token, env) {
+            const images = [];
 
-        while (i < lines.length) {
-            if (GALLERY_OPEN.test(lines[i].trim())) {
-                i++;
-                const images = [];
+            token.content.split('\n').forEach((line) => {
+                const match = line.trim().match(IMAGE_RE);
+                if (match) {
+                    const alt = match[1];
+                    const originalSrc = match[2];
 
-                while (i < lines.length && !GALLERY_CLOSE.test(lines[i].trim())) {
-                    const match = lines[i].trim().match(IMAGE_RE);
-                    if (match) {
-                        const alt = match[1];
-                        const originalSrc = match[2];
+                    const transformOptions = {
+                        imageMapping: pluginOptions.imageMapping,
+                        env,
+                    };
+                    const src = transformImagePath(originalSrc, transformOptions);
 
-                        const transformOptions = {
-                            imageMapping: pluginOptions.imageMapping,
-                            env: state.env,
-                        };
-                        const src = transformImagePath(originalSrc, transformOptions);
-
-                        images.push({ alt, src });
-                    }
-                    i++;
-                }
-
-                if (images.length > 0) {
-                    result.push(renderGallery(images));
+                    images.push({ alt, src });
                 }
-                i++; // skip closing :::
-            } else {
-                result.push(lines[i]);
-                i++;
-            }
-        }
+            });
 
-        state.src = result.join('\n');
+            return images.length > 0 ? renderGallery(images) : '';
+        },
     });
 }
 
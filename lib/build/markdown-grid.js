@@ -2,92 +2,181 @@
  * Markdown-it grid plugin
  *
  * Syntax:
- *   ::: grid
- *   Title 1
- *   Description text for the first card.
+ *   ::: grid 3
+ *   ![](icons/film.svg)
+ *   [Антигравийная плёнка](../services/film.md)
+ *   Защита кузова от **сколов** и царапин.
  *
- *   Title 2
- *   Description text for the second card.
+ *   Цветная оклейка
+ *   🎨 Смена цвета без покраски.
  *   :::
  *
- * Generates a responsive 2-column grid of bordered cards.
- * Each blank-line-separated block becomes one card:
- * the first line is the card title, the remaining lines are the body text.
+ * Generates a responsive grid of bordered cards, 2 columns unless the
+ * number (1-4) follows the name. Each blank-line-separated block becomes
+ * one card: an optional image line (icon or picture), the title line
+ * (inline markdown) and the body (block markdown). Blank lines in fenced
+ * code and nested containers stay in the card. A title that is a
+ * single link makes the whole card clickable.
+ * Markdown container, see registerContainer in build/markdown.
  *
  * @module build/markdown-grid
  */
 
-const GRID_OPEN = /^::: grid\s*$/;
-const GRID_CLOSE = /^:::\s*$/;
+const { findContainerClose, getLineText, registerContainer } = require('./markdown');
 
-function escapeHtml(text) {
-    return text
-        .replace(/&/g, '&')
-        .replace(/</g, '<')
-        .replace(/>/g, '>');
+const DEFAULT_COLUMNS = 2;
+const MAX_COLUMNS = 4;
+const IMAGE_LINE = /^!\[[^\]]*\]\([^)]+\)$/;
+const LINK_LINE = /^\[[^\]]+\]\([^)]+\)$/;
+const CONTAINER_LINE = /^:::[ \t]*([\w-]+)/;
+const FENCE_LINE = /^(`{3,}|~{3,})/;
+
+/**
+ * Number of columns from the container params
+ * @throws {Error} If the params are not a number of columns
+ */
+function parseColumns(params) {
+    if (!params) {
+        return DEFAULT_COLUMNS;
+    }
+
+    const columns = Number(params);
+
+    if (!Number.isInteger(columns) || columns < 1 || columns > MAX_COLUMNS) {
+        throw new Error(`::: grid ${params}: columns must be a number from 1 to ${MAX_COLUMNS}`);
+    }
+
+    return columns;
+}
+
+/**
+ * Push an inline token wrapped in an element of the card
+ */
+function pushInline(state, part, line) {
+    state.push(`grid_${part}_open`, 'div', 1);
+
+    const inline = state.push('inline', '', 0);
+    inline.content = getLineText(state, line).trim();
+    inline.map = [line, line + 1];
+    inline.children = [];
+
+    state.push(`grid_${part}_close`, 'div', -1);
 }
 
-function renderGrid(innerSrc) {
-    const cells = innerSrc
-        .split(/\n[ \t]*\n/)
-        .map((cell) => cell.trim())
-        .filter((cell) => cell.length > 0);
-
-    let html = '<div class="markdown-grid">';
-
-    for (const cell of cells) {
-        const lineBreak = cell.indexOf('\n');
-        const title = lineBreak === -1
-            ? cell.trim()
-            : cell.slice(0, lineBreak).trim();
-        const description = lineBreak === -1
-            ? ''
-            : cell.slice(lineBreak + 1).trim();
-
-        html += '<div class="markdown-grid__item">';
-        if (title) {
-            html += `<div class="markdown-grid__title">${escapeHtml(title)}</div>`;
+/**
+ * Push the tokens of one card (lines startLine to endLine)
+ */
+function tokenizeCard(state, startLine, endLine) {
+    let line = startLine;
+    const hasImage = endLine - startLine > 1 && IMAGE_LINE.test(getLineText(state, line).trim());
+    const titleLine = hasImage ? line + 1 : line;
+
+    const item = state.push('grid_item_open', 'div', 1);
+    item.map = [startLine, endLine];
+    item.meta = { link: LINK_LINE.test(getLineText(state, titleLine).trim()) };
+
+    if (hasImage) {
+        pushInline(state, 'image', line++);
+    }
+
+    pushInline(state, 'title', line++);
+
+    if (line < endLine) {
+        state.push('grid_text_open', 'div', 1);
+        state.md.block.tokenize(state, line, endLine);
+        state.push('grid_text_close', 'div', -1);
+    }
+
+    state.push('grid_item_close', 'div', -1);
+}
+
+/**
+ * Find the blank line that ends a card; blank lines in fenced code and nested containers do not
+ * @returns {number} First line after the card
+ */
+function findCardEnd(state, startLine, endLine) {
+    let fence = null;
+
+    for (let line = startLine; line < endLine; line++) {
+        const text = getLineText(state, line);
+        const fenceMatch = text.match(FENCE_LINE);
+
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length
+                && !text.slice(fenceMatch[1].length).trim()) {
+                fence = null;
+            }
+            continue;
         }
-        if (description) {
-            const text = description.replace(/\n/g, ' ');
-            html += `<p class="markdown-grid__text">${escapeHtml(text)}</p>`;
+
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        const container = text.match(CONTAINER_LINE);
+
+        if (container && state.md.containers.has(container[1])) {
+            line = findContainerClose(state, line, endLine);
+            continue;
+        }
+
+        if (state.isEmpty(line)) {
+            return line;
         }
-        html += '</div>';
     }
 
-    html += '</div>';
-    return html;
+    return endLine;
 }
 
-function gridPlugin(md) {
-    md.core.ruler.before('block', 'markdown-grid', function(state) {
-        const lines = state.src.split('\n');
-        const result = [];
-        let i = 0;
-
-        while (i < lines.length) {
-            if (GRID_OPEN.test(lines[i].trim())) {
-                i++;
-                const inner = [];
-
-                while (i < lines.length && !GRID_CLOSE.test(lines[i].trim())) {
-                    inner.push(lines[i]);
-                    i++;
-                }
-
-                i++; // skip closing :::
-
-                if (inner.length > 0) {
-                    result.push(renderGrid(inner.join('\n')));
-                }
-            } else {
-                result.push(lines[i]);
-                i++;
-            }
+/**
+ * Split the container body into cards at blank lines
+ */
+function tokenizeGrid(state, startLine, endLine) {
+    let line = startLine;
+
+    while (line < endLine) {
+        if (state.isEmpty(line)) {
+            line++;
+            continue;
         }
 
-        state.src = result.join('\n');
+        const cardEnd = findCardEnd(state, line, endLine);
+
+        tokenizeCard(state, line, cardEnd);
+        line = cardEnd;
+    }
+
+    state.line = endLine;
+}
+
+function gridPlugin(md) {
+    registerContainer(md, 'grid', {
+        markdown: true,
+        tokenize: tokenizeGrid,
+        open(token) {
+            const columns = parseColumns(token.meta.params);
+            const modifier = columns === DEFAULT_COLUMNS ? '' : ` markdown-grid_columns_${columns}`;
+
+            return `<div class="markdown-grid${modifier}">`;
+        },
+        close() {
+            return '</div>';
+        },
+    });
+
+    md.renderer.rules.grid_item_open = (tokens, idx) => (
+        tokens[idx].meta.link
+            ? '<div class="markdown-grid__item markdown-grid__item_link">'
+            : '<div class="markdown-grid__item">'
+    );
+
+    ['image', 'title', 'text'].forEach((part) => {
+        md.renderer.rules[`grid_${part}_open`] = () => `<div class="markdown-grid__${part}">`;
+        md.renderer.rules[`grid_${part}_close`] = () => '</div>';
     });
+
+    md.renderer.rules.grid_item_close = () => '</div>';
 }
 
 module.exports = gridPlugin;
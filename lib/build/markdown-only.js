@@ -0,0 +1,157 @@
+/**
+ * Markdown-it conditional content plugin
+ *
+ * Syntax:
+ *   ::: only free 2024+
+ *   Block markdown for Free cars from 2024 on.
+ *   :::
+ *
+ *   Inline: Откройте {only dreamer}шторку и {/only}меню настроек.
+ *
+ * Generates the content with a badge of its condition (models and years,
+ * see build/applicability). Conditions are checked against the vocabulary
+ * of models and years from the sitemap (options.vocabulary) when it is given.
+ * Pages with conditional content get a hidden "my car" filter after the h1
+ * that markdown-only.js shows and uses to hide content for other cars; the
+ * HTML keeps all of it, so search and sitemap index the full page.
+ * Markdown container, see registerContainer in build/markdown.
+ *
+ * @module build/markdown-only
+ */
+
+const { formatAttribute, registerContainer } = require('./markdown');
+const { Applicability } = require('./applicability');
+
+const INLINE_OPEN = /^\{only[ \t]+([^{}\n]+?)[ \t]*\}/;
+const INLINE_CLOSE = '{/only}';
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Opening tag and badge of conditional content
+ * @throws {Error} "<where>: <message>" if the condition is invalid
+ */
+function renderOpen(inline, params, vocabulary, where) {
+    let condition;
+
+    try {
+        condition = Applicability.parse(params, vocabulary);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+
+    const tag = inline ? 'span' : 'div';
+    const data = Applicability.dataAttributes(condition);
+    const attributes = [formatAttribute('class', inline ? 'markdown-only markdown-only_inline' : 'markdown-only')];
+
+    if (data.models) attributes.push(formatAttribute('data-models', data.models));
+    if (data.years) attributes.push(formatAttribute('data-years', data.years));
+
+    return `<${tag} ${attributes.join(' ')}>`
+        + `<span class=markdown-only__badge>${escapeHtml(Applicability.label(condition, vocabulary))}</span>`;
+}
+
+/**
+ * Inline rule: {only condition}text{/only} on one line
+ */
+function onlyInline(state, silent) {
+    if (state.src.charCodeAt(state.pos) !== 0x7B/* { */) {
+        return false;
+    }
+
+    const match = state.src.slice(state.pos, state.posMax).match(INLINE_OPEN);
+
+    if (!match) {
+        return false;
+    }
+
+    const start = state.pos + match[0].length;
+    const end = state.src.indexOf(INLINE_CLOSE, start);
+
+    if (end === -1 || end > state.posMax) {
+        return false;
+    }
+
+    if (!silent) {
+        const oldMax = state.posMax;
+
+        const open = state.push('only_inline_open', 'span', 1);
+        open.meta = { params: match[1] };
+
+        state.pos = start;
+        state.posMax = end;
+        state.md.inline.tokenize(state);
+        state.posMax = oldMax;
+
+        state.push('only_inline_close', 'span', -1);
+    }
+
+    state.pos = end + INLINE_CLOSE.length;
+
+    return true;
+}
+
+/**
+ * Core rule: add the filter after the h1 (or at the top) of pages with conditional content
+ */
+function addFilter(state) {
+    const hasConditions = state.tokens.some((token) => (
+        (token.type === 'container_open' && token.info === 'only')
+        || (token.type === 'inline' && token.children
+            && token.children.some((child) => child.type === 'only_inline_open'))
+    ));
+
+    if (!hasConditions) {
+        return;
+    }
+
+    const h1Close = state.tokens[0] && state.tokens[0].type === 'heading_open' && state.tokens[0].tag === 'h1'
+        ? state.tokens.findIndex((token) => token.type === 'heading_close')
+        : -1;
+    const filter = new state.Token('only_filter', 'div', 0);
+    filter.block = true;
+
+    state.tokens.splice(h1Close + 1, 0, filter);
+}
+
+function onlyPlugin(md, options = {}) {
+    const vocabulary = options.vocabulary || null;
+
+    registerContainer(md, 'only', {
+        markdown: true,
+        open(token) {
+            return renderOpen(false, token.meta.params, vocabulary, `::: only ${token.meta.params}`);
+        },
+        close() {
+            return '</div>';
+        },
+    });
+
+    md.inline.ruler.before('emphasis', 'only_inline', onlyInline);
+
+    md.renderer.rules.only_inline_open = (tokens, idx) => {
+        const { params } = tokens[idx].meta;
+
+        return renderOpen(true, params, vocabulary, `{only ${params}}`);
+    };
+    md.renderer.rules.only_inline_close = () => '</span>';
+
+    // Without the vocabulary there is nothing to choose from
+    if (!vocabulary) {
+        return;
+    }
+
+    md.core.ruler.push('only_filter', addFilter);
+
+    md.renderer.rules.only_filter = () => (
+        `<div class=markdown-only__filter data-vocabulary="${escapeHtml(JSON.stringify(vocabulary))}" hidden></div>`
+    );
+}
+
+module.exports = onlyPlugin;
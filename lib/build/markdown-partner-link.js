@@ -9,12 +9,14 @@
  *
  * Generates a prominent centered call-to-action link.
  * The first non-empty line is the URL, the second is the link text.
+ * On partner pages the UTM parameters of the placement (options.utm, by page
+ * URL, see Partners.buildPartnerLinks) are added to external URLs.
+ * Raw container, see registerContainer in build/markdown.
  *
  * @module build/markdown-partner-link
  */
 
-const PARTNER_LINK_OPEN = /^::: partner-link\s*$/;
-const CLOSE = /^:::\s*$/;
+const { registerContainer } = require('./markdown');
 
 function escapeHtml(text) {
     return text
@@ -23,45 +25,54 @@ function escapeHtml(text) {
         .replace(/>/g, '>');
 }
 
-function renderPartnerLink(innerLines) {
+/**
+ * Add UTM parameters to an external URL, keeping parameters the URL already has
+ * @param {string} href - Link URL
+ * @param {Object} [utm] - { utm_source, utm_medium, ... }
+ * @returns {string} URL with the parameters
+ */
+function addUtm(href, utm) {
+    if (!utm || !/^https?:\/\//i.test(href)) {
+        return href;
+    }
+
+    let url;
+
+    try {
+        url = new URL(href);
+    } catch (error) {
+        return href;
+    }
+
+    Object.entries(utm).forEach(([name, value]) => {
+        if (!url.searchParams.has(name)) {
+            url.searchParams.set(name, value);
+        }
+    });
+
+    return url.toString();
+}
+
+function renderPartnerLink(innerLines, utm) {
     const nonEmpty = innerLines
         .map((line) => line.trim())
         .filter((line) => line.length > 0);
 
-    const href = nonEmpty[0] || '#';
-    const text = nonEmpty[1] || href;
+    const href = addUtm(nonEmpty[0] || '#', utm);
+    const text = nonEmpty[1] || nonEmpty[0] || href;
 
     return `<a class="markdown-partner-link" href="${href}">${escapeHtml(text)}</a>`;
 }
 
-function partnerLinkPlugin(md) {
-    md.core.ruler.before('block', 'markdown-partner-link', function(state) {
-        const lines = state.src.split('\n');
-        const result = [];
-        let i = 0;
-
-        while (i < lines.length) {
-            if (PARTNER_LINK_OPEN.test(lines[i].trim())) {
-                i++;
-                const inner = [];
+function partnerLinkPlugin(md, options = {}) {
+    const utmByUrl = options.utm || {};
 
-                while (i < lines.length && !CLOSE.test(lines[i].trim())) {
-                    inner.push(lines[i]);
-                    i++;
-                }
-
-                i++; // skip closing :::
-
-                if (inner.length > 0) {
-                    result.push(renderPartnerLink(inner));
-                }
-            } else {
-                result.push(lines[i]);
-                i++;
-            }
-        }
+    registerContainer(md, 'partner-link', {
+        render(token, env) {
+            const utm = env && utmByUrl[env._currentUrl];
 
-        state.src = result.join('\n');
+            return token.content.trim() ? renderPartnerLink(token.content.split('\n'), utm) : '';
+        },
     });
 }
 
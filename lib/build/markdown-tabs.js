@@ -0,0 +1,156 @@
+/**
+ * Markdown-it tabs plugin
+ *
+ * Syntax:
+ *   ::: tabs
+ *   @tab NXP 2021
+ *   Instructions for 2021 cars.
+ *
+ *   @tab 8155 2023
+ *   Instructions for 2023 cars.
+ *   :::
+ *
+ * Generates one panel per @tab with the label on top, so without
+ * JavaScript the variants are stacked sections. markdown-tabs.js turns
+ * them into tabs and remembers the chosen label across pages.
+ * Each panel gets the hierarchical anchor of the headings above the tabs
+ * plus its label (e.g. #proshivka-nxp-2021); headings inside panels are
+ * regular headings.
+ * Markdown container, see registerContainer in build/markdown.
+ *
+ * @module build/markdown-tabs
+ */
+
+const {
+    buildHierarchicalAnchor,
+    cleanHeadingText,
+    createCyrillicSlugify,
+    findContainerClose,
+    formatAttribute,
+    getLineText,
+    mapGitHubAnchor,
+    registerContainer,
+} = require('./markdown');
+
+const TAB_LINE = /^@tab[ \t]+(\S.*?)[ \t]*$/;
+const CONTAINER_LINE = /^:::[ \t]*([\w-]+)/;
+const FENCE_LINE = /^(`{3,}|~{3,})/;
+
+/**
+ * Split the container body at @tab lines outside fenced code and nested containers
+ * @returns {Array<{label: string, line: number}>} Tab labels and their @tab lines
+ */
+function findTabs(state, startLine, endLine) {
+    const tabs = [];
+    let fence = null;
+
+    for (let line = startLine; line < endLine; line++) {
+        const text = getLineText(state, line);
+        const fenceMatch = text.match(FENCE_LINE);
+
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length
+                && !text.slice(fenceMatch[1].length).trim()) {
+                fence = null;
+            }
+            continue;
+        }
+
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        const container = text.match(CONTAINER_LINE);
+
+        if (container && state.md.containers.has(container[1])) {
+            line = findContainerClose(state, line, endLine);
+            continue;
+        }
+
+        const tab = text.match(TAB_LINE);
+
+        if (tab) {
+            tabs.push({ label: tab[1], line });
+        } else if (tabs.length === 0 && !state.isEmpty(line)) {
+            throw new Error(`::: tabs: "${text}" is before the first @tab`);
+        }
+    }
+
+    if (tabs.length === 0) {
+        throw new Error('::: tabs: no @tab sections');
+    }
+
+    return tabs;
+}
+
+/**
+ * Push the panels of the container body
+ */
+function tokenizeTabs(state, startLine, endLine) {
+    const tabs = findTabs(state, startLine, endLine);
+
+    // Headings above the tabs, shared by the panels (set when the first panel is rendered)
+    const group = { headingStack: null };
+
+    tabs.forEach((tab, index) => {
+        const panelEnd = index + 1 < tabs.length ? tabs[index + 1].line : endLine;
+
+        const open = state.push('tab_open', 'div', 1);
+        open.block = true;
+        open.map = [tab.line, panelEnd];
+        open.meta = { label: tab.label, group, anchor: true };
+
+        state.md.block.tokenize(state, tab.line + 1, panelEnd);
+
+        const close = state.push('tab_close', 'div', -1);
+        close.block = true;
+    });
+
+    state.line = endLine;
+}
+
+function tabsPlugin(md) {
+    registerContainer(md, 'tabs', {
+        markdown: true,
+        tokenize: tokenizeTabs,
+        open() {
+            return '<div class=markdown-tabs>';
+        },
+        close() {
+            return '</div>';
+        },
+    });
+
+    md.renderer.rules.tab_open = function(tokens, idx, _options, env) {
+        const { label, group } = tokens[idx].meta;
+
+        if (!env._headingStack) env._headingStack = [];
+        if (!env._generatedIds) env._generatedIds = new Set();
+
+        if (!group.headingStack) {
+            group.headingStack = env._headingStack.slice();
+        }
+
+        const anchorId = buildHierarchicalAnchor(
+            [...group.headingStack, cleanHeadingText(label)],
+            createCyrillicSlugify('lower'),
+        );
+
+        if (env._generatedIds.has(anchorId)) {
+            const filePath = env.page && env.page.inputPath ? env.page.inputPath : 'unknown file';
+            throw new Error(`Duplicate tab ID in ${filePath}: "${label}" generates a duplicate ID "${anchorId}"`);
+        }
+
+        env._generatedIds.add(anchorId);
+        mapGitHubAnchor(env, label, anchorId);
+
+        return `<div ${formatAttribute('class', 'markdown-tabs__panel')} ${formatAttribute('id', anchorId)}>`
+            + `<div class=markdown-tabs__label><a ${formatAttribute('href', `#${anchorId}`)} `
+            + `class=markdown-tabs__anchor>${md.utils.escapeHtml(label)}</a></div>`;
+    };
+
+    md.renderer.rules.tab_close = () => '</div>';
+}
+
+module.exports = tabsPlugin;
@@ -20,9 +20,24 @@ const path = require('path');
 const markdownIt = require('markdown-it');
 const markdownItVideo = require('markdown-it-video');
 const { getSitemap, getImageMapping } = require('./utils');
+const { FrontMatter } = require('./front-matter');
+const { SiteConfig } = require('./site-config');
+const { BASE_URL, SITE } = require('./constants');
 
-const BASE = 'https://github.com/voyahchat/voyahchat-(install|docs)/raw/refs/heads/main/';
-const REGEX = new RegExp(BASE + '([^\\s"\\\')]+)', 'g');
+/**
+ * Raw GitHub links to asset repository files (config/site.json: githubRawBase, assetRepos)
+ */
+const REGEX = SiteConfig.assetLinkRegex(SITE);
+
+/**
+ * env.page.inputPath prefix of content repository pages (config/site.json: contentRepo)
+ */
+const CONTENT_PREFIX = `./external/${SITE.contentRepo}/`;
+
+/**
+ * Message prefix of the error thrown for links from published pages to drafts
+ */
+const UNPUBLISHED_LINK_ERROR = 'Link to unpublished page';
 
 /**
  * Create a slugify function that preserves Cyrillic characters.
@@ -82,6 +97,25 @@ function cleanHeadingText(text) {
     return cleanText.trim();
 }
 
+/**
+ * Get heading text without markdown markup for the table of contents.
+ * Joins text and inline code of the heading's inline token; falls back to the raw text.
+ */
+function getHeadingPlainText(inlineToken, fallbackText) {
+    if (!inlineToken || !inlineToken.children || inlineToken.children.length === 0) {
+        return fallbackText;
+    }
+
+    const text = inlineToken.children
+        .filter((child) => child.type === 'text' || child.type === 'code_inline')
+        .map((child) => child.content)
+        .join('')
+        .replace(/\s*\{#[^}]+\}$/, '')
+        .trim();
+
+    return text || fallbackText;
+}
+
 /**
  * Build hierarchical anchor from heading stack.
  */
@@ -122,8 +156,8 @@ function buildHierarchicalAnchor(headingStack, slugifyFunc = null) {
 function transformAssetLinkPath(originalHref) {
     if (!originalHref) return originalHref;
 
-    // Direct transformation for both voyahchat-install and voyahchat-docs repositories
-    if (originalHref.match(REGEX)) {
+    // Direct transformation for all asset repositories
+    if (REGEX && originalHref.match(REGEX)) {
         // Use exec to properly extract the capture group
         const match = REGEX.exec(originalHref);
         // Reset regex lastIndex to ensure it works correctly for subsequent calls
@@ -133,7 +167,7 @@ function transformAssetLinkPath(originalHref) {
             const filename = match[2];
 
             // All files use full URL
-            return `https://voyahchat.ru/${filename}`;
+            return `${BASE_URL}/${filename}`;
         }
     }
 
@@ -144,9 +178,13 @@ function transformAssetLinkPath(originalHref) {
  * Transform GitHub raw asset links in text content to full URLs
  */
 function transformGitHubLinksInText(content) {
+    if (!REGEX) {
+        return content;
+    }
+
     return content.replace(REGEX, (match, repo, filename) => {
         // All files use full URL
-        return `https://voyahchat.ru/${filename}`;
+        return `${BASE_URL}/${filename}`;
     });
 }
 
@@ -157,7 +195,7 @@ function getCurrentSection(env) {
     // Try to extract section from the current page data
     if (env && env.page && env.page.inputPath) {
         const inputPath = env.page.inputPath;
-        const relativePath = inputPath.replace('./external/voyahchat-content/', '');
+        const relativePath = inputPath.replace(CONTENT_PREFIX, '');
         const pathParts = relativePath.split('/');
 
         if (pathParts.length > 1) {
@@ -207,7 +245,7 @@ function transformAnchorLink(originalHref, env) {
     // If still not found and we have a file path, try to resolve by reading the file
     if (env && env.page && env.page.inputPath && fs.existsSync(env.page.inputPath)) {
         try {
-            const content = fs.readFileSync(env.page.inputPath, 'utf8');
+            const content = FrontMatter.strip(fs.readFileSync(env.page.inputPath, 'utf8'));
             const githubSlugFunc = createGitHubSlugify('lower');
             const slugifyFunc = createCyrillicSlugify('lower');
 
@@ -407,7 +445,7 @@ function transformLinkPath(originalHref, env, sitemapData) {
         if (mdTarget.startsWith('../')) {
             // Resolve relative path based on current file location
             if (env && env.page && env.page.inputPath) {
-                const inputPath = env.page.inputPath.replace('./external/voyahchat-content/', '');
+                const inputPath = env.page.inputPath.replace(CONTENT_PREFIX, '');
                 const currentDir = path.dirname(inputPath);
 
                 // Resolve the relative path by removing ../ and joining with current directory
@@ -489,6 +527,23 @@ function transformLinkPath(originalHref, env, sitemapData) {
             );
         }
 
+        // Validation: published pages must not link to drafts or scheduled pages
+        const unpublished = sitemapData.unpublished;
+        if (unpublished && unpublished.has(mappedUrl) && !unpublished.has(currentUrl)) {
+            const filePath = env && env.page && env.page.inputPath
+                ? env.page.inputPath
+                : 'unknown file';
+            const message = `${UNPUBLISHED_LINK_ERROR} in ${filePath}: "${originalHref}"\n` +
+                `The page ${mappedUrl} is a draft or scheduled for later publication.`;
+
+            if (!sitemapData.drafts) {
+                throw new Error(message);
+            }
+            if (process.env.NODE_ENV !== 'test') {
+                console.warn(`Warning: ${message}`);
+            }
+        }
+
         if (mappedUrl) {
             // Always decode URL-encoded anchors to readable Cyrillic text
             if (anchor) {
@@ -568,7 +623,7 @@ function transformImagePath(originalPath, options = {}) {
     // Try to resolve relative path based on current file location
     if (options.env && options.env.page && options.env.page.inputPath) {
         const inputPath = options.env.page.inputPath;
-        const relativePath = inputPath.replace('./external/voyahchat-content/', '');
+        const relativePath = inputPath.replace(CONTENT_PREFIX, '');
         const pathParts = relativePath.split('/');
 
         if (pathParts.length > 1) {
@@ -628,6 +683,52 @@ function applyRussianTypography(text) {
     return result;
 }
 
+/**
+ * Restore the spaces around {only ...} conditional spans and after their badges
+ * Minification drops the whitespace next to tags; only the markdown-only spans
+ * are touched, other spans of the content keep their spacing.
+ * @param {string} html - Minified HTML
+ * @returns {string} HTML with spaces between the spans and adjacent words
+ */
+function spaceConditionalSpans(html) {
+    const OPEN = '<span class="markdown-only ';
+    const WORD_BEFORE = /[a-zA-Zа-яА-ЯёЁ0-9+\-×÷=<>)»"\],]$/;
+    const WORD_AFTER = /^[a-zA-Zа-яА-ЯёЁ0-9(«"„[]/;
+    let result = html;
+    let start = result.indexOf(OPEN);
+
+    while (start !== -1) {
+        if (WORD_BEFORE.test(result.slice(0, start))) {
+            result = `${result.slice(0, start)} ${result.slice(start)}`;
+            start += 1;
+        }
+
+        // Closing tag of the badge and of the span itself (nested spans are counted)
+        const badgeEnd = result.indexOf('</span>', start) + '</span>'.length;
+        const tags = /<span[\s>]|<\/span>/g;
+        let depth = 1;
+        let match;
+
+        tags.lastIndex = badgeEnd;
+
+        while (depth > 0 && (match = tags.exec(result))) {
+            depth += match[0] === '</span>' ? -1 : 1;
+        }
+
+        const ends = match ? [match.index + match[0].length, badgeEnd] : [badgeEnd];
+
+        ends.forEach((end) => {
+            if (WORD_AFTER.test(result.slice(end))) {
+                result = `${result.slice(0, end)} ${result.slice(end)}`;
+            }
+        });
+
+        start = result.indexOf(OPEN, start + OPEN.length);
+    }
+
+    return result;
+}
+
 /**
  * Format HTML attribute without quotes when safe (HTML5 rules)
  * Quotes are required if value contains: space, quote, equals, angle brackets, backtick, or is empty
@@ -658,6 +759,220 @@ function buildAttributesWithClassFirst(attrs) {
     return attrs.join(' ');
 }
 
+/**
+ * Map the GitHub-style anchor of a text to its hierarchical anchor ID
+ * Used for cross-document link resolution (env._processingState.anchorMap of env._currentUrl).
+ * Repeated slugs get GitHub's -1, -2 suffixes.
+ * @param {Object} env - Render environment
+ * @param {string} text - Heading (or tab label) text
+ * @param {string} anchorId - Hierarchical anchor ID
+ */
+function mapGitHubAnchor(env, text, anchorId) {
+    if (!env._processingState || !env._currentUrl) {
+        return;
+    }
+
+    const { anchorMap } = env._processingState;
+    if (!anchorMap.has(env._currentUrl)) {
+        anchorMap.set(env._currentUrl, new Map());
+    }
+    const urlAnchors = anchorMap.get(env._currentUrl);
+
+    // Generate GitHub-style slug from original heading text
+    const githubSlug = createGitHubSlug(text);
+
+    // Handle duplicate GitHub-style anchors by adding suffixes
+    // Track how many times we've seen this slug
+    if (!env._githubSlugCounts) {
+        env._githubSlugCounts = new Map();
+    }
+
+    let finalGithubSlug = githubSlug;
+    if (env._githubSlugCounts.has(githubSlug)) {
+        const count = env._githubSlugCounts.get(githubSlug);
+        finalGithubSlug = `${githubSlug}-${count}`;
+        env._githubSlugCounts.set(githubSlug, count + 1);
+    } else {
+        env._githubSlugCounts.set(githubSlug, 1);
+    }
+
+    // Store only the decoded version - we don't want encoded anchors in HTML
+    urlAnchors.set(finalGithubSlug, anchorId);
+}
+
+/**
+ * ::: container opening line: name and the rest of the line (params)
+ */
+const CONTAINER_OPEN = /^:::[ \t]*([\w-]+)(?:[ \t]+(.*?))?[ \t]*$/;
+const CONTAINER_CLOSE = /^:::[ \t]*$/;
+const FENCE_OPEN = /^(`{3,}|~{3,})/;
+
+/**
+ * Text of a source line without indentation
+ */
+function getLineText(state, line) {
+    return state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+}
+
+/**
+ * Find the closing ::: of a container
+ * Nested registered containers and fenced code are skipped; a line indented less
+ * than the parent block (e.g. a list item) ends the container.
+ * @returns {number} Line of the closing :::, endLine if the container is not closed
+ */
+function findContainerClose(state, startLine, endLine) {
+    let depth = 1;
+    let fence = null;
+
+    for (let line = startLine + 1; line < endLine; line++) {
+        if (state.sCount[line] < state.blkIndent && !state.isEmpty(line)) {
+            return line;
+        }
+
+        const text = getLineText(state, line);
+        const fenceMatch = text.match(FENCE_OPEN);
+
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length
+                && !text.slice(fenceMatch[1].length).trim()) {
+                fence = null;
+            }
+        } else if (fenceMatch) {
+            fence = fenceMatch[1];
+        } else if (CONTAINER_CLOSE.test(text)) {
+            if (--depth === 0) {
+                return line;
+            }
+        } else {
+            const match = text.match(CONTAINER_OPEN);
+
+            if (match && state.md.containers.has(match[1])) {
+                depth++;
+            }
+        }
+    }
+
+    return endLine;
+}
+
+/**
+ * Block rule for registered ::: containers
+ * Markdown containers: container_open, body tokens, container_close.
+ * Raw containers: one container token with the body lines as content.
+ * Tokens carry the name as info, { params } as meta and the source lines as map.
+ */
+function containerRule(state, startLine, endLine, silent) {
+    // Indented by 4+ spaces: code block
+    if (state.sCount[startLine] - state.blkIndent >= 4) {
+        return false;
+    }
+
+    const match = getLineText(state, startLine).match(CONTAINER_OPEN);
+    const container = match && state.md.containers.get(match[1]);
+
+    if (!container) {
+        return false;
+    }
+
+    if (silent) {
+        return true;
+    }
+
+    const closeLine = findContainerClose(state, startLine, endLine);
+    const nextLine = closeLine < endLine ? closeLine + 1 : closeLine;
+    const meta = { params: match[2] || '' };
+
+    if (container.markdown) {
+        const oldParent = state.parentType;
+        const oldLineMax = state.lineMax;
+
+        const open = state.push('container_open', 'div', 1);
+        open.block = true;
+        open.info = match[1];
+        open.meta = meta;
+        open.markup = ':::';
+        open.map = [startLine, nextLine];
+
+        state.parentType = 'container';
+        state.lineMax = closeLine;
+
+        if (container.tokenize) {
+            container.tokenize(state, startLine + 1, closeLine, open);
+        } else {
+            state.md.block.tokenize(state, startLine + 1, closeLine);
+        }
+
+        state.parentType = oldParent;
+        state.lineMax = oldLineMax;
+
+        const close = state.push('container_close', 'div', -1);
+        close.block = true;
+        close.info = match[1];
+        close.meta = meta;
+        close.markup = ':::';
+    } else {
+        const token = state.push('container', 'div', 0);
+        token.block = true;
+        token.info = match[1];
+        token.meta = meta;
+        token.markup = ':::';
+        token.map = [startLine, nextLine];
+        token.content = state.getLines(startLine + 1, closeLine, state.sCount[startLine], false);
+    }
+
+    state.line = nextLine;
+
+    return true;
+}
+
+/**
+ * Register a ::: container on a markdown-it instance
+ * The first registration adds the container block rule and renderers.
+ * @param {Object} md - markdown-it instance
+ * @param {string} name - Container name, the word after :::
+ * @param {Object} container - Renderer
+ * @param {boolean} [container.markdown=false] - Parse the body as block markdown
+ * @param {Function} [container.render] - (token, env) => HTML of a raw container (token.content is the body)
+ * @param {Function} [container.open] - (token, env) => opening HTML of a markdown container
+ * @param {Function} [container.close] - (token, env) => closing HTML of a markdown container
+ * @param {Function} [container.tokenize] - (state, startLine, endLine, openToken) => void, pushes the body
+ *     tokens of a markdown container instead of parsing the lines as one block
+ * @throws {Error} If the name is taken or a renderer is missing
+ */
+function registerContainer(md, name, container) {
+    if (!md.containers) {
+        md.containers = new Map();
+
+        md.block.ruler.before('fence', 'container', containerRule, {
+            alt: ['paragraph', 'reference', 'blockquote', 'list'],
+        });
+
+        md.renderer.rules.container = (tokens, idx, _options, env) => (
+            md.containers.get(tokens[idx].info).render(tokens[idx], env)
+        );
+        md.renderer.rules.container_open = (tokens, idx, _options, env) => (
+            md.containers.get(tokens[idx].info).open(tokens[idx], env)
+        );
+        md.renderer.rules.container_close = (tokens, idx, _options, env) => (
+            md.containers.get(tokens[idx].info).close(tokens[idx], env)
+        );
+    }
+
+    if (md.containers.has(name)) {
+        throw new Error(`Container "${name}" is already registered`);
+    }
+
+    const methods = container.markdown ? ['open', 'close'] : ['render'];
+
+    methods.forEach((method) => {
+        if (typeof container[method] !== 'function') {
+            throw new Error(`Container "${name}" needs a renderer: ${method}()`);
+        }
+    });
+
+    md.containers.set(name, container);
+}
+
 /**
  * Process HTML img tags to replace src with hashed versions
  */
@@ -685,6 +1000,8 @@ function processHtmlImages(html, options = {}) {
  * @param {Object} options - Configuration options
  * @param {Object} options.imageMapping - Optional image mapping object to use instead of loading from file
  * @param {Object} options.sitemap - Optional sitemap data object to use instead of loading from file
+ * @param {Object} options.partnerLinks - Optional page URL to UTM parameters of its partner links
+ * @param {Object} options.applicability - Optional vocabulary of models and years for ::: only conditions
  * @returns {Object} Configured markdown-it instance
  */
 function createMarkdownInstance(options = {}) {
@@ -735,7 +1052,20 @@ function createMarkdownInstance(options = {}) {
     md.use(require('./markdown-grid'));
 
     // Partner link support
-    md.use(require('./markdown-partner-link'));
+    md.use(require('./markdown-partner-link'), {
+        utm: options.partnerLinks,
+    });
+
+    // Callout (admonition) support
+    md.use(require('./markdown-callout'));
+
+    // Tabs support
+    md.use(require('./markdown-tabs'));
+
+    // Conditional content support
+    md.use(require('./markdown-only'), {
+        vocabulary: options.applicability,
+    });
 
     // Add typography plugin before other processing
     md.use(function(md) {
@@ -879,37 +1209,14 @@ function createMarkdownInstance(options = {}) {
             env._generatedIds.add(anchorId);
         }
 
-        // Collect anchor mappings for cross-document link resolution
-        if (env._processingState && env._currentUrl) {
-            const { anchorMap } = env._processingState;
-            if (!anchorMap.has(env._currentUrl)) {
-                anchorMap.set(env._currentUrl, new Map());
-            }
-            const urlAnchors = anchorMap.get(env._currentUrl);
-
-            // Generate GitHub-style slug from original heading text
-            const githubSlug = createGitHubSlug(headingText);
-
-
-            // Handle duplicate GitHub-style anchors by adding suffixes
-            // Track how many times we've seen this slug
-            if (!env._githubSlugCounts) {
-                env._githubSlugCounts = new Map();
-            }
-
-            let finalGithubSlug = githubSlug;
-            if (env._githubSlugCounts.has(githubSlug)) {
-                const count = env._githubSlugCounts.get(githubSlug);
-                finalGithubSlug = `${githubSlug}-${count}`;
-                env._githubSlugCounts.set(githubSlug, count + 1);
-            } else {
-                env._githubSlugCounts.set(githubSlug, 1);
-            }
-
-            // Store only the decoded version - we don't want encoded anchors in HTML
-            urlAnchors.set(finalGithubSlug, anchorId);
+        // Collect the heading list for the page table of contents (page.toc)
+        if (anchorId && env._headings) {
+            env._headings.push({ level, text: getHeadingPlainText(inlineToken, headingText), anchor: anchorId });
         }
 
+        // Collect anchor mappings for cross-document link resolution
+        mapGitHubAnchor(env, headingText, anchorId);
+
         // Set CSS classes using formatAttribute
         const existingClass = token.attrGet('class') || '';
         const newClass = `article__heading article__heading_level_${level}`;
@@ -1014,14 +1321,20 @@ function createMarkdownInstance(options = {}) {
                 if (newHref.includes('#') && env._processingState && env._currentUrl) {
                     const [baseUrl, githubAnchor] = newHref.split('#', 2);
 
-                    // Check if target document is processed
-                    if (!env._processingState.completed.has(baseUrl)) {
+                    // Record the cross-document anchor dependency (render cache invalidation)
+                    if (env._anchorDependencies && baseUrl !== env._currentUrl) {
+                        env._anchorDependencies.add(baseUrl);
+                    }
+
+                    // Check if target document is processed (or its anchors are known from the render cache)
+                    const { completed, anchorMap } = env._processingState;
+                    if (!completed.has(baseUrl) && !anchorMap.has(baseUrl)) {
                         // Recursively process target document
                         if (env._processDocument) {
                             const url2md = sitemap.url2md || {};
                             const targetMdPath = url2md[baseUrl];
                             if (targetMdPath) {
-                                const targetFilePath = path.join('./external/voyahchat-content/', targetMdPath);
+                                const targetFilePath = path.join(CONTENT_PREFIX, targetMdPath);
                                 if (fs.existsSync(targetFilePath)) {
                                     try {
                                         env._processDocument(baseUrl, targetFilePath, sitemap);
@@ -1457,6 +1770,7 @@ function createMarkdownInstance(options = {}) {
         // Initialize heading stack for this specific render
         if (!env) env = {};
         env._headingStack = [];
+        env._headings = [];
 
         // Initialize GitHub slug counter for duplicate anchor handling
         env._githubSlugCounts = new Map();
@@ -1690,7 +2004,7 @@ function createMarkdownInstance(options = {}) {
             .replace(/\u00A0—  +/g, '\u00A0— ')
             .replace(/\u00A0—\u00A0/g, '\u00A0— ');
 
-        html = processedHtml;
+        html = spaceConditionalSpans(processedHtml);
 
         return html;
     };
@@ -1755,14 +2069,52 @@ function createGitHubSlugify(caseType = 'lower') {
     };
 }
 
+/**
+ * Collect the anchor map of a document without rendering it
+ * Runs the heading_open renderer over the parsed tokens, so the anchors
+ * match what md.render() produces for the same source.
+ * @param {Object} md - Instance from createMarkdownInstance()
+ * @param {string} src - Markdown source (without front matter)
+ * @param {Object} [env={}] - Rendering environment (page, _sitemap)
+ * @returns {Map<string, string>} GitHub-style slug to heading ID
+ */
+function extractAnchorMap(md, src, env = {}) {
+    const currentUrl = env._currentUrl || '__current__';
+    const headingEnv = {
+        ...env,
+        _currentUrl: currentUrl,
+        _headingStack: [],
+        _githubSlugCounts: new Map(),
+        _processingState: { anchorMap: new Map(), completed: new Set() },
+    };
+    const tokens = md.parse(src, headingEnv);
+
+    // Headings and container tokens that carry anchors (meta.anchor, e.g. tabs)
+    tokens.forEach((token, idx) => {
+        if (token.type === 'heading_open' || (token.meta && token.meta.anchor)) {
+            md.renderer.rules[token.type](tokens, idx, md.options, headingEnv);
+        }
+    });
+
+    return headingEnv._processingState.anchorMap.get(currentUrl) || new Map();
+}
+
 module.exports = {
     createMarkdownInstance,
+    extractAnchorMap,
+    UNPUBLISHED_LINK_ERROR,
+    CONTENT_PREFIX,
     createCyrillicSlugify,
     createGitHubSlugify,
     cleanHeadingText,
     buildHierarchicalAnchor,
     findClosestUrl,
     transformImagePath,
+    formatAttribute,
+    getLineText,
+    findContainerClose,
+    mapGitHubAnchor,
+    registerContainer,
 };
 
 
@@ -0,0 +1,466 @@
+/**
+ * Partners
+ *
+ * Responsibilities:
+ * - Load config/partners.yml: service links and partner placements of the page aside
+ * - Validate entries and report them with the file name and placement
+ * - Pick the placements of a section active at build time (sections, from/until dates)
+ * - Resolve promo videos (hash-video.json) and images (image-mapping.json) to public URLs
+ * - Build client-side rotation data, UTM parameters of partner links and the placement report
+ *
+ * Format:
+ *
+ *   services: { title, url, links: [{ url, short, long }] }
+ *   partners:
+ *     title: Партнёры
+ *     url: /partners
+ *     utm: { source: voyahchat.ru, medium: partner_page }   # optional, defaults for all placements
+ *     placements:
+ *       - id: lovto                 # [a-z0-9-], used in class names and reports
+ *         name: Lovto
+ *         page: /partners/lovto     # link target
+ *         from: 2026-01-01          # optional, shown from this date
+ *         until: 2026-07-01         # optional, not shown from this date on
+ *         sections: [free, dream]   # optional, page.section values ("root" for top-level pages)
+ *         utm: { campaign: wrap }   # optional, overrides partners.utm (campaign defaults to id)
+ *         video: lovto.mp4          # optional, desktop promo video
+ *         images: { tablet, desktop }
+ *         text: { mobile, tablet, desktop }   # each { title, sub?, note? }
+ *
+ * Dependencies: js-yaml, build/sitemap-schema (date checks)
+ *
+ * @module build/partners
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { SitemapSchema } = require('./sitemap-schema');
+
+/**
+ * Screen sizes a placement has text for; a missing variant reuses the previous one
+ */
+const TEXT_VARIANTS = ['mobile', 'tablet', 'desktop'];
+
+/**
+ * Screen sizes a placement has a background image for
+ */
+const IMAGE_VARIANTS = ['tablet', 'desktop'];
+
+/**
+ * Placement id format (used in class names, rotation data and reports)
+ */
+const ID_REGEX = /^[a-z0-9-]+$/;
+
+/**
+ * UTM parameters a placement may set (utm_source, utm_medium, ...)
+ */
+const UTM_KEYS = ['source', 'medium', 'campaign', 'content', 'term'];
+
+/**
+ * Partners Config
+ *
+ * Loads, validates and resolves config/partners.yml
+ */
+class Partners {
+    /**
+     * Load and validate config/partners.yml
+     * @param {string} filePath - Path to partners.yml
+     * @returns {{services: Object|null, partners: Object|null}} Normalized config (null sections if absent)
+     * @throws {Error} "<file>: <message>" on invalid YAML or entries
+     */
+    static load(filePath) {
+        if (!fsSync.existsSync(filePath)) {
+            return { services: null, partners: null };
+        }
+
+        const name = path.basename(filePath);
+        let data;
+
+        try {
+            data = yaml.load(fsSync.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            const line = error.mark ? error.mark.line + 1 : 1;
+            throw new Error(`${name}:${line}: ${error.reason || error.message}`);
+        }
+
+        try {
+            return Partners.normalize(data || {});
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate and normalize parsed partners.yml data
+     * @param {Object} data - Parsed YAML
+     * @returns {{services: Object|null, partners: Object|null}} Normalized config
+     * @throws {Error} On the first invalid entry
+     */
+    static normalize(data) {
+        const unknown = Object.keys(data).filter((key) => !['services', 'partners'].includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`unknown top-level key "${unknown[0]}"`);
+        }
+
+        const services = data.services ? {
+            ...Partners.section(data.services, 'services'),
+            links: Partners.list(data.services.links, 'services.links').map((link, i) => {
+                const where = `services.links[${i}]`;
+
+                return {
+                    url: Partners.url(link.url, `${where}.url`),
+                    short: Partners.text(link.short, `${where}.short`),
+                    long: Partners.text(link.long, `${where}.long`),
+                };
+            }),
+        } : null;
+
+        const partners = data.partners ? {
+            ...Partners.section(data.partners, 'partners'),
+            utm: Partners.utm(data.partners.utm, 'partners.utm'),
+            placements: Partners.list(data.partners.placements, 'partners.placements')
+                .map((placement, i) => Partners.placement(placement, `placements[${i}]`)),
+        } : null;
+
+        if (partners) {
+            const seen = new Set();
+            partners.placements.forEach(({ id }) => {
+                if (seen.has(id)) {
+                    throw new Error(`duplicate placement id "${id}"`);
+                }
+                seen.add(id);
+            });
+        }
+
+        return { services, partners };
+    }
+
+    /**
+     * Validate one placement
+     * @param {Object} placement - Raw placement
+     * @param {string} where - Position for error messages
+     * @returns {Object} Normalized placement (dates as ISO strings, all text variants filled)
+     * @throws {Error} On missing or malformed fields
+     */
+    static placement(placement, where) {
+        if (!SitemapSchema.isMapping(placement)) {
+            throw new Error(`${where} must be a mapping`);
+        }
+
+        if (typeof placement.id !== 'string' || !ID_REGEX.test(placement.id)) {
+            throw new Error(`${where}.id must match ${ID_REGEX}`);
+        }
+
+        const label = `${where} (${placement.id})`;
+        const text = SitemapSchema.isMapping(placement.text) ? placement.text : {};
+        const images = SitemapSchema.isMapping(placement.images) ? placement.images : {};
+        const normalized = {
+            id: placement.id,
+            name: Partners.text(placement.name, `${label}.name`),
+            page: Partners.url(placement.page, `${label}.page`),
+            from: Partners.date(placement.from, `${label}.from`),
+            until: Partners.date(placement.until, `${label}.until`),
+            video: placement.video === undefined ? null : Partners.text(placement.video, `${label}.video`),
+            sections: placement.sections === undefined
+                ? null
+                : Partners.list(placement.sections, `${label}.sections`)
+                    .map((section, i) => Partners.text(section, `${label}.sections[${i}]`)),
+            utm: Partners.utm(placement.utm, `${label}.utm`),
+            images: {},
+            text: {},
+        };
+
+        IMAGE_VARIANTS.forEach((variant) => {
+            normalized.images[variant] = images[variant] === undefined
+                ? null
+                : Partners.text(images[variant], `${label}.images.${variant}`);
+        });
+
+        let previous = null;
+        TEXT_VARIANTS.forEach((variant) => {
+            const value = text[variant] === undefined ? previous : text[variant];
+
+            if (!SitemapSchema.isMapping(value)) {
+                throw new Error(`${label}.text.${variant} must be a mapping with a title`);
+            }
+
+            normalized.text[variant] = {
+                title: Partners.text(value.title, `${label}.text.${variant}.title`),
+                sub: value.sub === undefined ? null : Partners.text(value.sub, `${label}.text.${variant}.sub`),
+                note: value.note === undefined ? null : Partners.text(value.note, `${label}.text.${variant}.note`),
+            };
+            previous = value;
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Validate the title and URL of an aside section
+     * @param {Object} section - Raw section
+     * @param {string} where - Position for error messages
+     * @returns {{title: string, url: string}} Section head
+     */
+    static section(section, where) {
+        if (!SitemapSchema.isMapping(section)) {
+            throw new Error(`${where} must be a mapping`);
+        }
+
+        return {
+            title: Partners.text(section.title, `${where}.title`),
+            url: Partners.url(section.url, `${where}.url`),
+        };
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @param {string} where - Position for error messages
+     * @returns {Array} The value
+     */
+    static list(value, where) {
+        if (!Array.isArray(value)) {
+            throw new Error(`${where} must be a list`);
+        }
+
+        return value;
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @param {string} where - Position for error messages
+     * @returns {string} The value
+     */
+    static text(value, where) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new Error(`${where} must be a non-empty string`);
+        }
+
+        return value;
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @param {string} where - Position for error messages
+     * @returns {string} The value (a site path)
+     */
+    static url(value, where) {
+        if (typeof value !== 'string' || !value.startsWith('/')) {
+            throw new Error(`${where} must be a site path starting with /`);
+        }
+
+        return value;
+    }
+
+    /**
+     * @param {*} value - Value to check (mapping of UTM_KEYS to strings)
+     * @param {string} where - Position for error messages
+     * @returns {Object} The value, {} if not set
+     */
+    static utm(value, where) {
+        if (value === undefined) {
+            return {};
+        }
+
+        if (!SitemapSchema.isMapping(value)) {
+            throw new Error(`${where} must be a mapping`);
+        }
+
+        Object.entries(value).forEach(([key, param]) => {
+            if (!UTM_KEYS.includes(key)) {
+                throw new Error(`${where}.${key} is not one of ${UTM_KEYS.join(', ')}`);
+            }
+            Partners.text(param, `${where}.${key}`);
+        });
+
+        return value;
+    }
+
+    /**
+     * @param {*} value - Value to check (YAML Date or ISO string)
+     * @param {string} where - Position for error messages
+     * @returns {string|null} ISO date string, or null if not set
+     */
+    static date(value, where) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        if (!SitemapSchema.isDate(value)) {
+            throw new Error(`${where} must be an ISO date (YYYY-MM-DD[THH:MM])`);
+        }
+
+        return value instanceof Date ? value.toISOString() : value;
+    }
+
+    /**
+     * Check whether a placement is shown at a moment
+     * @param {Object} placement - Normalized placement
+     * @param {Date} [now=new Date()] - Moment to check
+     * @returns {boolean} True between from (inclusive) and until (exclusive)
+     */
+    static isActive(placement, now = new Date()) {
+        return (!placement.from || new Date(placement.from) <= now)
+            && (!placement.until || now < new Date(placement.until));
+    }
+
+    /**
+     * Check whether a placement is shown in a section
+     * @param {Object} placement - Normalized placement
+     * @param {string} section - page.section value ("root" for top-level pages)
+     * @returns {boolean} True if the placement lists the section or has no section list
+     */
+    static inSection(placement, section) {
+        return !placement.sections || placement.sections.includes(section);
+    }
+
+    /**
+     * Resolve a source image to its public URL (/_i{hash})
+     * Unknown images are left out, as build-css.js leaves unknown url() references.
+     * @param {string|null} image - Path or file name as in image-mapping.json keys
+     * @param {Object} imageMapping - Source image path to public name
+     * @returns {string|null} Public URL
+     */
+    static resolveImage(image, imageMapping) {
+        if (!image) {
+            return null;
+        }
+
+        const entry = Object.entries(imageMapping).find(([source]) => (
+            source === image || source.endsWith(`/${image}`)
+        ));
+
+        return entry ? `/${entry[1]}` : null;
+    }
+
+    /**
+     * Build the template data of the page aside
+     * All placements of the section active at build time are rendered; the partner block
+     * shows one of them per page load (see rotation).
+     * @param {Object} config - Normalized config from load()
+     * @param {Object} options - { imageMapping, videoHash, now, section }
+     * @returns {{services: Object|null, partners: Object|null}} Aside data; partners lists placements
+     *   with resolved video and image URLs and rotation data ({ id, from, until } per placement)
+     */
+    static buildAside(config, {
+        imageMapping = {}, videoHash = {}, now = new Date(), section = 'root',
+    } = {}) {
+        const placements = config.partners
+            ? config.partners.placements
+                .filter((placement) => Partners.isActive(placement, now) && Partners.inSection(placement, section))
+                .map((placement) => {
+                    const images = {};
+                    IMAGE_VARIANTS.forEach((variant) => {
+                        images[variant] = Partners.resolveImage(placement.images[variant], imageMapping);
+                    });
+
+                    return {
+                        ...placement,
+                        video: placement.video && videoHash[placement.video] ? `/${videoHash[placement.video]}` : null,
+                        images,
+                        // Background images reach the CSS as custom properties
+                        style: IMAGE_VARIANTS
+                            .filter((variant) => images[variant])
+                            .map((variant) => `--partner-image-${variant}:url(${images[variant]})`)
+                            .join(';'),
+                    };
+                })
+            : [];
+
+        return {
+            services: config.services,
+            partners: placements.length > 0 ? {
+                title: config.partners.title,
+                url: config.partners.url,
+                placements,
+                // Dates are checked again in the browser: pages stay deployed until the next build
+                rotation: placements.map(({ id, from, until }) => ({ id, from, until })),
+            } : null,
+        };
+    }
+
+    /**
+     * Build UTM parameters for ::: partner-link URLs on placement pages
+     * partners.utm are the defaults, placement utm overrides them, campaign defaults to the placement id.
+     * Placements without a utm source get none (the other parameters are ignored without it).
+     * @param {Object} config - Normalized config from load()
+     * @returns {Object} Page URL to { utm_source, utm_medium, ... }
+     */
+    static buildPartnerLinks(config) {
+        if (!config.partners) {
+            return {};
+        }
+
+        const links = {};
+
+        config.partners.placements.forEach((placement) => {
+            const utm = { campaign: placement.id, ...config.partners.utm, ...placement.utm };
+
+            if (utm.source) {
+                links[placement.page] = Object.fromEntries(UTM_KEYS
+                    .filter((key) => utm[key])
+                    .map((key) => [`utm_${key}`, utm[key]]));
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Build the placement report: which partner is shown on which sections
+     * share is the part of page loads a placement gets in a section (rotation is even).
+     * @param {Object} config - Normalized config from load()
+     * @param {Array<Object>} pages - Page records that render the aside
+     * @param {Date} [now=new Date()] - Build time
+     * @returns {Object} { generated, placements: { id: { name, page, from, until, active, sections } } }
+     *   with sections: { section: { pages, share } }
+     */
+    static buildReport(config, pages, now = new Date()) {
+        const placements = config.partners ? config.partners.placements : [];
+        const pagesBySection = {};
+
+        pages.forEach((pageData) => {
+            const section = pageData.section || 'root';
+            pagesBySection[section] = (pagesBySection[section] || 0) + 1;
+        });
+
+        const report = { generated: now.toISOString(), placements: {} };
+
+        placements.forEach((placement) => {
+            const active = Partners.isActive(placement, now);
+            const sections = {};
+
+            if (active) {
+                Object.keys(pagesBySection).sort().forEach((section) => {
+                    if (!Partners.inSection(placement, section)) {
+                        return;
+                    }
+
+                    const competing = placements.filter((other) => (
+                        Partners.isActive(other, now) && Partners.inSection(other, section)
+                    )).length;
+
+                    sections[section] = {
+                        pages: pagesBySection[section],
+                        share: Math.round(1000 / competing) / 1000,
+                    };
+                });
+            }
+
+            report.placements[placement.id] = {
+                name: placement.name,
+                page: placement.page,
+                from: placement.from,
+                until: placement.until,
+                active,
+                sections,
+            };
+        });
+
+        return report;
+    }
+}
+
+module.exports = {
+    Partners,
+};
@@ -0,0 +1,171 @@
+/**
+ * Render Cache
+ *
+ * Responsibilities:
+ * - Persist rendered markdown (HTML, headings, anchor map) between builds
+ * - Key entries by markdown content hash and a render context hash
+ *   (image mapping, sitemap structure, markdown renderer version)
+ * - Record cross-document anchor dependencies so a heading change in one
+ *   file invalidates the pages that link to its anchors
+ *
+ * Lives in .cache/ (not .build/), so `npm run clean` keeps it.
+ *
+ * Dependencies: Node.js built-ins
+ * Output: .cache/render.json
+ *
+ * @module build/render-cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateHash } = require('../utils/hash');
+
+/**
+ * Cache file format version, bump when the entry shape changes
+ */
+const CACHE_FORMAT = 1;
+
+/**
+ * Source files whose changes alter rendered HTML
+ */
+const RENDERER_SOURCES = [
+    'markdown.js',
+    'markdown-gallery.js',
+    'markdown-grid.js',
+    'markdown-partner-link.js',
+    'markdown-callout.js',
+    'markdown-tabs.js',
+    'markdown-only.js',
+    'applicability.js',
+    'front-matter.js',
+    'site-config.js',
+    'constants.js',
+];
+
+/**
+ * Render Cache
+ *
+ * Stores one entry per page URL:
+ * { contentHash, contextHash, html, headings, anchors, dependencies }
+ */
+class RenderCache {
+    /**
+     * @param {string} filePath - Path to the cache file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = {};
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Hash a string or buffer
+     * @param {string|Buffer} content - Content to hash
+     * @returns {string} 16-character hash
+     */
+    static hash(content) {
+        return generateHash(content);
+    }
+
+    /**
+     * Hash the markdown renderer sources (the "markdown.js version")
+     * @returns {string} Renderer version hash
+     */
+    static rendererVersion() {
+        const sources = RENDERER_SOURCES
+            .map((name) => path.join(__dirname, name))
+            .filter((filePath) => fs.existsSync(filePath))
+            .map((filePath) => fs.readFileSync(filePath, 'utf8'));
+
+        return RenderCache.hash(sources.join('\0'));
+    }
+
+    /**
+     * Hash the anchor map of a document
+     * @param {Map<string, string>|undefined} anchors - GitHub slug to heading ID
+     * @returns {string} Anchor map hash
+     */
+    static hashAnchors(anchors) {
+        return RenderCache.hash(JSON.stringify(anchors ? [...anchors] : []));
+    }
+
+    /**
+     * Load entries from disk; a missing, corrupt or outdated file starts empty
+     * @returns {RenderCache} This cache
+     */
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            if (data.format === CACHE_FORMAT && data.entries) {
+                this.entries = data.entries;
+            }
+        } catch (error) {
+            this.entries = {};
+        }
+
+        return this;
+    }
+
+    /**
+     * Find an entry rendered from the same content in the same context
+     * Its anchors are valid; its HTML is valid only if isFresh() also passes.
+     * @param {string} url - Page URL
+     * @param {string} contentHash - Hash of the markdown file
+     * @param {string} contextHash - Hash of the render context
+     * @returns {Object|null} Cache entry
+     */
+    lookup(url, contentHash, contextHash) {
+        const entry = this.entries[url];
+
+        if (entry && entry.contentHash === contentHash && entry.contextHash === contextHash) {
+            return entry;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that the anchors an entry linked to are unchanged
+     * @param {Object} entry - Cache entry
+     * @param {Map<string, Map>} anchorMap - Current anchor maps by URL
+     * @returns {boolean} True if the cached HTML can be reused
+     */
+    static isFresh(entry, anchorMap) {
+        return Object.entries(entry.dependencies).every(([url, anchorsHash]) => (
+            RenderCache.hashAnchors(anchorMap.get(url)) === anchorsHash
+        ));
+    }
+
+    /**
+     * Store a freshly rendered page
+     * @param {string} url - Page URL
+     * @param {Object} entry - { contentHash, contextHash, html, headings, anchors, dependencies }
+     */
+    set(url, entry) {
+        this.entries[url] = entry;
+    }
+
+    /**
+     * Write entries of the given URLs to disk (entries of removed pages are dropped)
+     * @param {string[]} urls - URLs of pages in the current build
+     */
+    save(urls) {
+        const entries = {};
+
+        urls.forEach((url) => {
+            if (this.entries[url]) {
+                entries[url] = this.entries[url];
+            }
+        });
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ format: CACHE_FORMAT, entries }), 'utf8');
+    }
+}
+
+module.exports = {
+    RenderCache,
+    RENDERER_SOURCES,
+};
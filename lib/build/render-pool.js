@@ -0,0 +1,100 @@
+/**
+ * Render Pool
+ *
+ * Responsibilities:
+ * - Render markdown pages in a pool of worker threads
+ * - Hand out pages one at a time, so slow pages do not hold up a whole batch
+ * - Return results by URL; the caller merges them in sitemap order
+ *
+ * Workers share no mutable state: each one gets the sitemap, the anchor maps from
+ * the heading-extraction pass and the image mapping once, as workerData.
+ *
+ * Dependencies: Node.js worker_threads, build/render-worker
+ *
+ * @module build/render-pool
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Worker entry point
+ */
+const WORKER_PATH = path.join(__dirname, 'render-worker.js');
+
+/**
+ * Render Pool
+ *
+ * Distributes render jobs ({ url, filePath }) across worker threads
+ */
+class RenderPool {
+    /**
+     * @param {number} [size] - Number of worker threads
+     */
+    constructor(size = RenderPool.defaultSize()) {
+        this.size = size;
+    }
+
+    /**
+     * Default pool size: one worker per available CPU core
+     * @returns {number} Number of workers
+     */
+    static defaultSize() {
+        return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+    }
+
+    /**
+     * Render pages in worker threads
+     * @param {Array<{url: string, filePath: string}>} jobs - Pages to render
+     * @param {Object} shared - Data for every worker: { sitemap, anchorMaps, imageMapping, root }
+     * @returns {Promise<Map<string, Object>>} Results of SitemapBuilder.renderJob() by URL
+     */
+    async render(jobs, shared) {
+        const queue = [...jobs];
+        const results = new Map();
+
+        const runWorker = () => new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_PATH, { workerData: shared });
+            let finished = false;
+
+            const next = () => {
+                const job = queue.shift();
+
+                if (job) {
+                    worker.postMessage(job);
+                } else {
+                    finished = true;
+                    worker.terminate().then(() => resolve(), reject);
+                }
+            };
+
+            worker.on('message', (result) => {
+                results.set(result.url, result);
+                next();
+            });
+            worker.on('error', (error) => {
+                // Stop handing out jobs, the build fails anyway
+                queue.length = 0;
+                reject(error);
+            });
+            worker.on('exit', (code) => {
+                if (!finished) {
+                    queue.length = 0;
+                    reject(new Error(`Render worker stopped with exit code ${code}`));
+                }
+            });
+
+            next();
+        });
+
+        const size = Math.max(1, Math.min(this.size, jobs.length));
+        await Promise.all(Array.from({ length: size }, runWorker));
+
+        return results;
+    }
+}
+
+module.exports = {
+    RenderPool,
+};
@@ -0,0 +1,17 @@
+/**
+ * Render Worker
+ *
+ * Worker thread of RenderPool: renders the pages it receives with
+ * SitemapBuilder.renderJob() and posts the results back.
+ *
+ * Dependencies: Node.js worker_threads, build/build-sitemap
+ *
+ * @module build/render-worker
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { SitemapBuilder } = require('./build-sitemap');
+
+parentPort.on('message', (job) => {
+    parentPort.postMessage(SitemapBuilder.renderJob(job, workerData));
+});
@@ -3,10 +3,11 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { Dir } = require('../utils/dir');
 const { getRepoName } = require('./utils');
 
 const EXTERNAL_DIR = path.join(__dirname, '../../external');
-const CONFIG_PATH = path.join(__dirname, '../../config/external.json');
+const CONFIG_PATH = path.join(Dir.getConfig(), 'external.json');
 
 function isRepoUpToDate(repoPath) {
     try {
@@ -0,0 +1,164 @@
+/**
+ * Site Config
+ *
+ * Responsibilities:
+ * - Read site identity from site.json of the config directory (SITE_CONFIG_DIR, default config/)
+ * - Validate the settings every build script relies on
+ * - Build the pattern of GitHub raw asset links that are served from the site
+ *
+ * Format (config/site.json):
+ *
+ *   {
+ *       "baseUrl": "https://voyahchat.ru",               # canonical origin, no trailing slash
+ *       "rootTitle": "VoyahChat",                        # title suffix when the root page has no name
+ *       "contentRepo": "voyahchat-content",              # external/<name> with the markdown pages
+ *       "assetRepos": ["voyahchat-install"],             # external/<name> with PDF and ZIP files
+ *       "githubRawBase": "https://github.com/voyahchat", # raw links to asset repos become site URLs
+ *       "bundles": ["page", "page-index"],               # CSS and JS bundles
+ *       "logPrefix": "voyahchat",                        # nginx log file names
+ *       "models": ["free", "dreamer"],                   # optional, sitemap sections of car models
+ *       "community": { "url": "https://t.me/voyahchat", "label": "voyahchat" }   # optional, footer link
+ *   }
+ *
+ * Dependencies: Node.js built-ins, utils/dir
+ *
+ * @module build/site-config
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const { Dir } = require('../utils/dir');
+
+/**
+ * Repository and log names: letters, digits, dots, dashes and underscores
+ */
+const NAME_REGEX = /^[\w.-]+$/;
+
+/**
+ * Origin without path or trailing slash
+ */
+const ORIGIN_REGEX = /^https?:\/\/[^/\s]+(\/[^\s]*[^/\s])?$/;
+
+/**
+ * Loaded settings by file path
+ */
+const cache = new Map();
+
+/**
+ * Site Config
+ *
+ * Loads and validates site.json
+ */
+class SiteConfig {
+    /**
+     * Load the settings (cached per file)
+     * @param {string} [filePath] - Path to site.json, defaults to the one in Dir.getConfig()
+     * @returns {Object} Validated settings
+     * @throws {Error} "site.json: <key> ..." when the file is missing or invalid
+     */
+    static load(filePath = path.join(Dir.getConfig(), 'site.json')) {
+        if (!cache.has(filePath)) {
+            const name = path.basename(filePath);
+
+            if (!fsSync.existsSync(filePath)) {
+                throw new Error(`${name}: not found in ${path.dirname(filePath)}`);
+            }
+
+            let data;
+            try {
+                data = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                throw new Error(`${name}: ${error.message}`);
+            }
+
+            try {
+                cache.set(filePath, SiteConfig.validate(data));
+            } catch (error) {
+                throw new Error(`${name}: ${error.message}`);
+            }
+        }
+
+        return cache.get(filePath);
+    }
+
+    /**
+     * Check the settings
+     * @param {Object} data - Parsed site.json
+     * @returns {Object} The same settings
+     * @throws {Error} "<key> ..." on the first invalid setting
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('must be an object');
+        }
+
+        if (typeof data.baseUrl !== 'string' || !ORIGIN_REGEX.test(data.baseUrl)) {
+            throw new Error('baseUrl must be an http(s) URL without a trailing slash');
+        }
+
+        if (typeof data.rootTitle !== 'string' || !data.rootTitle.trim()) {
+            throw new Error('rootTitle must be a non-empty string');
+        }
+
+        if (typeof data.contentRepo !== 'string' || !NAME_REGEX.test(data.contentRepo)) {
+            throw new Error('contentRepo must be a repository name');
+        }
+
+        if (!Array.isArray(data.assetRepos)
+            || !data.assetRepos.every((repo) => typeof repo === 'string' && NAME_REGEX.test(repo))) {
+            throw new Error('assetRepos must be a list of repository names');
+        }
+
+        if (data.githubRawBase !== null
+            && (typeof data.githubRawBase !== 'string' || !ORIGIN_REGEX.test(data.githubRawBase))) {
+            throw new Error('githubRawBase must be null or an http(s) URL without a trailing slash');
+        }
+
+        if (!Array.isArray(data.bundles) || data.bundles.length === 0
+            || !data.bundles.every((bundle) => typeof bundle === 'string' && NAME_REGEX.test(bundle))) {
+            throw new Error('bundles must be a non-empty list of bundle names');
+        }
+
+        if (typeof data.logPrefix !== 'string' || !NAME_REGEX.test(data.logPrefix)) {
+            throw new Error('logPrefix must be a file name prefix');
+        }
+
+        if (data.models === undefined) {
+            data.models = [];
+        } else if (!Array.isArray(data.models)
+            || !data.models.every((model) => typeof model === 'string' && /^[a-z0-9-]+$/.test(model))) {
+            throw new Error('models must be a list of sitemap section names');
+        }
+
+        if (data.community === undefined) {
+            data.community = null;
+        } else if (data.community !== null && (!data.community || typeof data.community !== 'object'
+            || typeof data.community.url !== 'string' || !/^https?:\/\/[^\s"]+$/.test(data.community.url)
+            || typeof data.community.label !== 'string' || !data.community.label.trim())) {
+            throw new Error('community must be null or { url, label } with an http(s) URL');
+        }
+
+        return data;
+    }
+
+    /**
+     * Pattern of raw GitHub links to files of the asset repositories
+     * Groups: 1 - repository, 2 - file path.
+     * @param {Object} site - Settings from load()
+     * @returns {RegExp|null} Global pattern, null without githubRawBase or asset repositories
+     */
+    static assetLinkRegex(site) {
+        if (!site.githubRawBase || site.assetRepos.length === 0) {
+            return null;
+        }
+
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const repos = site.assetRepos.map(escape).join('|');
+
+        return new RegExp(`${escape(site.githubRawBase)}/(${repos})/raw/refs/heads/main/([^\\s"')]+)`, 'g');
+    }
+}
+
+module.exports = {
+    SiteConfig,
+};
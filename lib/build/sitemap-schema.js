@@ -0,0 +1,456 @@
+/**
+ * Sitemap Schema
+ *
+ * Responsibilities:
+ * - Load config/sitemap.yml as real YAML
+ * - Validate every entry against the documented page option schema
+ * - Normalize all supported entry forms into one explicit shape
+ * - Report malformed entries with the file path and line number
+ *
+ * Supported entry forms (they can be mixed freely):
+ *
+ *   - Title [url, file.md]                           # leaf, compact shorthand
+ *   - 'Title [url, file.md, { navLabel: Label }]'    # shorthand with inline options (quoted)
+ *   - Title [url, file.md]:                          # entry with children
+ *     - Child [child, section/child.md]
+ *   - Title [url, file.md]:                          # entry with options (children optional)
+ *       layout: blocks/page-index/page-index.njk
+ *       children:
+ *         - Child [child, section/child.md]
+ *   - title: Title                                   # explicit mapping
+ *     url: /title
+ *     file: title.md
+ *
+ * Normalized entry: { title, url, file, children?, ...options }
+ *
+ * Dependencies: js-yaml
+ *
+ * @module build/sitemap-schema
+ */
+
+const yaml = require('js-yaml');
+
+/**
+ * Per-page options accepted by sitemap entries.
+ * Every option is copied onto the page record in .build/sitemap.json.
+ */
+const PAGE_OPTIONS = {
+    layout: { type: 'string', description: 'Nunjucks layout relative to the project root' },
+    navLabel: { type: 'string', description: 'Menu label for a cross-section link' },
+    hidden: { type: 'boolean', description: 'Build the page but leave it out of the menu' },
+    description: { type: 'string', description: 'Text for <meta name="description">' },
+    redirectFrom: { type: 'string[]', description: 'Old URLs that redirect permanently to this page' },
+    draft: { type: 'boolean', description: 'Leave the page out of the site unless built with --drafts' },
+    publishAt: { type: 'date', description: 'ISO date before which the page is treated as a draft' },
+    canonical: { type: 'boolean', description: 'Primary URL of a markdown file mounted at several URLs' },
+    toc: { type: 'boolean', description: 'Set to false to hide the table of contents' },
+    tocDepth: { type: 'number', description: 'Deepest heading level in the table of contents (2-6)' },
+    homeLabel: { type: 'string', description: 'Link text of a section on the home page' },
+    homeModifier: { type: 'string', description: 'nav-index _type_ modifier of a section (default: its URL name)' },
+    homeIcon: { type: 'string', description: 'Image shown next to the section or partner on the home page' },
+    homeOrder: { type: 'number', description: 'Position of a section on the home page (default 0, ties keep order)' },
+    homeHidden: { type: 'boolean', description: 'Leave a section off the home page navigation' },
+    homeGroup: { type: 'string', description: 'Extra home page block of a section: cars or partners' },
+};
+
+/**
+ * Keys of the explicit mapping form that are not page options
+ */
+const ENTRY_KEYS = ['title', 'url', 'file', 'children'];
+
+/**
+ * Compact shorthand: "Title [url, file.md]" or "Title [url, file.md, { key: value }]"
+ */
+const SHORTHAND_REGEX = /^(.+?)\s*\[([^,\]]+),\s*([^,\]]+?)\s*(?:,\s*(\{.*\}))?\s*\]$/;
+
+/**
+ * ISO 8601 date with optional time: 2026-03-01, 2026-03-01T09:00, 2026-03-01T09:00:00+03:00
+ */
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Records source lines of list items while js-yaml parses the file.
+ * YAML values carry no positions, so the parser listener notes the line each
+ * node starts on and keeps the item lines of every list (keyed by the array).
+ */
+class LineLocator {
+    constructor() {
+        this.stack = [];
+        this.sequences = new Map();
+        this.listener = (event, state) => this.onNode(event, state);
+    }
+
+    /**
+     * js-yaml listener: called when a node opens and when it is composed
+     * @param {string} event - 'open' or 'close'
+     * @param {Object} state - Parser state (line is 0-based)
+     */
+    onNode(event, state) {
+        if (event === 'open') {
+            this.stack.push({ line: state.line + 1, children: [] });
+            return;
+        }
+
+        const node = this.stack.pop();
+
+        if (this.stack.length > 0) {
+            this.stack[this.stack.length - 1].children.push(node.line);
+        }
+
+        if (state.kind === 'sequence') {
+            this.sequences.set(state.result, node.children);
+        }
+    }
+
+    /**
+     * Line of a list item
+     * @param {Array} items - List from the parsed YAML
+     * @param {number} index - Item index
+     * @returns {number|null} 1-based line number, null for lists not parsed with the locator
+     */
+    line(items, index) {
+        const lines = this.sequences.get(items);
+
+        return lines && lines[index] ? lines[index] : null;
+    }
+}
+
+/**
+ * Sitemap Schema
+ *
+ * Parses, validates and normalizes sitemap entries
+ */
+class SitemapSchema {
+    /**
+     * Parse compact shorthand "Title [url, file.md, { key: value }]"
+     * @param {string} text - Shorthand entry text
+     * @returns {Object|null} { title, url, file, options } or null if the text is not shorthand
+     * @throws {Error} If inline options are not a valid YAML mapping
+     */
+    static parseShorthand(text) {
+        const match = String(text).match(SHORTHAND_REGEX);
+
+        if (!match) {
+            return null;
+        }
+
+        let options = {};
+
+        if (match[4]) {
+            try {
+                options = yaml.load(match[4]);
+            } catch (error) {
+                throw new Error(`invalid inline options ${match[4]}: ${error.reason || error.message}`);
+            }
+        }
+
+        return {
+            title: match[1].trim(),
+            url: match[2].trim(),
+            file: match[3].trim(),
+            options,
+        };
+    }
+
+    /**
+     * Validate page options against PAGE_OPTIONS
+     * @param {*} options - Options value from YAML
+     * @returns {Object} Validated options (dates as ISO strings)
+     * @throws {Error} On unknown keys or wrong value types
+     */
+    static validateOptions(options) {
+        if (!SitemapSchema.isMapping(options)) {
+            throw new Error(`options must be a mapping, got ${SitemapSchema.describe(options)}`);
+        }
+
+        const validated = {};
+
+        Object.entries(options).forEach(([key, value]) => {
+            const spec = PAGE_OPTIONS[key];
+
+            if (!spec) {
+                const allowed = Object.keys(PAGE_OPTIONS).join(', ');
+                throw new Error(`unknown option "${key}" (allowed: ${allowed})`);
+            }
+
+            if (!SitemapSchema.isType(value, spec.type)) {
+                throw new Error(
+                    `option "${key}" must be ${SitemapSchema.describeType(spec.type)}, ` +
+                    `got ${SitemapSchema.describe(value)}`,
+                );
+            }
+
+            // YAML turns unquoted dates into Date objects, keep page records JSON-friendly
+            validated[key] = value instanceof Date ? value.toISOString() : value;
+        });
+
+        return validated;
+    }
+
+    /**
+     * Normalize sitemap entries into { title, url, file, children?, ...options }
+     * Normalized entries are accepted as input, so normalizing twice is harmless.
+     * @param {Array} items - Entries in any supported form
+     * @param {LineLocator|null} [locator=null] - Locator for line numbers in error messages
+     * @param {string} [filePath='sitemap.yml'] - File name for error messages
+     * @param {number|null} [line=null] - Line of the key the list belongs to (for a non-list value)
+     * @returns {Array} Normalized entries
+     * @throws {Error} "<file>:<line>: <message>" for the first malformed entry
+     */
+    static normalize(items, locator = null, filePath = 'sitemap.yml', line = null) {
+        if (!Array.isArray(items)) {
+            throw SitemapSchema.error(
+                `expected a list of entries, got ${SitemapSchema.describe(items)}`,
+                filePath,
+                line,
+            );
+        }
+
+        return items.map((item, index) => {
+            const itemLine = locator ? locator.line(items, index) : null;
+
+            let entry;
+            let children;
+
+            try {
+                ({ entry, children } = SitemapSchema.normalizeEntry(item));
+            } catch (error) {
+                throw SitemapSchema.error(error.message, filePath, itemLine);
+            }
+
+            if (children !== undefined) {
+                entry.children = SitemapSchema.normalize(children, locator, filePath, itemLine);
+            }
+
+            return entry;
+        });
+    }
+
+    /**
+     * Normalize a single entry without its children
+     * @param {*} item - Entry in any supported form
+     * @returns {{entry: Object, children: (Array|undefined)}} Entry and raw children
+     * @throws {Error} On malformed entries
+     */
+    static normalizeEntry(item) {
+        if (typeof item === 'string') {
+            return { entry: SitemapSchema.fromShorthand(item, {}), children: undefined };
+        }
+
+        if (!SitemapSchema.isMapping(item)) {
+            throw new Error(`expected an entry, got ${SitemapSchema.describe(item)}`);
+        }
+
+        const keys = Object.keys(item);
+
+        // Explicit mapping form
+        if (keys.some((key) => ENTRY_KEYS.includes(key))) {
+            const { title, url, file, children, ...options } = item;
+
+            return {
+                entry: SitemapSchema.createEntry({ title, url, file }, options),
+                children: children === undefined || children === null ? undefined : children,
+            };
+        }
+
+        // Keyed shorthand form: "Title [url, file.md]": children | options
+        if (keys.length !== 1) {
+            throw new Error(`expected a single "Title [url, file.md]" key, got: ${keys.join(', ')}`);
+        }
+
+        const [key] = keys;
+        const value = item[key];
+
+        if (Array.isArray(value)) {
+            return { entry: SitemapSchema.fromShorthand(key, {}), children: value };
+        }
+
+        if (SitemapSchema.isMapping(value)) {
+            const { children, ...options } = value;
+
+            return {
+                entry: SitemapSchema.fromShorthand(key, options),
+                children: children === undefined || children === null ? undefined : children,
+            };
+        }
+
+        throw new Error(
+            `"${key}" must be followed by a list of children or a mapping of options, ` +
+            `got ${SitemapSchema.describe(value)}`,
+        );
+    }
+
+    /**
+     * Build an entry from shorthand text plus options given outside of it
+     * @param {string} text - Shorthand entry text
+     * @param {Object} options - Options from a keyed mapping
+     * @returns {Object} Normalized entry
+     */
+    static fromShorthand(text, options) {
+        const parsed = SitemapSchema.parseShorthand(text);
+
+        if (!parsed) {
+            throw new Error(`"${text}" does not match "Title [url, file.md]"`);
+        }
+
+        return SitemapSchema.createEntry(parsed, { ...parsed.options, ...options });
+    }
+
+    /**
+     * Validate required fields and options and assemble the entry
+     * @param {Object} fields - { title, url, file }
+     * @param {Object} options - Page options
+     * @returns {Object} Normalized entry
+     */
+    static createEntry(fields, options) {
+        ['title', 'url', 'file'].forEach((name) => {
+            const value = fields[name];
+
+            if (typeof value !== 'string' || value.trim() === '') {
+                throw new Error(`"${name}" is required and must be a non-empty string`);
+            }
+        });
+
+        if (!fields.file.endsWith('.md')) {
+            throw new Error(`"file" must point to a .md file, got "${fields.file}"`);
+        }
+
+        return {
+            title: fields.title.trim(),
+            url: fields.url.trim(),
+            file: fields.file.trim(),
+            ...SitemapSchema.validateOptions(options),
+        };
+    }
+
+    /**
+     * Load and validate sitemap.yml content
+     * @param {string} content - Raw YAML content
+     * @param {string} [filePath='sitemap.yml'] - File name for error messages
+     * @returns {Array} Normalized entries
+     * @throws {Error} "<file>:<line>: <message>" on YAML or schema errors
+     */
+    static parse(content, filePath = 'sitemap.yml') {
+        const locator = new LineLocator();
+        let data;
+
+        try {
+            data = yaml.load(content, { listener: locator.listener });
+        } catch (error) {
+            const line = error.mark ? error.mark.line + 1 : null;
+            throw SitemapSchema.error(error.reason || error.message, filePath, line);
+        }
+
+        if (data === undefined || data === null) {
+            return [];
+        }
+
+        if (!SitemapSchema.isMapping(data) || !('sitemap' in data)) {
+            throw SitemapSchema.error('expected a top-level "sitemap:" key', filePath, 1);
+        }
+
+        const unknown = Object.keys(data).filter((key) => key !== 'sitemap');
+        if (unknown.length > 0) {
+            throw SitemapSchema.error(`unknown top-level key "${unknown[0]}"`, filePath, 1);
+        }
+
+        if (data.sitemap === null) {
+            return [];
+        }
+
+        const sitemapLine = content.split('\n').findIndex((text) => text.startsWith('sitemap:')) + 1;
+
+        return SitemapSchema.normalize(data.sitemap, locator, filePath, sitemapLine || null);
+    }
+
+    /**
+     * Check a value against an option type
+     * @param {*} value - Value to check
+     * @param {string} type - 'string', 'boolean', 'number', 'string[]' or 'date'
+     * @returns {boolean} True if the value matches
+     */
+    static isType(value, type) {
+        if (type === 'string[]') {
+            return Array.isArray(value) && value.every((item) => typeof item === 'string');
+        }
+
+        if (type === 'date') {
+            return SitemapSchema.isDate(value);
+        }
+
+        return typeof value === type;
+    }
+
+    /**
+     * Check for a valid ISO date (YAML Date object or ISO string)
+     * @param {*} value - Value to check
+     * @returns {boolean} True for valid dates
+     */
+    static isDate(value) {
+        if (value instanceof Date) {
+            return !Number.isNaN(value.getTime());
+        }
+
+        return typeof value === 'string' && ISO_DATE_REGEX.test(value) && !Number.isNaN(Date.parse(value));
+    }
+
+    /**
+     * Describe an option type for error messages
+     * @param {string} type - Option type
+     * @returns {string} Human-readable type
+     */
+    static describeType(type) {
+        if (type === 'string[]') {
+            return 'a list of strings';
+        }
+
+        return type === 'date' ? 'an ISO date (YYYY-MM-DD[THH:MM])' : `a ${type}`;
+    }
+
+    /**
+     * Check for a plain YAML mapping
+     * @param {*} value - Value to check
+     * @returns {boolean} True for non-null, non-array objects
+     */
+    static isMapping(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Describe a value type for error messages
+     * @param {*} value - Value to describe
+     * @returns {string} Type description
+     */
+    static describe(value) {
+        if (value === null || value === undefined) {
+            return 'nothing';
+        }
+        if (Array.isArray(value)) {
+            return 'a list';
+        }
+        if (value instanceof Date) {
+            return 'a date';
+        }
+        if (typeof value === 'object') {
+            return 'a mapping';
+        }
+
+        return `${typeof value} ${JSON.stringify(value)}`;
+    }
+
+    /**
+     * Create an error prefixed with the file location
+     * @param {string} message - Error message
+     * @param {string} filePath - File name
+     * @param {number|null} line - 1-based line number
+     * @returns {Error} Error instance
+     */
+    static error(message, filePath, line) {
+        return new Error(line ? `${filePath}:${line}: ${message}` : message);
+    }
+}
+
+module.exports = {
+    SitemapSchema,
+    PAGE_OPTIONS,
+};
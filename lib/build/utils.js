@@ -103,7 +103,7 @@ function getRepoName(repoUrl) {
  */
 function loadExternalRepos() {
     try {
-        const configPath = path.join(Dir.getRoot(), 'config', 'external.json');
+        const configPath = path.join(Dir.getConfig(), 'external.json');
         const repoUrls = readJsonFile(configPath);
         const externalDir = path.join(Dir.getRoot(), 'external');
 
@@ -124,7 +124,7 @@ function loadExternalRepos() {
  * @returns {string[]} Array of block names
  */
 function loadBemDeclaration(bundle, dir = Dir) {
-    const levels = require('../../config/levels.json');
+    const levels = require(path.join(Dir.getConfig(), 'levels.json'));
     const blocksLevel = levels.find((level) => level === 'blocks') || levels[levels.length - 1];
     const projectRoot = dir.getRoot();
     const bemdeclPath = path.resolve(
@@ -0,0 +1,78 @@
+/**
+ * AVA tests for analytics settings, snippet and Content-Security-Policy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { Analytics, CONSENT_KEY } = require('../build/analytics');
+const { TestDir } = require('./test-dir');
+
+const CONFIG = { provider: 'yandex-metrika', counterId: 12345, environments: ['production'] };
+
+/**
+ * Write site.json into an isolated directory
+ */
+function writeSite(data) {
+    const filePath = path.join(new TestDir().getRoot(), 'site.json');
+    fs.writeFileSync(filePath, JSON.stringify(data));
+
+    return filePath;
+}
+
+// Analytics.load() tests
+test('Analytics.load() - should return null without analytics settings', (t) => {
+    t.is(Analytics.load(writeSite({ baseUrl: 'https://voyahchat.ru' })), null);
+});
+
+test('Analytics.load() - should reject unknown providers and counter ids', (t) => {
+    t.throws(
+        () => Analytics.load(writeSite({ analytics: { ...CONFIG, provider: 'ga' } })),
+        { message: 'site.json: analytics.provider "ga" is not one of yandex-metrika' },
+    );
+    t.throws(
+        () => Analytics.load(writeSite({ analytics: { ...CONFIG, counterId: '12345' } })),
+        { message: 'site.json: analytics.counterId must be a positive integer' },
+    );
+});
+
+test('Analytics.load() - should accept project config/site.json', (t) => {
+    const config = Analytics.load(path.join(__dirname, '..', '..', 'config', 'site.json'));
+
+    t.is(config.provider, 'yandex-metrika');
+});
+
+// Analytics.environment() and Analytics.resolve() tests
+test('Analytics.environment() - should treat CI builds as production and local builds as development', (t) => {
+    t.is(Analytics.environment({ CI: 'true' }), 'production');
+    t.is(Analytics.environment({}), 'development');
+    t.is(Analytics.environment({ CI: 'true', SITE_ENV: 'staging' }), 'staging');
+});
+
+test('Analytics.resolve() - should turn analytics off outside its environments', (t) => {
+    t.is(Analytics.resolve(CONFIG, 'production'), CONFIG);
+    t.is(Analytics.resolve(CONFIG, 'development'), null);
+    t.is(Analytics.resolve(null, 'production'), null);
+});
+
+// Analytics.snippet() and Analytics.csp() tests
+test('Analytics.snippet() - should start the counter only after consent', (t) => {
+    const snippet = Analytics.snippet(CONFIG);
+
+    t.true(snippet.includes('ym(12345,\'init\''));
+    t.true(snippet.includes(`localStorage.getItem('${CONSENT_KEY}')==='granted'`));
+    t.false(snippet.includes('</script'));
+});
+
+test('Analytics.csp() - should list the snippet hash and provider hosts', (t) => {
+    // Arrange
+    const expectedHash = require('crypto').createHash('sha256').update(Analytics.snippet(CONFIG)).digest('base64');
+
+    // Act
+    const csp = Analytics.csp(CONFIG);
+
+    // Assert
+    t.is(csp, `script-src 'self' 'sha256-${expectedHash}' https://mc.yandex.ru https://yastatic.net; ` +
+        'object-src \'none\'; base-uri \'self\'');
+    t.is(Analytics.csp(null), 'script-src \'self\'; object-src \'none\'; base-uri \'self\'');
+});
@@ -0,0 +1,68 @@
+/**
+ * AVA tests for model and year conditions of ::: only content
+ */
+
+const test = require('ava');
+const { Applicability } = require('../build/applicability');
+
+const VOCABULARY = { models: { free: 'Free', dreamer: 'Dreamer' }, years: [2021, 2023, 2024, 2025] };
+
+// Applicability.fromPages() tests
+test('Applicability.fromPages() - should take model names and years from sitemap sections', (t) => {
+    // Arrange
+    const pages = {
+        '/': { name: 'VoyahChat' },
+        '/free': { name: 'Free' },
+        '/free/firmware': { name: 'Прошивка' },
+        '/free/firmware/2024': { name: '2024/2025' },
+        '/free/firmware/2021': { name: '2021, NXP' },
+        '/dreamer': { name: 'Dreamer' },
+        '/dreamer/maintenance/2023': { name: '2023' },
+        '/common/2025': { name: 'Не модель' },
+    };
+
+    // Act
+    const vocabulary = Applicability.fromPages(pages, ['free', 'dreamer', 'passion']);
+
+    // Assert - sections of other pages and missing models are left out
+    t.deepEqual(vocabulary, { models: { free: 'Free', dreamer: 'Dreamer' }, years: [2021, 2023, 2024] });
+});
+
+// Applicability.parse() tests
+test('Applicability.parse() - should parse models, single years, open and closed ranges', (t) => {
+    t.deepEqual(Applicability.parse('free 2024+', VOCABULARY), { models: ['free'], from: 2024, to: null });
+    t.deepEqual(Applicability.parse('Free, dreamer', VOCABULARY), {
+        models: ['free', 'dreamer'],
+        from: null,
+        to: null,
+    });
+    t.deepEqual(Applicability.parse('2021-2023', VOCABULARY), { models: [], from: 2021, to: 2023 });
+    t.deepEqual(Applicability.parse('2025'), { models: [], from: 2025, to: 2025 });
+});
+
+test('Applicability.parse() - should reject words outside the vocabulary and malformed conditions', (t) => {
+    t.throws(() => Applicability.parse('lada', VOCABULARY), {
+        message: 'unknown model "lada" (known: free, dreamer)',
+    });
+    t.throws(() => Applicability.parse('free 2019+', VOCABULARY), {
+        message: 'unknown year 2019 (known: 2021, 2023, 2024, 2025)',
+    });
+    t.throws(() => Applicability.parse('2021 2024+', VOCABULARY), { message: /only one year or year range/ });
+    t.throws(() => Applicability.parse('2024-2021', VOCABULARY), { message: /ends before it starts/ });
+    t.throws(() => Applicability.parse(' '), { message: 'needs a model or a year' });
+});
+
+// Applicability.label() and dataAttributes() tests
+test('Applicability.label() - should show model names and the year range', (t) => {
+    t.is(Applicability.label(Applicability.parse('free dreamer 2024+'), VOCABULARY), 'Free, Dreamer · 2024+');
+    t.is(Applicability.label(Applicability.parse('2021-2023')), '2021–2023');
+    t.is(Applicability.label(Applicability.parse('free 2024')), 'free · 2024');
+});
+
+test('Applicability.dataAttributes() - should leave open range ends empty', (t) => {
+    t.deepEqual(Applicability.dataAttributes(Applicability.parse('free dreamer 2024+')), {
+        models: 'free dreamer',
+        years: '2024-',
+    });
+    t.deepEqual(Applicability.dataAttributes(Applicability.parse('2021')), { models: '', years: '2021-2021' });
+});
@@ -0,0 +1,164 @@
+/**
+ * AVA tests for the content audit build step
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { TestDir } = require('./test-dir');
+const { AuditBuilder } = require('../build/build-audit');
+const { SitemapBuilder } = require('../build/build-sitemap');
+const { createTestFile, createTestContent, createTestSitemap } = require('./utils');
+
+/**
+ * Helper to set up build artifacts of earlier steps
+ */
+async function setupBuild(dir, { pages, md2url, errorPages = {}, imageMapping = {}, videoMapping = {} }) {
+    await createTestFile(dir, '.build/sitemap.json', JSON.stringify({ sitemap: [], pages, md2url, errorPages }));
+    await createTestFile(dir, '.build/image-mapping.json', JSON.stringify(imageMapping));
+    await createTestFile(dir, '.build/hash-video.json', JSON.stringify(videoMapping));
+}
+
+// AuditBuilder.findOrphanPages() tests
+test('AuditBuilder.findOrphanPages() - should list files missing from md2url', (t) => {
+    const files = ['README.md', 'free/12v.md', 'free/old.md', 'index.md'];
+    const md2url = { 'index.md': '/', 'free/12v.md': '/free/12v' };
+
+    t.deepEqual(AuditBuilder.findOrphanPages(files, md2url), ['free/old.md']);
+});
+
+// AuditBuilder.findUnreferencedImages() tests
+test('AuditBuilder.findUnreferencedImages() - should match hashes and file names', (t) => {
+    const imageMapping = {
+        'free/battery.png': 'aaaaaaaaaaaaaaaa.png',
+        'logo/logo.svg': 'bbbbbbbbbbbbbbbb.svg',
+        'free/unused.jpg': 'cccccccccccccccc.jpg',
+    };
+    const corpus = '<img src=/_iaaaaaaaaaaaaaaaa>\n.logo { --l: url(./logo.svg); }';
+
+    t.deepEqual(AuditBuilder.findUnreferencedImages(imageMapping, corpus), ['free/unused.jpg']);
+});
+
+// AuditBuilder.extractFileReferences() tests
+test('AuditBuilder.extractFileReferences() - should keep local files only', (t) => {
+    const html = '<a href=/voyahtweaks.zip>zip</a><a href="/free/12v#top">page</a>' +
+        '<img src=images/photo.png><img src=/_i0123456789abcdef>' +
+        '<a href=https://example.com/file.pdf>ext</a><a href=setup.md>md</a>';
+
+    t.deepEqual(AuditBuilder.extractFileReferences(html), [
+        '/voyahtweaks.zip',
+        'images/photo.png',
+        '/_i0123456789abcdef',
+        'setup.md',
+    ]);
+});
+
+// AuditBuilder.findNewOrphans() tests
+test('AuditBuilder.findNewOrphans() - should ignore orphans in the baseline', (t) => {
+    const report = {
+        orphanPages: ['old.md', 'new.md'],
+        unreferencedImages: [],
+        unreferencedAssets: ['manual.pdf'],
+    };
+    const baseline = { orphanPages: ['old.md'], unreferencedAssets: ['manual.pdf'] };
+
+    t.deepEqual(AuditBuilder.findNewOrphans(report, baseline), { orphanPages: ['new.md'] });
+});
+
+// AuditBuilder.build() tests
+test('AuditBuilder.build() - reports orphans and missing references', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await createTestContent(dir, {
+        'index.md': '# Home',
+        'old.md': '# Old',
+        'tweaks.zip': 'zip',
+        'manual.pdf': 'pdf',
+        'images/photo.png': 'png',
+    });
+    await setupBuild(dir, {
+        pages: {
+            '/': {
+                url: '/',
+                file: 'index.md',
+                html: '<a href=/tweaks.zip>zip</a><img src=/_i0123456789abcdef><img src=/_ifedcba9876543210>',
+            },
+        },
+        md2url: { 'index.md': '/' },
+        imageMapping: { 'images/photo.png': '0123456789abcdef.png', 'images/unused.png': '1111111111111111.png' },
+    });
+
+    // Act
+    const report = await new AuditBuilder({}, dir).build();
+
+    // Assert
+    t.deepEqual(report.orphanPages, ['old.md']);
+    t.deepEqual(report.unreferencedImages, ['images/unused.png']);
+    t.deepEqual(report.unreferencedAssets, ['manual.pdf']);
+    t.deepEqual(report.missingReferences, [{ url: '/', ref: '/_ifedcba9876543210' }]);
+    t.true(fs.existsSync(path.join(dir.getBuild(), 'audit.json')));
+});
+
+test('AuditBuilder.build() - treats error page content as used', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await createTestContent(dir, { 'index.md': '# Home', '404.md': '# Нет страницы', 'images/lost.png': 'png' });
+    await setupBuild(dir, {
+        pages: { '/': { url: '/', file: 'index.md', html: '' } },
+        md2url: { 'index.md': '/' },
+        errorPages: { 404: { url: '/404', file: '404.md', html: '<img src=/_i0123456789abcdef>' } },
+        imageMapping: { 'images/lost.png': '0123456789abcdef.png' },
+    });
+
+    // Act
+    const report = await new AuditBuilder({ skipWrite: true }, dir).build();
+
+    // Assert
+    t.deepEqual(report.orphanPages, []);
+    t.deepEqual(report.unreferencedImages, []);
+});
+
+test('AuditBuilder.build() - does not report drafts and scheduled pages of sitemap.yml', async (t) => {
+    // Arrange - sitemap.json written by build:sitemap, which leaves unpublished pages out
+    const dir = new TestDir();
+    await createTestSitemap(dir, [
+        'Home [/, index.md]',
+        'Draft [/draft, draft.md]',
+        '\'Later [/later, later.md, { publishAt: 2999-01-01 }]\'',
+    ]);
+    await createTestContent(dir, {
+        'index.md': '# Home',
+        'draft.md': '---\ndraft: true\n---\n# Draft',
+        'later.md': '# Later',
+        'old.md': '# Old',
+    });
+    await new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        cache: false,
+    }, dir).build();
+
+    // Act
+    const report = await new AuditBuilder({ skipWrite: true }, dir).build();
+
+    // Assert
+    t.deepEqual(report.orphanPages, ['old.md']);
+});
+
+test('AuditBuilder.build() - fails on orphans missing from the baseline', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const baselinePath = path.join(dir.getConfig(), 'audit-baseline.json');
+    await createTestContent(dir, { 'index.md': '# Home', 'old.md': '# Old', 'new.md': '# New' });
+    await setupBuild(dir, { pages: { '/': { url: '/', file: 'index.md', html: '' } }, md2url: { 'index.md': '/' } });
+    fs.writeFileSync(baselinePath, JSON.stringify({ orphanPages: ['old.md'] }), 'utf8');
+
+    // Act & Assert
+    await t.throwsAsync(
+        () => new AuditBuilder({ failOnNew: true, baselinePath }, dir).build(),
+        { message: /new orphans not listed in config\/audit-baseline\.json[\s\S]*new\.md/ },
+    );
+
+    await new AuditBuilder({ updateBaseline: true, baselinePath }, dir).build();
+    await t.notThrowsAsync(() => new AuditBuilder({ failOnNew: true, baselinePath }, dir).build());
+});
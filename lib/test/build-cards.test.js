@@ -0,0 +1,91 @@
+/**
+ * AVA tests for the social card build step
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { TestDir } = require('./test-dir');
+const { CardBuilder, CARD_WIDTH, CARD_HEIGHT } = require('../build/build-cards');
+
+const LOGO_PATH = path.join(__dirname, '..', '..', 'blocks', 'logo', 'logo.svg');
+
+const PAGES = {
+    '/': { url: '/', name: 'VoyahChat', breadcrumbs: [] },
+    '/free': { url: '/free', name: 'Free', section: 'free', breadcrumbs: [] },
+    '/free/12v': { url: '/free/12v', name: 'АКБ 12V', section: 'free', breadcrumbs: ['/free'] },
+};
+
+// CardBuilder.wrapText() tests
+test('CardBuilder.wrapText() - should wrap on words and ellipsize extra lines', (t) => {
+    t.deepEqual(CardBuilder.wrapText('Замена АКБ 12V', 10, 3), ['Замена АКБ', '12V']);
+    t.deepEqual(CardBuilder.wrapText('one two three four', 7, 2), ['one two', 'three…']);
+    t.deepEqual(CardBuilder.wrapText('Высоковольтная', 8, 3), ['Высоково', 'льтная']);
+});
+
+// CardBuilder.getCardInput() tests
+test('CardBuilder.getCardInput() - should collect name, trail and section colour', (t) => {
+    const input = CardBuilder.getCardInput(PAGES['/free/12v'], PAGES);
+
+    t.is(input.name, 'АКБ 12V');
+    t.deepEqual(input.trail, ['VoyahChat', 'Free']);
+    t.not(input.color, CardBuilder.getCardInput(PAGES['/'], PAGES).color);
+    t.deepEqual(CardBuilder.getCardInput(PAGES['/'], PAGES).trail, []);
+});
+
+// CardBuilder.renderSvg() tests
+test('CardBuilder.renderSvg() - should embed the logo and escape text', (t) => {
+    const logo = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 20" fill="#000"><path d="M0 0h10"/></svg>';
+
+    const svg = CardBuilder.renderSvg({ name: 'Tom & <Jerry>', trail: ['Home'], color: '#123456' }, logo);
+
+    t.true(svg.includes('viewBox="0 0 10 20" fill="#fff"><path d="M0 0h10"/></svg>'));
+    t.true(svg.includes('Tom &amp; &lt;Jerry&gt;'));
+    t.true(svg.includes('fill="#123456"'));
+});
+
+// CardBuilder.build() tests
+test('CardBuilder.build() - should write hashed PNG cards and the mapping', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new CardBuilder({ sitemap: { pages: PAGES }, logoPath: LOGO_PATH }, dir);
+
+    // Act
+    const result = await builder.build();
+
+    // Assert
+    const mapping = JSON.parse(fs.readFileSync(path.join(dir.getBuild(), 'hash-cards.json'), 'utf8'));
+    const ref = mapping['/free/12v'];
+    t.deepEqual(mapping, result.cards);
+    t.regex(ref, /^_i[a-f0-9]{16}$/);
+    t.is(result.misses, 3);
+
+    const png = fs.readFileSync(path.join(dir.getSite(), 'png', `${ref.slice(2)}.png`));
+    t.is(png.toString('ascii', 1, 4), 'PNG');
+    t.is(png.readUInt32BE(16), CARD_WIDTH);
+    t.is(png.readUInt32BE(20), CARD_HEIGHT);
+});
+
+test('CardBuilder.build() - should reuse cached cards of unchanged pages', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const first = await new CardBuilder({ sitemap: { pages: PAGES }, logoPath: LOGO_PATH }, dir).build();
+    const renamed = { ...PAGES, '/free/12v': { ...PAGES['/free/12v'], name: 'Аккумулятор 12V' } };
+
+    // Act
+    const second = await new CardBuilder({ sitemap: { pages: renamed }, logoPath: LOGO_PATH }, dir).build();
+
+    // Assert
+    t.is(second.hits, 2);
+    t.is(second.misses, 1);
+    t.is(second.cards['/free'], first.cards['/free']);
+    t.not(second.cards['/free/12v'], first.cards['/free/12v']);
+    t.is(fs.readdirSync(path.join(dir.getCache(), 'cards')).length, 3, 'Stale cards are pruned');
+});
+
+test('CardBuilder.build() - should fail without the logo', async (t) => {
+    const dir = new TestDir();
+    const builder = new CardBuilder({ sitemap: { pages: PAGES }, logoPath: path.join(dir.getRoot(), 'none.svg') }, dir);
+
+    await t.throwsAsync(() => builder.build(), { message: /Card build failed: logo not found/ });
+});
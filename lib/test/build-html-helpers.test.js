@@ -10,6 +10,15 @@ const {
     removeTagWhitespace,
     urlToFlatFilename,
     cleanUrl,
+    attr,
+    extractHowToSteps,
+    buildStructuredData,
+    serializeJsonLd,
+    extractDescription,
+    resolveImageUrl,
+    buildOpenGraph,
+    buildSuggestions,
+    buildHomeNavigation,
 } = require('../build/build-html');
 
 // Tests for fixDoctypeSpacing()
@@ -108,3 +117,249 @@ test('cleanUrl() - should remove multiple trailing slashes', (t) => {
     t.is(result, '/about');
 });
 
+
+// Tests for attr()
+test('attr() - should leave simple values unquoted', (t) => {
+    const result = attr('content', 'article');
+    t.is(result, 'content=article');
+});
+
+test('attr() - should quote values with spaces', (t) => {
+    const result = attr('content', 'Замена АКБ 12V');
+    t.is(result, 'content="Замена АКБ 12V"');
+});
+
+test('attr() - should escape quotes and ampersands', (t) => {
+    const result = attr('content', 'Tom & "Jerry"');
+    t.is(result, 'content="Tom &amp; &quot;Jerry&quot;"');
+});
+
+
+// Tests for structured data
+const HOWTO_HTML = '<h1 id=akb><a href=#akb>АКБ</a></h1><p>Intro</p>' +
+    '<h2 class="article__heading" id=akb-zamena><a href=#akb-zamena>Порядок замены</a></h2>' +
+    '<ol class="article__list"><li>Откройте <strong>капот</strong>.' +
+    '<li>Снимите клемму<ul><li>минус</li><li>плюс</li></ul></li>' +
+    '<li>Установите АКБ &amp; затяните</li></ol>' +
+    '<ol><li>Not a step</li></ol><h2 id=other><a href=#other>Другое</a></h2>';
+
+test('extractHowToSteps() - should split the ordered list under the heading into steps', (t) => {
+    // Act
+    const result = extractHowToSteps(HOWTO_HTML, 'Порядок замены');
+
+    // Assert
+    t.deepEqual(result, {
+        name: 'Порядок замены',
+        anchor: 'akb-zamena',
+        steps: ['Откройте капот.', 'Снимите клемму минус плюс', 'Установите АКБ & затяните'],
+    });
+});
+
+test('extractHowToSteps() - should return null without an ordered list before the next heading', (t) => {
+    // Arrange
+    const html = '<h2 id=a>Steps</h2><p>Text</p><h2 id=b>Next</h2><ol><li>Step</li></ol>';
+
+    // Act & Assert
+    t.is(extractHowToSteps(html, 'Steps'), null);
+    t.is(extractHowToSteps(html, 'Missing'), null);
+});
+
+test('buildStructuredData() - should emit breadcrumbs and a dated article', (t) => {
+    // Arrange
+    const pages = {
+        '/': { url: '/', name: 'VoyahChat', breadcrumbs: [] },
+        '/free': { url: '/free', name: 'Free', breadcrumbs: [] },
+        '/free/12v': { url: '/free/12v', name: 'АКБ 12V', breadcrumbs: ['/free'], description: 'Замена' },
+    };
+
+    // Act
+    const [breadcrumbs, article] = buildStructuredData(pages['/free/12v'], pages, 1760548440)['@graph'];
+
+    // Assert
+    t.deepEqual(breadcrumbs.itemListElement.map(({ position, name, item }) => [position, name, item]), [
+        [1, 'VoyahChat', 'https://voyahchat.ru/'],
+        [2, 'Free', 'https://voyahchat.ru/free'],
+        [3, 'АКБ 12V', 'https://voyahchat.ru/free/12v'],
+    ]);
+    t.is(article['@type'], 'Article');
+    t.is(article.headline, 'АКБ 12V');
+    t.is(article.description, 'Замена');
+    t.is(article.dateModified, '2025-10-15T17:14:00.000Z');
+});
+
+test('buildStructuredData() - should add HowTo steps for opted-in pages', (t) => {
+    // Arrange
+    const pageData = {
+        url: '/free/12v',
+        canonicalUrl: '/dreamer/12v',
+        name: 'АКБ',
+        breadcrumbs: [],
+        howto: 'Порядок замены',
+        html: HOWTO_HTML,
+    };
+
+    // Act
+    const graph = buildStructuredData(pageData, {})['@graph'];
+    const howTo = graph.find((item) => item['@type'] === 'HowTo');
+
+    // Assert
+    t.is(graph[1]['@type'], 'TechArticle');
+    t.is(graph[1].url, 'https://voyahchat.ru/dreamer/12v');
+    t.is(graph[1].dateModified, undefined);
+    t.is(howTo.url, 'https://voyahchat.ru/dreamer/12v#akb-zamena');
+    t.deepEqual(howTo.step.map(({ position }) => position), [1, 2, 3]);
+});
+
+test('buildStructuredData() - should throw if the howto heading has no ordered list', (t) => {
+    // Arrange
+    const pageData = { url: '/a', name: 'A', breadcrumbs: [], howto: 'Missing', html: HOWTO_HTML };
+
+    // Act & Assert
+    t.throws(() => buildStructuredData(pageData, {}), { message: /howto: no ordered list under heading "Missing"/ });
+});
+
+test('serializeJsonLd() - should escape < so content cannot close the script', (t) => {
+    // Act
+    const result = serializeJsonLd({ name: '</script><!--' });
+
+    // Assert
+    t.is(result, '{"name":"\\u003c/script>\\u003c!--"}');
+    t.deepEqual(JSON.parse(result), { name: '</script><!--' });
+});
+
+
+// Tests for link previews
+const IMAGE_MAPPING = {
+    'free/images/battery.jpg': '_i0123456789abcdef',
+    'common/images/cover.png': '_ifedcba9876543210',
+    'logo/logo.svg': 'aaaaaaaaaaaaaaaa.svg',
+};
+
+test('extractDescription() - should use the first paragraph with text', (t) => {
+    // Arrange
+    const html = '<h1>Title</h1><p><img src=/_i0123456789abcdef></p><p>Замена <strong>АКБ</strong> &amp; клемм.</p>';
+
+    // Act & Assert
+    t.is(extractDescription(html), 'Замена АКБ & клемм.');
+    t.is(extractDescription('<h1>Title</h1>'), null);
+});
+
+test('extractDescription() - should cut long text on a word boundary', (t) => {
+    // Act
+    const result = extractDescription('<p>Первое второе, третье четвёртое</p>', 22);
+
+    // Assert
+    t.is(result, 'Первое второе, третье…');
+    t.true(result.length <= 22);
+});
+
+test('resolveImageUrl() - should map source paths and hashed references to original files', (t) => {
+    // Act & Assert
+    t.is(resolveImageUrl('free/images/battery.jpg', IMAGE_MAPPING), 'https://voyahchat.ru/jpg/0123456789abcdef.jpg');
+    t.is(resolveImageUrl('images/cover.png', IMAGE_MAPPING), 'https://voyahchat.ru/png/fedcba9876543210.png');
+    t.is(resolveImageUrl('/_i0123456789abcdef', IMAGE_MAPPING), 'https://voyahchat.ru/jpg/0123456789abcdef.jpg');
+    t.is(resolveImageUrl('logo/logo.svg', IMAGE_MAPPING), null, 'SVG is not used for previews');
+    t.is(resolveImageUrl('missing.png', IMAGE_MAPPING), null);
+});
+
+test('buildOpenGraph() - should prefer og_image, then content image, then section default', (t) => {
+    // Arrange
+    const pages = {
+        '/free': { url: '/free', section: 'free', ogImage: 'common/images/cover.png' },
+    };
+    const html = '<p>Text <img class=article__image src=/_i0123456789abcdef alt=x></p>';
+
+    // Act
+    const explicit = buildOpenGraph({ url: '/free/a', section: 'free', ogImage: 'logo.png', html }, pages, {
+        ...IMAGE_MAPPING,
+        'logo.png': '_i1111111111111111',
+    });
+    const content = buildOpenGraph({ url: '/free/a', section: 'free', html }, pages, IMAGE_MAPPING);
+    const section = buildOpenGraph({ url: '/free/b', section: 'free', html: '<p>Text</p>' }, pages, IMAGE_MAPPING);
+
+    // Assert
+    t.is(explicit.image, 'https://voyahchat.ru/png/1111111111111111.png');
+    t.is(content.image, 'https://voyahchat.ru/jpg/0123456789abcdef.jpg');
+    t.is(section.image, 'https://voyahchat.ru/png/fedcba9876543210.png');
+    t.is(section.description, 'Text');
+});
+
+test('buildOpenGraph() - should keep an explicit description and reject unknown og_image', (t) => {
+    // Arrange
+    const pageData = { url: '/a', description: 'Описание', html: '<p>Text</p>' };
+
+    // Act & Assert
+    t.is(buildOpenGraph(pageData, {}, IMAGE_MAPPING).description, 'Описание');
+    t.throws(() => buildOpenGraph({ ...pageData, ogImage: 'missing.png' }, {}, IMAGE_MAPPING), {
+        message: /og_image: "missing.png" on \/a/,
+    });
+});
+
+test('buildOpenGraph() - should use the generated card before the section default', (t) => {
+    // Arrange
+    const pages = { '/free': { url: '/free', section: 'free', ogImage: 'common/images/cover.png' } };
+    const cards = { '/free/b': '_i2222222222222222' };
+
+    const pageData = { url: '/free/b', section: 'free', html: '<p>Text</p>' };
+
+    // Act
+    const result = buildOpenGraph(pageData, pages, IMAGE_MAPPING, cards);
+
+    // Assert
+    t.is(result.image, 'https://voyahchat.ru/png/2222222222222222.png');
+});
+
+// buildSuggestions() tests
+test('buildSuggestions() - should list canonical indexed pages as [url, name]', (t) => {
+    // Arrange
+    const pages = {
+        '/': { url: '/', name: 'VoyahChat' },
+        '/free/12v': { url: '/free/12v', name: 'АКБ 12V', canonicalUrl: '/free/12v' },
+        '/dreamer/12v': { url: '/dreamer/12v', name: 'АКБ 12V', canonicalUrl: '/free/12v' },
+        '/hidden': { url: '/hidden', name: 'Hidden', noindex: true },
+    };
+
+    // Act
+    const result = buildSuggestions(pages);
+
+    // Assert
+    t.deepEqual(result, [['/', 'VoyahChat'], ['/free/12v', 'АКБ 12V']]);
+});
+
+// buildHomeNavigation() tests
+test('buildHomeNavigation() - should order sections and apply home options', (t) => {
+    // Arrange
+    const sitemap = {
+        sitemap: ['/', { '/free': ['/free/12v'] }, '/common', '/hidden'],
+        pages: {
+            '/': { url: '/', name: 'Home' },
+            '/free': { url: '/free', name: 'Free', homeGroup: 'cars', homeIcon: 'free/car.svg' },
+            '/free/12v': { url: '/free/12v', name: 'АКБ' },
+            '/common': { url: '/common', name: 'Common', homeLabel: 'Общее', homeOrder: -1, homeModifier: 'all' },
+            '/hidden': { url: '/hidden', name: 'Hidden', homeHidden: true },
+        },
+    };
+
+    // Act
+    const result = buildHomeNavigation(sitemap, { 'free/car.svg': '0123456789abcdef.svg' });
+
+    // Assert
+    t.deepEqual(result.sections.map(({ href, label, modifier }) => [href, label, modifier]), [
+        ['common', 'Общее', 'all'],
+        ['free', 'Free', 'free'],
+    ]);
+    t.is(result.cars[0].icon, '/0123456789abcdef.svg');
+    t.deepEqual(result.cars[0].items, [{ href: 'free/12v', name: 'АКБ', description: '', icon: null }]);
+    t.deepEqual(result.partners, []);
+});
+
+test('buildHomeNavigation() - should reject unknown groups and icons', (t) => {
+    const sitemap = (options) => ({ sitemap: ['/a'], pages: { '/a': { url: '/a', name: 'A', ...options } } });
+
+    t.throws(() => buildHomeNavigation(sitemap({ homeGroup: 'shops' }), {}), {
+        message: 'homeGroup: "shops" on /a must be cars or partners',
+    });
+    t.throws(() => buildHomeNavigation(sitemap({ homeIcon: 'a.png' }), {}), {
+        message: 'homeIcon: "a.png" on /a not found in image-mapping.json',
+    });
+});
@@ -8,6 +8,7 @@ const path = require('path');
 
 // Import functions from build-html
 const { HTMLBuilder } = require('../build/build-html');
+const { Analytics } = require('../build/analytics');
 const { Dir } = require('../utils/dir');
 const { TestDir } = require('./test-dir');
 
@@ -51,6 +52,123 @@ test('HTMLBuilder.build() - should creates build-html.json with correct structur
     t.truthy(stats['index.html'].metadata, 'Entry should have metadata field');
 });
 
+test('HTMLBuilder.build() - should render partner placements per section and write the report', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const testDir = dir.getRoot();
+    const { buildDir, siteDir } = await setupTestEnvironment(testDir, {
+        sitemap: { pages: [] },
+        imageMapping: false,
+        assetsMapping: false,
+    });
+    const partnersPath = path.join(testDir, 'partners.yml');
+    await fs.writeFile(partnersPath, [
+        'partners:',
+        '  title: Партнёры',
+        '  url: /partners',
+        '  placements:',
+        '    - { id: acme, name: Acme, page: /partners/acme, text: { mobile: { title: Acme } } }',
+        '    - { id: wrap, name: Wrap, page: /partners/wrap, sections: [free], text: { mobile: { title: Wrap } } }',
+    ].join('\n'));
+    const sitemap = createMockSitemap({
+        pages: [
+            { url: '/help', name: 'Help', file: 'help.md', html: '<h1>Help</h1>', section: 'help' },
+            { url: '/free/a', name: 'A', file: 'free/a.md', html: '<h1>A</h1>', section: 'free' },
+        ],
+    });
+
+    // Act
+    await new HTMLBuilder({ sitemap, imageMapping: {}, buildDir, siteDir, partnersPath }).build();
+
+    // Assert - the first placement is visible without JavaScript
+    const help = await fs.readFile(path.join(siteDir, 'html', 'help.html'), 'utf8');
+    const free = await fs.readFile(path.join(siteDir, 'html', 'free_a.html'), 'utf8');
+    const report = JSON.parse(await fs.readFile(path.join(buildDir, 'partners.json'), 'utf8'));
+
+    t.false(help.includes('partner_id_wrap'));
+    t.regex(free, /partner_id_wrap[^>]* hidden>/);
+    t.true(free.includes('"id":"wrap"'));
+    t.deepEqual(report.placements.acme.sections, {
+        free: { pages: 1, share: 0.5 },
+        help: { pages: 1, share: 1 },
+    });
+});
+
+test('HTMLBuilder.build() - should add analytics snippet and consent banner in its environments only', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const testDir = dir.getRoot();
+    const { buildDir, siteDir } = await setupTestEnvironment(testDir, {
+        sitemap: { pages: [] },
+        imageMapping: false,
+        assetsMapping: false,
+    });
+    const sitePath = path.join(testDir, 'site.json');
+    const analytics = { provider: 'yandex-metrika', counterId: 12345, environments: ['production'] };
+    await fs.writeFile(sitePath, JSON.stringify({ analytics }));
+    const render = async (environment) => {
+        await new HTMLBuilder({
+            sitemap: createMockSitemap(), imageMapping: {}, buildDir, siteDir, sitePath, environment,
+        }).build();
+
+        return fs.readFile(path.join(siteDir, 'html', 'index.html'), 'utf8');
+    };
+
+    // Act
+    const production = await render('production');
+    const development = await render('development');
+
+    // Assert - the script text is exactly what the CSP hash covers
+    t.true(production.includes(`<script>${Analytics.snippet(analytics)}</script>`));
+    t.true(production.includes('consent__button_action_accept'));
+    t.false(development.includes('startAnalytics'));
+    t.false(development.includes('class=consent'));
+});
+
+test('HTMLBuilder.build() - should ask for consent on the home page with its own JS bundle', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const testDir = dir.getRoot();
+    const { buildDir, siteDir } = await setupTestEnvironment(testDir, {
+        sitemap: { pages: [] },
+        imageMapping: false,
+        assetsMapping: false,
+    });
+    await fs.writeFile(path.join(buildDir, 'hash-css.json'), JSON.stringify({
+        page: { url: '/_c.css' },
+        'page-index': { url: '/_i.css' },
+    }));
+    await fs.writeFile(path.join(buildDir, 'hash-js.json'), JSON.stringify({
+        page: { url: '/_c.js' },
+        'page-index': { url: '/_i.js' },
+    }));
+    const sitePath = path.join(testDir, 'site.json');
+    const analytics = { provider: 'yandex-metrika', counterId: 12345, environments: ['production'] };
+    await fs.writeFile(sitePath, JSON.stringify({ analytics }));
+    const sitemap = createMockSitemap({
+        pages: [{
+            url: '/',
+            name: 'Home',
+            title: 'Home',
+            file: 'index.md',
+            html: '<h1>Home</h1>',
+            layout: 'blocks/page-index/page-index.njk',
+        }],
+    });
+
+    // Act
+    await new HTMLBuilder({
+        sitemap, imageMapping: {}, buildDir, siteDir, sitePath, environment: 'production',
+    }).build();
+    const html = await fs.readFile(path.join(siteDir, 'html', 'index.html'), 'utf8');
+
+    // Assert
+    t.true(html.includes('<script src=/_i.js></script>'));
+    t.true(html.includes(`<script>${Analytics.snippet(analytics)}</script>`));
+    t.true(html.includes('consent__button_action_accept'));
+    t.true(html.includes(`<meta http-equiv=Content-Security-Policy content="${Analytics.csp(analytics)}">`));
+});
+
 test('HTMLBuilder.build() - should statistics file respects buildDir option', async (t) => {
     const dir = new TestDir();
     const testDir = dir.getRoot();
@@ -0,0 +1,245 @@
+/**
+ * AVA tests for the redirect registry build step
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { TestDir } = require('./test-dir');
+const { RedirectsBuilder, HTACCESS_MARKER } = require('../build/build-redirects');
+const { createTestFile } = require('./utils');
+
+/**
+ * Helper to create pages the way sitemap.json stores them
+ */
+function createPages(urls, extra = {}) {
+    const pages = {};
+    urls.forEach((url) => {
+        pages[url] = { url, file: `${url.slice(1) || 'index'}.md`, ...(extra[url] || {}) };
+    });
+    return pages;
+}
+
+/**
+ * Helper to set up sitemap.json, redirects.yml, .htaccess and a deployed manifest
+ */
+async function setupBuild(dir, { pages, redirectsYml, deployed }) {
+    await createTestFile(dir, '.build/sitemap.json', JSON.stringify({ pages }));
+    await createTestFile(dir, 'config/.htaccess', `${HTACCESS_MARKER}\n\nRewriteEngine On\n`);
+    if (redirectsYml !== undefined) {
+        await createTestFile(dir, 'config/redirects.yml', redirectsYml);
+    }
+    if (deployed) {
+        const manifest = {};
+        deployed.forEach((file) => {
+            manifest[file] = { size: 1, hash: 'abc' };
+        });
+        await createTestFile(dir, '.deployed/manifest.json', JSON.stringify(manifest));
+    }
+}
+
+// RedirectsBuilder.manifestToUrls() tests
+test('RedirectsBuilder.manifestToUrls() - should map flat HTML files back to URLs', (t) => {
+    const manifest = {
+        'html/index.html': {},
+        'html/free_12v.html': {},
+        'html/free_parts_2021_fuel.html': {},
+        '_c1234': {},
+        'voyahtweaks-2.1.0.zip': {},
+    };
+
+    t.deepEqual(RedirectsBuilder.manifestToUrls(manifest), ['/', '/free/12v', '/free/parts/2021/fuel']);
+});
+
+test('RedirectsBuilder.findRemovedUrls() - should not report deployed error pages as removed', (t) => {
+    // Arrange
+    const manifest = {
+        'html/index.html': {},
+        'html/free_12v.html': {},
+        'html/404.html': {},
+        'html/500.html': {},
+        'html/503.html': {},
+    };
+    const pages = createPages(['/', '/free/12v']);
+
+    // Act
+    const removed = RedirectsBuilder.findRemovedUrls(RedirectsBuilder.manifestToUrls(manifest), pages, []);
+
+    // Assert
+    t.deepEqual(removed, []);
+});
+
+// RedirectsBuilder.proposeTarget() tests
+test('RedirectsBuilder.proposeTarget() - should prefer a moved page with the same slug', (t) => {
+    const pages = createPages(['/', '/free', '/free/parts', '/free/parts/2021/fuel']);
+
+    t.is(RedirectsBuilder.proposeTarget('/free/parts_2021/fuel', pages), '/free/parts/2021/fuel');
+});
+
+test('RedirectsBuilder.proposeTarget() - should fall back to the closest ancestor', (t) => {
+    const pages = createPages(['/', '/free', '/free/parts']);
+
+    t.is(RedirectsBuilder.proposeTarget('/free/parts/gone', pages), '/free/parts');
+    t.is(RedirectsBuilder.proposeTarget('/nothing/here', pages), '/');
+});
+
+// RedirectsBuilder.validate() tests
+test('RedirectsBuilder.validate() - should accept page and file redirects', (t) => {
+    const pages = createPages(['/', '/free/models']);
+    const redirects = [
+        { from: '/free/choice', to: '/free/models', source: 'redirects.yml' },
+        { from: '/free/manual.pdf', to: '/manual.pdf', source: 'redirects.yml' },
+    ];
+
+    t.notThrows(() => RedirectsBuilder.validate(redirects, pages));
+});
+
+test('RedirectsBuilder.validate() - should report shadowed pages, chains and unknown targets', (t) => {
+    const pages = createPages(['/', '/free/models']);
+    const redirects = [
+        { from: '/free/models', to: '/', source: 'redirects.yml' },
+        { from: '/a', to: '/b', source: 'redirects.yml' },
+        { from: '/b', to: '/free/models', source: 'free/models.md' },
+        { from: '/c', to: '/missing', source: 'redirects.yml' },
+        { from: 'relative', to: '/', source: 'redirects.yml' },
+    ];
+
+    const error = t.throws(() => RedirectsBuilder.validate(redirects, pages));
+
+    t.regex(error.message, /redirect source "\/free\/models" is an existing page/);
+    t.regex(error.message, /redirect chain "\/a" → "\/b"/);
+    t.regex(error.message, /redirect target "\/missing" for "\/c" is not a page/);
+    t.regex(error.message, /redirect source "relative" must start with "\/"/);
+});
+
+test('RedirectsBuilder.validate() - should report duplicate sources', (t) => {
+    const pages = createPages(['/', '/x']);
+    const redirects = [
+        { from: '/old', to: '/x', source: 'redirects.yml' },
+        { from: '/old', to: '/', source: 'x.md' },
+    ];
+
+    t.throws(
+        () => RedirectsBuilder.validate(redirects, pages),
+        { message: /x\.md: redirect source "\/old" is already defined in redirects\.yml/ },
+    );
+});
+
+// RedirectsBuilder.toApache() tests
+test('RedirectsBuilder.toApache() - should emit exact-match RedirectMatch rules', (t) => {
+    const rules = RedirectsBuilder.toApache([{ from: '/free/manual.pdf', to: '/manual.pdf' }]);
+
+    t.is(rules, 'RedirectMatch 301 ^/free/manual\\.pdf$ /manual.pdf');
+});
+
+test('RedirectsBuilder.toApache() - should not redirect sub-paths of a moved section', (t) => {
+    // Arrange
+    const redirects = [{ from: '/free/choice', to: '/free/models' }];
+    const deployed = ['/', '/free/choice', '/free/choice/2024'];
+    const pages = createPages(['/', '/free/models', '/free/models/2024']);
+
+    // Act
+    const rules = RedirectsBuilder.toApache(redirects);
+    const pattern = new RegExp(rules.split(' ')[2]);
+    const removed = RedirectsBuilder.findRemovedUrls(deployed, pages, redirects);
+
+    // Assert
+    t.true(pattern.test('/free/choice'));
+    t.false(pattern.test('/free/choice/2024'));
+    t.deepEqual(removed, ['/free/choice/2024']);
+    t.is(RedirectsBuilder.proposeTarget('/free/choice/2024', pages), '/free/models/2024');
+});
+
+// RedirectsBuilder.build() tests
+test('RedirectsBuilder.build() - merges redirects.yml with page redirectFrom', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const pages = createPages(['/', '/free/models'], {
+        '/free/models': { redirectFrom: ['/free/cars'] },
+    });
+    await setupBuild(dir, { pages, redirectsYml: 'redirects:\n  /free/choice: /free/models\n' });
+
+    // Act
+    const result = await new RedirectsBuilder({}, dir).build();
+
+    // Assert
+    t.deepEqual(result.redirects.map(({ from, to }) => [from, to]), [
+        ['/free/cars', '/free/models'],
+        ['/free/choice', '/free/models'],
+    ]);
+
+    const json = JSON.parse(fs.readFileSync(path.join(dir.getBuild(), 'redirects.json'), 'utf8'));
+    t.deepEqual(json, [
+        { from: '/free/cars', to: '/free/models' },
+        { from: '/free/choice', to: '/free/models' },
+    ]);
+
+    const htaccess = fs.readFileSync(path.join(dir.getSite(), '.htaccess'), 'utf8');
+    t.true(htaccess.startsWith('RedirectMatch 301 ^/free/cars$ /free/models\n'));
+    t.false(htaccess.includes(HTACCESS_MARKER));
+    t.true(htaccess.includes('RewriteEngine On'));
+});
+
+test('RedirectsBuilder.build() - fails when a deployed URL disappeared', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await setupBuild(dir, {
+        pages: createPages(['/', '/free', '/free/parts/2021']),
+        deployed: ['html/index.html', 'html/free.html', 'html/free_parts_2021.html', 'html/free_old.html'],
+    });
+
+    // Act & Assert
+    await t.throwsAsync(
+        () => new RedirectsBuilder({ manifestDir: path.join(dir.getRoot(), '.deployed') }, dir).build(),
+        { message: /1 deployed URL\(s\) disappeared without a redirect[\s\S]*\/free\/old: \/free/ },
+    );
+
+    const proposal = fs.readFileSync(path.join(dir.getBuild(), 'redirects-proposed.yml'), 'utf8');
+    t.is(proposal, 'redirects:\n  /free/old: /free\n');
+});
+
+test('RedirectsBuilder.build() - applies proposals in auto mode', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await setupBuild(dir, {
+        pages: createPages(['/', '/free']),
+        deployed: ['html/index.html', 'html/free_old.html'],
+    });
+
+    // Act
+    const result = await new RedirectsBuilder({
+        auto: true,
+        manifestDir: path.join(dir.getRoot(), '.deployed'),
+    }, dir).build();
+
+    // Assert
+    t.deepEqual(result.removed, ['/free/old']);
+    t.deepEqual(result.redirects.map(({ from, to }) => [from, to]), [['/free/old', '/free']]);
+});
+
+test('RedirectsBuilder.build() - removed URLs covered by redirects pass', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await setupBuild(dir, {
+        pages: createPages(['/', '/free']),
+        redirectsYml: 'redirects:\n  /free/old: /free\n',
+        deployed: ['html/index.html', 'html/free_old.html'],
+    });
+
+    // Act
+    const result = await new RedirectsBuilder({ manifestDir: path.join(dir.getRoot(), '.deployed') }, dir).build();
+
+    // Assert
+    t.deepEqual(result.removed, []);
+    t.is(result.previousUrls, 2);
+});
+
+test('RedirectsBuilder.build() - project redirects.yml is valid YAML', (t) => {
+    const redirects = RedirectsBuilder.loadConfig(path.join(__dirname, '..', '..', 'config', 'redirects.yml'));
+
+    t.true(redirects.length > 0);
+    redirects.forEach(({ from, to }) => {
+        t.true(from.startsWith('/'), `${from} should be absolute`);
+        t.true(to.startsWith('/'), `${to} should be absolute`);
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * AVA tests for SearchBuilder page selection (without the SQLite index)
+ */
+
+const test = require('ava');
+const { SearchBuilder } = require('../build/build-search');
+
+test('SearchBuilder.collectSearchPages() - should index shared files once with alternate URLs', (t) => {
+    // Arrange
+    const pages = {
+        '/free/parts/2024': {
+            url: '/free/parts/2024',
+            canonicalUrl: '/free/parts/2024',
+            alternateUrls: ['/free/parts/2025'],
+        },
+        '/free/parts/2025': { url: '/free/parts/2025', canonicalUrl: '/free/parts/2024' },
+        '/free': { url: '/free', canonicalUrl: '/free' },
+    };
+
+    // Act
+    const result = SearchBuilder.collectSearchPages(pages);
+
+    // Assert
+    t.deepEqual(result.map((pageData) => [pageData.url, pageData.alternates]), [
+        ['/free/parts/2024', '/free/parts/2025'],
+        ['/free', ''],
+    ]);
+});
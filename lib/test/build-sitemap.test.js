@@ -12,7 +12,6 @@ const { SitemapBuilder } = require('../build/build-sitemap');
 const {
     parseSitemapLine,
     buildFullUrl,
-    parseIndentedSitemap,
     processSitemap,
     getLastModFromGit,
     extractHeadingsFromMarkdown,
@@ -143,44 +142,6 @@ test('buildFullUrl() - should handle complex nested path', (t) => {
     t.is(result, '/docs/api/v1/endpoints');
 });
 
-// parseIndentedSitemap tests
-test('parseIndentedSitemap() - should parse single item', (t) => {
-    const input = `sitemap:
-  - Home [/, index.md]`;
-    const result = parseIndentedSitemap(input);
-
-    t.deepEqual(result, ['Home [/, index.md]']);
-});
-
-test('parseIndentedSitemap() - should parse two items', (t) => {
-    const input = `sitemap:
-  - Home [/, index.md]
-  - About [/about, about.md]`;
-    const expected = [
-        'Home [/, index.md]',
-        'About [/about, about.md]',
-    ];
-    const result = parseIndentedSitemap(input);
-
-    t.deepEqual(result, expected);
-});
-
-test('parseIndentedSitemap() - should parse nested structure', (t) => {
-    const input = `sitemap:
-  - Home [/, index.md]
-  - Section [/section, section/index.md]
-    - Page [page, section/page.md]`;
-
-    const result = parseIndentedSitemap(input);
-
-    // Should have Home as string and Section as object with children
-    t.is(result.length, 2);
-    t.is(result[0], 'Home [/, index.md]');
-    t.true(typeof result[1] === 'object');
-    t.true('Section [/section, section/index.md]' in result[1]);
-    t.deepEqual(result[1]['Section [/section, section/index.md]'], ['Page [page, section/page.md]']);
-});
-
 // processSitemap tests
 test('processSitemap() - should process simple items', (t) => {
     const input = ['Home [/, index.md]', 'About [/about, about.md]'];
@@ -411,6 +372,97 @@ test('processSitemap() - should carry navLabel for cross-section links without c
     t.is(Object.keys(result.pages).filter((u) => u === '/partners/goodbro').length, 1);
 });
 
+test('processSitemap() - should build hidden pages but leave them out of navigation', (t) => {
+    // Arrange
+    const input = [
+        'Home [/, index.md]',
+        'Secret [/secret, secret.md, { hidden: true }]',
+    ];
+
+    // Act
+    const result = processSitemap(input);
+
+    // Assert
+    t.deepEqual(result.sitemap, ['/']);
+    t.truthy(result.pages['/secret']);
+    t.true(result.pages['/secret'].hidden);
+});
+
+test('processSitemap() - should throw on malformed entries instead of skipping them', (t) => {
+    t.throws(
+        () => processSitemap(['Home [/, index.md]', 'Broken entry']),
+        { message: /"Broken entry" does not match/ },
+    );
+});
+
+test('processSitemap() - should link siblings and parent in sitemap order', (t) => {
+    // Arrange
+    const input = [
+        'Home [/, index.md]',
+        {
+            'Free [/free, free/index.md]': [
+                { 'АКБ 12V [12v, free/12v.md]': ['Замена [replacement, free/12v_replacement.md]'] },
+                'Шины [tyres, free/tyres.md]',
+                { 'Скрытая [hidden, free/hidden.md]': { hidden: true } },
+            ],
+        },
+    ];
+
+    // Act
+    const { pages } = processSitemap(input);
+
+    // Assert
+    t.deepEqual(pages['/free/12v'].pager, {
+        prev: null,
+        next: { url: '/free/tyres', title: 'Шины' },
+        parent: { url: '/free', title: 'Free' },
+    });
+    t.deepEqual(pages['/free/tyres'].pager.prev, { url: '/free/12v', title: 'АКБ 12V' });
+    t.is(pages['/free/tyres'].pager.next, null);
+    t.deepEqual(pages['/free/12v/replacement'].pager.parent, { url: '/free/12v', title: 'АКБ 12V' });
+
+    // Assert - sections and hidden pages have no pager
+    t.is(pages['/free'].pager, undefined);
+    t.is(pages['/free/hidden'].pager, undefined);
+});
+
+test('processSitemap() - should give cross-section pages a pager per section', (t) => {
+    // Arrange
+    const input = [
+        {
+            'Free [/free, free/index.md]': [
+                'Модели [models, free/models.md]',
+                'Страхование [/partners/goodbro, partners/goodbro.md, { navLabel: Страховка }]',
+                'Шины [tyres, free/tyres.md]',
+            ],
+        },
+        {
+            'Партнёры [/partners, partners/index.md]': [
+                'Lovto [lovto, partners/lovto.md]',
+                'Goodbro [goodbro, partners/goodbro.md]',
+            ],
+        },
+    ];
+
+    // Act
+    const { pages } = processSitemap(input);
+
+    // Assert - home section pager
+    t.deepEqual(pages['/partners/goodbro'].pager, {
+        prev: { url: '/partners/lovto', title: 'Lovto' },
+        next: null,
+        parent: { url: '/partners', title: 'Партнёры' },
+    });
+
+    // Assert - pager for readers coming from /free, neighbours link with the menu label
+    t.deepEqual(pages['/partners/goodbro'].pagerContexts['/free'], {
+        prev: { url: '/free/models', title: 'Модели' },
+        next: { url: '/free/tyres', title: 'Шины' },
+        parent: { url: '/free', title: 'Free' },
+    });
+    t.deepEqual(pages['/free/models'].pager.next, { url: '/partners/goodbro', title: 'Страховка' });
+});
+
 // getLastModFromGit tests
 test('getLastModFromGit() - should return date for existing file', async (t) => {
     const contentDir = Dir.getExternalContent();
@@ -784,7 +836,7 @@ test('SitemapBuilder.build() - processes hierarchical navigation correctly', asy
 
     await createTestSitemap(
         dir,
-        'Home [/, index.md]\n  - Docs [/docs, docs/index.md]\n    - Guide [guide, docs/guide.md]\n',
+        'Home [/, index.md]\n  - Docs [/docs, docs/index.md]:\n    - Guide [guide, docs/guide.md]\n',
     );
     await createTestContent(dir, {
         'index.md': '# Home',
@@ -818,7 +870,7 @@ test('SitemapBuilder.build() - handles different URL formats', async (t) => {
 
     await createTestSitemap(
         dir,
-        'Home [/, index.md]\n  - Section [/section, section/index.md]\n' +
+        'Home [/, index.md]\n  - Section [/section, section/index.md]:\n' +
         '    - Relative [relative, section/relative.md]\n    - Absolute [/absolute, absolute.md]\n',
     );
     await createTestContent(dir, {
@@ -857,7 +909,7 @@ test('SitemapBuilder.build() - throws error for missing sitemap.yml', async (t)
     );
 });
 
-test('SitemapBuilder.build() - handles invalid YAML syntax', async (t) => {
+test('SitemapBuilder.build() - fails on invalid entry syntax with line number', async (t) => {
     // Arrange
     const dir = new TestDir();
     const builder = new SitemapBuilder({
@@ -867,12 +919,11 @@ test('SitemapBuilder.build() - handles invalid YAML syntax', async (t) => {
 
     await createTestFile(dir, 'config/sitemap.yml', 'sitemap:\n  - Invalid [unclosed bracket\n');
 
-    // Act
-    const result = await builder.build();
-
-    // Assert - should handle gracefully - invalid lines are skipped with warnings
-    t.truthy(result);
-    t.true(Array.isArray(result.sitemap));
+    // Act & Assert
+    await t.throwsAsync(
+        async () => await builder.build(),
+        { message: /config\/sitemap\.yml:2: "Invalid \[unclosed bracket" does not match/ },
+    );
 });
 
 test('SitemapBuilder.build() - handles missing markdown files gracefully', async (t) => {
@@ -1039,8 +1090,8 @@ test('SitemapBuilder.build() - handles very deep navigation hierarchy', async (t
 
     await createTestSitemap(
         dir,
-        'L1 [/l1, l1.md]\n    - L2 [l2, l2.md]\n      - L3 [l3, l3.md]\n' +
-        '        - L4 [l4, l4.md]\n          - L5 [l5, l5.md]\n',
+        'L1 [/l1, l1.md]:\n    - L2 [l2, l2.md]:\n      - L3 [l3, l3.md]:\n' +
+        '        - L4 [l4, l4.md]:\n          - L5 [l5, l5.md]\n',
     );
     await createTestContent(dir, {
         'l1.md': '# L1',
@@ -1113,9 +1164,301 @@ test('SitemapBuilder.build() - skipWrite option prevents file creation', async (
     t.false(fileExists(path.join(dir.getSite(), 'sitemap.xml')));
 });
 
-// Error Recovery Tests
+test('SitemapBuilder.build() - merges front matter into page records', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+    }, dir);
+
+    await createTestSitemap(dir, 'Home [/, index.md]\n  - About [/about, about.md]\n');
+    await createTestContent(dir, {
+        'index.md': '# Home',
+        'about.md': '---\ndescription: About us\napplies_to: [free]\nnoindex: true\n---\n# About\n\nText.',
+    });
+
+    // Act
+    const result = await builder.build();
+
+    // Assert - fields are merged and front matter is not rendered
+    t.is(result.pages['/about'].description, 'About us');
+    t.deepEqual(result.pages['/about'].appliesTo, ['free']);
+    t.true(result.pages['/about'].noindex);
+    t.false(result.pages['/about'].html.includes('description'));
+
+    // Assert - noindex pages are left out of sitemap.xml
+    const sitemapXml = fs.readFileSync(path.join(dir.getSite(), 'xml', 'sitemap.xml'), 'utf8');
+    t.false(sitemapXml.includes('/about</loc>'));
+});
+
+test('SitemapBuilder.build() - fails on invalid front matter key', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        skipWrite: true,
+    }, dir);
+
+    await createTestSitemap(dir, 'Home [/, index.md]\n');
+    await createTestContent(dir, {
+        'index.md': '---\ntitel: Typo\n---\n# Home',
+    });
+
+    // Act & Assert
+    await t.throwsAsync(
+        async () => await builder.build(),
+        { message: /index\.md:2: front matter: unknown key "titel"/ },
+    );
+});
+
+test('SitemapBuilder.build() - renders error pages from content with default fallback', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        skipWrite: true,
+    }, dir);
+
+    await createTestSitemap(dir, 'Home [/, index.md]\n  - About [/about, about.md]\n');
+    await createTestContent(dir, {
+        'index.md': '# Home',
+        'about.md': '# About',
+        '404.md': '---\ndescription: Ошибка 404\n---\n# Нет такой страницы\n\nСм. [о сайте](about.md).',
+    });
+
+    // Act
+    const result = await builder.build();
+
+    // Assert - content file is rendered with site links, other codes use the default message
+    const notFound = result.errorPages[404];
+    t.is(notFound.url, '/404');
+    t.is(notFound.errorCode, 404);
+    t.is(notFound.title, 'Нет такой страницы | Home');
+    t.is(notFound.description, 'Ошибка 404');
+    t.true(notFound.noindex);
+    t.true(notFound.html.includes('href=/about'));
+    t.is(result.errorPages[503].name, 'Технические работы');
+    t.true(result.errorPages[503].html.startsWith('<h1>Технические работы</h1>'));
+
+    // Assert - error pages stay out of pages and navigation
+    t.false('/404' in result.pages);
+    t.false(JSON.stringify(result.sitemap).includes('/404'));
+});
+
+test('SitemapBuilder.findUnpublished() - should find drafts, scheduled pages and their subpages', (t) => {
+    // Arrange
+    const { pages } = processSitemap([
+        'Home [/, index.md]',
+        { 'Draft [/draft, draft.md]': { draft: true, children: ['Child [child, draft/child.md]'] } },
+        { 'Later [/later, later.md]': { publishAt: '2999-01-01' } },
+        { 'Past [/past, past.md]': { publishAt: '2000-01-01' } },
+    ]);
+
+    // Act
+    const unpublished = SitemapBuilder.findUnpublished(pages);
+
+    // Assert
+    t.deepEqual([...unpublished].sort(), ['/draft', '/draft/child', '/later']);
+});
+
+test('SitemapBuilder.removeFromNavigation() - should drop nodes together with their children', (t) => {
+    const sitemap = ['/', { '/draft': ['/draft/child'] }, { '/free': ['/free/a', { '/later': 'Later' }] }];
+
+    const result = SitemapBuilder.removeFromNavigation(sitemap, new Set(['/draft', '/later']));
+
+    t.deepEqual(result, ['/', { '/free': ['/free/a'] }]);
+});
+
+test('SitemapBuilder.buildToc() - should nest headings below the page title', (t) => {
+    // Arrange
+    const headings = [
+        { level: 1, text: 'Page', anchor: 'page' },
+        { level: 2, text: 'A', anchor: 'a' },
+        { level: 3, text: 'A1', anchor: 'a1' },
+        { level: 4, text: 'A1x', anchor: 'a1x' },
+        { level: 2, text: 'B', anchor: 'b' },
+        { level: 3, text: 'B1', anchor: 'b1' },
+    ];
+
+    // Act
+    const toc = SitemapBuilder.buildToc(headings);
+
+    // Assert - h1 and levels deeper than the default depth (3) are skipped
+    t.deepEqual(toc, [
+        { text: 'A', anchor: 'a', level: 2, children: [{ text: 'A1', anchor: 'a1', level: 3, children: [] }] },
+        { text: 'B', anchor: 'b', level: 2, children: [{ text: 'B1', anchor: 'b1', level: 3, children: [] }] },
+    ]);
+    t.is(SitemapBuilder.buildToc(headings, { tocDepth: 4 })[0].children[0].children[0].anchor, 'a1x');
+});
+
+test('SitemapBuilder.buildToc() - should honour opt-out and skip short pages', (t) => {
+    const headings = [
+        { level: 2, text: 'A', anchor: 'a' },
+        { level: 2, text: 'B', anchor: 'b' },
+        { level: 2, text: 'C', anchor: 'c' },
+    ];
+
+    t.false(SitemapBuilder.buildToc(headings, { toc: false }));
+    t.deepEqual(SitemapBuilder.buildToc(headings.slice(0, 2)), []);
+    t.deepEqual(SitemapBuilder.buildToc(), []);
+});
+
+test('SitemapBuilder.build() - stores table of contents on page records', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        skipWrite: true,
+    }, dir);
+
+    await createTestSitemap(dir, ['Guide [/guide, guide.md]', 'Short [/short, short.md]']);
+    await createTestContent(dir, {
+        'guide.md': '# Guide\n\n## Install\n\n### Download\n\n## Setup\n\nText.',
+        'short.md': '---\ntoc: false\n---\n# Short\n\n## One\n\n## Two\n\n## Three\n',
+    });
+
+    // Act
+    const result = await builder.build();
+
+    // Assert
+    t.deepEqual(result.pages['/guide'].toc.map((item) => item.anchor), ['guide-install', 'guide-setup']);
+    t.is(result.pages['/guide'].toc[0].children[0].text, 'Download');
+    t.false(result.pages['/short'].toc);
+});
+
+test('SitemapBuilder.assignCanonicalUrls() - should prefer the marked entry, then the first one', (t) => {
+    // Arrange
+    const pages = {
+        '/a/shared': { url: '/a/shared' },
+        '/b/shared': { url: '/b/shared', canonical: true },
+        '/a/single': { url: '/a/single' },
+        '/x/first': { url: '/x/first' },
+        '/y/second': { url: '/y/second' },
+    };
+    const md2urls = {
+        'shared.md': ['/a/shared', '/b/shared'],
+        'single.md': ['/a/single'],
+        'other.md': ['/x/first', '/y/second'],
+    };
+
+    // Act
+    SitemapBuilder.assignCanonicalUrls(pages, md2urls);
+
+    // Assert
+    t.is(pages['/a/shared'].canonicalUrl, '/b/shared');
+    t.deepEqual(pages['/b/shared'].alternateUrls, ['/a/shared']);
+    t.is(pages['/a/single'].canonicalUrl, '/a/single');
+    t.is(pages['/a/single'].alternateUrls, undefined);
+    t.is(pages['/y/second'].canonicalUrl, '/x/first');
+});
+
+test('SitemapBuilder.assignCanonicalUrls() - should reject several canonical entries', (t) => {
+    const pages = {
+        '/a': { url: '/a', canonical: true },
+        '/b': { url: '/b', canonical: true },
+    };
+
+    t.throws(
+        () => SitemapBuilder.assignCanonicalUrls(pages, { 'x.md': ['/a', '/b'] }),
+        { message: 'x.md: "canonical" is set on several URLs: /a, /b' },
+    );
+});
+
+test('SitemapBuilder.build() - lists only canonical URLs in sitemap.xml', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+    }, dir);
+
+    await createTestSitemap(dir, [
+        'Parts [/parts, parts.md]:\n' +
+        '    - \'2024 [2024, shared.md]\'\n' +
+        '    - \'2025 [2025, shared.md]\'',
+    ]);
+    await createTestContent(dir, {
+        'parts.md': '# Parts',
+        'shared.md': '# Shared',
+    });
+
+    // Act
+    const result = await builder.build();
+
+    // Assert
+    t.is(result.pages['/parts/2025'].canonicalUrl, '/parts/2024');
+    t.deepEqual(result.pages['/parts/2024'].alternateUrls, ['/parts/2025']);
+
+    const sitemapXml = fs.readFileSync(path.join(dir.getSite(), 'xml', 'sitemap.xml'), 'utf8');
+    t.true(sitemapXml.includes('/parts/2024</loc>'));
+    t.false(sitemapXml.includes('/parts/2025</loc>'));
+});
+
+test('SitemapBuilder.build() - leaves unpublished pages out of the build', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+    }, dir);
+
+    await createTestSitemap(dir, [
+        'Home [/, index.md]',
+        'Draft [/draft, draft.md]',
+        '\'Later [/later, later.md, { publishAt: 2999-01-01 }]\'',
+    ]);
+    await createTestContent(dir, {
+        'index.md': '# Home',
+        'draft.md': '---\ndraft: true\n---\n# Draft',
+        'later.md': '# Later',
+    });
+
+    // Act
+    const result = await builder.build();
+
+    // Assert
+    t.deepEqual(Object.keys(result.pages), ['/']);
+    t.deepEqual(result.sitemap, ['/']);
+    t.deepEqual(Object.keys(result.md2url), ['index.md']);
+    t.deepEqual(result.unpublishedFiles, ['draft.md', 'later.md']);
+
+    const sitemapXml = fs.readFileSync(path.join(dir.getSite(), 'xml', 'sitemap.xml'), 'utf8');
+    t.false(sitemapXml.includes('/draft</loc>'));
+    t.false(sitemapXml.includes('/later</loc>'));
+});
+
+test('SitemapBuilder.build() - skips unpublished pages in prev/next links', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        skipWrite: true,
+    }, dir);
+
+    await createTestSitemap(dir, [
+        'Guide [/guide, guide.md]:\n    - A [a, a.md]\n    - B [b, b.md]\n    - C [c, c.md]',
+    ]);
+    await createTestContent(dir, {
+        'guide.md': '# Guide',
+        'a.md': '# A',
+        'b.md': '---\ndraft: true\n---\n# B',
+        'c.md': '# C',
+    });
+
+    // Act
+    const result = await builder.build();
+
+    // Assert
+    t.deepEqual(result.pages['/guide/a'].pager.next, { url: '/guide/c', title: 'C' });
+    t.deepEqual(result.pages['/guide/c'].pager.prev, { url: '/guide/a', title: 'A' });
+});
 
-test('SitemapBuilder - recovers from corrupted sitemap.yml mid-processing', async (t) => {
+test('SitemapBuilder.build() - fails on a link from a published page to a draft', async (t) => {
     // Arrange
     const dir = new TestDir();
     const builder = new SitemapBuilder({
@@ -1124,6 +1467,54 @@ test('SitemapBuilder - recovers from corrupted sitemap.yml mid-processing', asyn
         skipWrite: true,
     }, dir);
 
+    await createTestSitemap(dir, ['Home [/, index.md]', 'Draft [/draft, draft.md]']);
+    await createTestContent(dir, {
+        'index.md': '# Home\n\nSee [draft](draft.md).',
+        'draft.md': '---\ndraft: true\n---\n# Draft\n\nBack [home](index.md).',
+    });
+
+    // Act & Assert
+    await t.throwsAsync(
+        async () => await builder.build(),
+        { message: /Link to unpublished page in .*index\.md: "draft\.md"[\s\S]*\/draft is a draft/ },
+    );
+});
+
+test('SitemapBuilder.build() - includes unpublished pages in drafts preview mode', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        skipWrite: true,
+        drafts: true,
+    }, dir);
+
+    await createTestSitemap(dir, ['Home [/, index.md]', 'Draft [/draft, draft.md]']);
+    await createTestContent(dir, {
+        'index.md': '# Home\n\nSee [draft](draft.md).',
+        'draft.md': '---\ndraft: true\n---\n# Draft',
+    });
+
+    // Act
+    const result = await builder.build();
+
+    // Assert
+    t.deepEqual(result.sitemap, ['/', '/draft']);
+    t.true(result.pages['/draft'].draft);
+    t.true(result.pages['/'].html.includes('href=/draft>'));
+});
+
+// Error Recovery Tests
+
+test('SitemapBuilder - fails on corrupted sitemap.yml entry mid-file', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+    }, dir);
+
     await createTestFile(
         dir,
         'config/sitemap.yml',
@@ -1135,19 +1526,14 @@ test('SitemapBuilder - recovers from corrupted sitemap.yml mid-processing', asyn
         'valid.md': '# Valid',
     });
 
-    // Act
-    const result = await builder.build();
-
-    // Assert
-    t.truthy(result, 'Should return result despite corrupted lines');
-    t.true(Array.isArray(result.sitemap), 'Should have sitemap array');
-
-    // Should process valid entries
-    t.truthy(result.pages['/'], 'Should process valid home page');
-    t.truthy(result.pages['/valid'], 'Should process valid page');
+    // Act & Assert - the corrupted entry is reported, not skipped
+    await t.throwsAsync(
+        async () => await builder.build(),
+        { message: /sitemap\.yml:3: "Corrupted \[broken format without brackets" does not match/ },
+    );
 
-    // Corrupted entry should be skipped
-    t.is(Object.keys(result.pages).length, 2, 'Should only have 2 valid pages');
+    // Verify no partial artifacts were created
+    t.false(fileExists(path.join(dir.getBuild(), 'sitemap.json')));
 });
 
 test('SitemapBuilder - cleans up after sitemap build failure', async (t) => {
@@ -1174,3 +1560,111 @@ test('SitemapBuilder - cleans up after sitemap build failure', async (t) => {
     t.false(buildFiles.includes('sitemap.json'), 'Should not create sitemap.json on failure');
     t.false(siteFiles.includes('sitemap.xml'), 'Should not create sitemap.xml on failure');
 });
+
+test('SitemapBuilder.build() - reuses cached HTML of unchanged pages', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const options = {
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+    };
+
+    await createTestSitemap(dir, ['Home [/, index.md]', 'About [/about, about.md]']);
+    await createTestContent(dir, {
+        'index.md': '# Home\n\nSee [about](about.md).',
+        'about.md': '# About',
+    });
+    const first = await new SitemapBuilder(options, dir).build();
+
+    // Act
+    const builder = new SitemapBuilder(options, dir);
+    const second = await builder.build();
+
+    // Assert
+    t.deepEqual(builder.cacheStats, { hits: 2, misses: 0 });
+    t.is(second.pages['/'].html, first.pages['/'].html);
+    t.true(fs.existsSync(path.join(dir.getCache(), 'render.json')));
+});
+
+test('SitemapBuilder.build() - re-renders pages whose linked anchors changed', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const options = {
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+    };
+
+    await createTestSitemap(dir, ['Home [/, index.md]', 'Setup [/setup, setup.md]', 'Other [/other, other.md]']);
+    await createTestContent(dir, {
+        'index.md': '# Home\n\nSee [setup](setup.md#install).',
+        'setup.md': '# Setup\n\n## Install\n\nText.',
+        'other.md': '# Other',
+    });
+    await new SitemapBuilder(options, dir).build();
+
+    // Act: a text change keeps the anchors, a heading change does not
+    await createTestContent(dir, { 'setup.md': '# Setup\n\n## Install\n\nNew text.' });
+    const textBuilder = new SitemapBuilder(options, dir);
+    await textBuilder.build();
+
+    await createTestContent(dir, { 'setup.md': '# Setup\n\n## Installation\n\n## Install\n\nText.' });
+    const headingBuilder = new SitemapBuilder(options, dir);
+    await headingBuilder.build();
+
+    // Assert
+    t.deepEqual(textBuilder.cacheStats, { hits: 2, misses: 1 });
+    t.deepEqual(headingBuilder.cacheStats, { hits: 1, misses: 2 });
+});
+
+test('SitemapBuilder.build() - skips the render cache when disabled', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const builder = new SitemapBuilder({
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        cache: false,
+    }, dir);
+
+    await createTestSitemap(dir, ['Home [/, index.md]']);
+    await createTestContent(dir, { 'index.md': '# Home' });
+
+    // Act
+    await builder.build();
+
+    // Assert
+    t.is(builder.cacheStats, undefined);
+    t.false(fs.existsSync(path.join(dir.getRoot(), '.cache', 'render.json')));
+});
+
+test('SitemapBuilder.build() - renders the same HTML in worker threads', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const options = {
+        sitemapPath: path.join(dir.getConfig(), 'sitemap.yml'),
+        outputPath: path.join(dir.getBuild(), 'sitemap.json'),
+        skipWrite: true,
+        cache: false,
+    };
+
+    await createTestSitemap(dir, [
+        'Home [/, index.md]',
+        'Guide [/guide, guide.md]:\n    - Setup [setup, setup.md]\n    - Usage [usage, usage.md]',
+    ]);
+    await createTestContent(dir, {
+        'index.md': '# Home\n\nStart with [installation](setup.md#install) and [usage](usage.md).',
+        'guide.md': '# Guide\n\n## Steps\n\nSee [first steps](usage.md#first-steps) and [back](#steps).',
+        'setup.md': '# Setup\n\n## Install\n\nRead [usage](usage.md#first-steps) first.\n\n## Check',
+        'usage.md': '# Usage\n\n## First steps\n\nBack to [install](setup.md#install).',
+    });
+
+    // Act
+    const serial = await new SitemapBuilder({ ...options, workers: 1 }, dir).build();
+    const parallel = await new SitemapBuilder({ ...options, workers: 2 }, dir).build();
+
+    // Assert
+    t.true(serial.pages['/'].html.includes('href=/guide/setup#setup-install'));
+    Object.keys(serial.pages).forEach((url) => {
+        t.is(parallel.pages[url].html, serial.pages[url].html, url);
+        t.deepEqual(parallel.pages[url].toc, serial.pages[url].toc, url);
+    });
+});
@@ -1,6 +1,12 @@
 const test = require('ava');
+const nunjucks = require('nunjucks');
 const { TemplateOptimizer } = require('../build/build-templates');
+const { HTMLBuilder } = require('../build/build-html');
+const { SitemapBuilder } = require('../build/build-sitemap');
+const { SitemapSchema } = require('../build/sitemap-schema');
+const { Analytics } = require('../build/analytics');
 const { Dir } = require('../utils/dir');
+const { TestDir } = require('./test-dir');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -23,9 +29,117 @@ test('TemplateOptimizer - should remove unwanted </li> tags in real build', asyn
     const hasLiBeforeUl = /<\/li>\s*<\/ul>/i.test(siteHtml);
     t.false(hasLiBeforeUl, 'Should not find </li> before </ul>');
 
-    // Verify the structure ends properly with ...<footer>...</footer></ul> followed by Metrika script
-    const re = /<\/footer><\/ul>\s*<script>.*<\/script>\s*<noscript[^>]*>.*<\/noscript>\s*$/i;
-    const endsCorrectly = re.test(siteHtml.trim());
-    t.true(endsCorrectly, 'Should end with </footer></ul> followed by Metrika script');
+    // Verify the structure ends with ...<footer>...</footer></ul> followed by the page-index bundle
+    const html = siteHtml.trim().replace(/>\s+</g, '><');
+    const tail = html.slice(html.lastIndexOf('</footer></ul>') + '</footer></ul>'.length);
+    const bundle = tail.match(/^<script src=[^\s>]+\.js><\/script>/);
+    t.truthy(bundle, 'Should end with </footer></ul> followed by the page-index script');
+
+    // The counter only runs from the consent-gated snippet, followed by the consent banner
+    const analytics = Analytics.resolve(Analytics.load(path.join(Dir.getConfig(), 'site.json')));
+    const rest = tail.slice(bundle ? bundle[0].length : 0);
+    const inlineScripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map((match) => match[1]);
+
+    if (analytics) {
+        t.deepEqual(inlineScripts, [Analytics.snippet(analytics)]);
+        t.regex(rest, /^<script>[\s\S]*<\/script><div class=consent hidden>[\s\S]*<\/div>$/);
+    } else {
+        t.deepEqual(inlineScripts, []);
+        t.is(rest, '');
+    }
+    t.false(html.includes('<noscript'), 'Should not count visitors without consent');
+
+    // The policy that allows the snippet is in the page itself
+    t.true(html.includes(`<meta http-equiv=Content-Security-Policy content="${Analytics.csp(analytics)}">`));
 });
 
+
+test('page-index.njk - should render the home navigation of config/sitemap.yml as before', async (t) => {
+    // Arrange - optimized templates and the real sitemap
+    const dir = new TestDir();
+    await new TemplateOptimizer({ rootDir: Dir.getRoot(), buildDir: dir.getBuild() }, dir).build();
+
+    const content = await fs.readFile(path.join(Dir.getRoot(), 'config', 'sitemap.yml'), 'utf8');
+    const result = SitemapBuilder.processSitemap(SitemapSchema.parse(content), '', dir);
+    const sitemap = { sitemap: result.sitemap, pages: result.pages };
+    const env = new nunjucks.Environment(
+        new nunjucks.FileSystemLoader(path.join(dir.getBuild(), 'templates')),
+        { autoescape: false },
+    );
+
+    // Act
+    const html = HTMLBuilder.removeTagWhitespace(env.render('blocks/page-index/page-index.njk', {
+        sitemap,
+        page: { ...result.pages['/'], home: HTMLBuilder.buildHomeNavigation(sitemap, {}) },
+        helpers: { cleanUrl: HTMLBuilder.cleanUrl, attrClass: HTMLBuilder.attrClass, attr: HTMLBuilder.attr },
+    }));
+
+    // Assert - same markup as the former hard-coded list
+    const item = (type, href, label) => (
+        `<li class="nav-index__item nav-index__item_type_${type}">` +
+        `<a class="nav-index__link nav-index__link_type_${type} link-nav" href=${href}>${label}</a>`
+    );
+    const expected = '<ul class=nav-index>' +
+        item('common', 'common', 'Общее') +
+        item('free', 'free', 'Free') +
+        item('dreamer', 'dreamer', 'Dreamer') +
+        item('passion', 'passion', 'Passion') +
+        item('help', 'help', 'Услуги') +
+        item('services', 'partners', 'Партнёры') +
+        '<li class=nav-index__item><footer';
+
+    t.true(html.includes(expected));
+    t.false(html.includes('index-cars'));
+    t.false(html.includes('index-partners'));
+});
+
+test('pager.njk - should escape page titles', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await new TemplateOptimizer({ rootDir: Dir.getRoot(), buildDir: dir.getBuild() }, dir).build();
+
+    const env = new nunjucks.Environment(
+        new nunjucks.FileSystemLoader(path.join(dir.getBuild(), 'templates')),
+        { autoescape: false },
+    );
+    const pager = {
+        prev: { url: '/free/12v', title: 'АКБ <12V> & зарядка' },
+        parent: { url: '/free', title: 'Free & Dreamer' },
+        next: { url: '/free/tyres', title: '<script>alert(1)</script>' },
+    };
+
+    // Act
+    const html = env.render('blocks/pager/pager.njk', { page: { pager } });
+
+    // Assert
+    t.true(html.includes('АКБ &lt;12V&gt; &amp; зарядка</a>'));
+    t.true(html.includes('Free &amp; Dreamer</a>'));
+    t.true(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;</a>'));
+    t.false(html.includes('<script>'));
+});
+
+test('footer.njk - should render the community link of site.json', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await new TemplateOptimizer({ rootDir: Dir.getRoot(), buildDir: dir.getBuild() }, dir).build();
+
+    const env = new nunjucks.Environment(
+        new nunjucks.FileSystemLoader(path.join(dir.getBuild(), 'templates')),
+        { autoescape: false },
+    );
+    const community = { url: 'https://example.org/chat?join=staging', label: 'Staging & friends' };
+    const helpers = { attr: HTMLBuilder.attr };
+
+    // Act
+    const html = env.render('blocks/footer/footer.njk', { page: { url: '/guide', community }, helpers });
+    const withoutCommunity = env.render('blocks/footer/footer.njk', {
+        page: { url: '/guide', community: null },
+        helpers,
+    });
+
+    // Assert
+    t.true(html.includes('href="https://example.org/chat?join=staging">'));
+    t.true(html.includes('Staging &amp; friends</a>'));
+    t.false(html.includes('t.me/voyahchat'));
+    t.false(withoutCommunity.includes('<a '));
+});
@@ -0,0 +1,83 @@
+/**
+ * AVA tests for the site-wide link and anchor checker
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { TestDir } = require('./test-dir');
+const { LinkChecker } = require('../build/check-links');
+const { createTestFile, createTestContent } = require('./utils');
+
+/**
+ * Helper to create a map of page URLs to HTML
+ */
+function createPages(pages) {
+    return new Map(Object.entries(pages));
+}
+
+// LinkChecker.resolveHref() tests
+test('LinkChecker.resolveHref() - should resolve internal page links', (t) => {
+    t.deepEqual(LinkChecker.resolveHref('/free/12v#замена', '/'), { url: '/free/12v', anchor: 'замена' });
+    t.deepEqual(LinkChecker.resolveHref('#top', '/free/12v'), { url: '/free/12v', anchor: 'top' });
+    t.deepEqual(LinkChecker.resolveHref('https://voyahchat.ru/free/', '/'), { url: '/free', anchor: '' });
+    t.deepEqual(LinkChecker.resolveHref('parts', '/free/12v'), { url: '/free/parts', anchor: '' });
+});
+
+test('LinkChecker.resolveHref() - should skip files, assets and other sites', (t) => {
+    t.is(LinkChecker.resolveHref('/voyahtweaks.zip', '/'), null);
+    t.is(LinkChecker.resolveHref('/_c0123456789abcdef', '/'), null);
+    t.is(LinkChecker.resolveHref('https://t.me/voyahchat', '/'), null);
+    t.is(LinkChecker.resolveHref('mailto:info@voyahchat.ru', '/'), null);
+});
+
+// LinkChecker.check() tests
+test('LinkChecker.check() - should report missing pages and anchors', (t) => {
+    const pages = createPages({
+        '/': '<a href=/guide#guide-install>ok</a><a href=/guide#missing>bad</a><a href=/gone>gone</a>' +
+            '<a href=#intro>self</a><h2 id=intro>Intro</h2><code>&lt;a href=/code&gt;</code>',
+        '/guide': '<h1 id=guide>Guide</h1><h2 id="guide-install">Install</h2>',
+    });
+
+    t.deepEqual(LinkChecker.check(pages), [
+        { url: '/', href: '/guide#missing', reason: 'anchor #missing not found on /guide' },
+        { url: '/', href: '/gone', reason: 'page /gone not found' },
+    ]);
+});
+
+test('LinkChecker.check() - should follow redirects', (t) => {
+    const pages = createPages({
+        '/': '<a href=/old#guide-install>old</a><a href=/telegram>tg</a>',
+        '/guide': '<h2 id=guide-install>Install</h2>',
+    });
+    const redirects = { '/old': '/guide', '/telegram': 'https://t.me/voyahchat' };
+
+    t.deepEqual(LinkChecker.check(pages, redirects), []);
+});
+
+// LinkChecker.build() tests
+test('LinkChecker.build() - reports the markdown source line', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    await createTestContent(dir, {
+        'index.md': '# Home\n\nSee [setup](guide.md#missing).',
+        'guide.md': '# Guide',
+    });
+    await createTestFile(dir, '.build/sitemap.json', JSON.stringify({
+        pages: { '/': { url: '/', file: 'index.md' }, '/guide': { url: '/guide', file: 'guide.md' } },
+        url2md: { '/': 'index.md', '/guide': 'guide.md' },
+    }));
+    await createTestFile(dir, 'site/html/index.html', '<a href=/guide#missing>setup</a><a href=/about>about</a>');
+    await createTestFile(dir, 'site/html/guide.html', '<h1 id=guide>Guide</h1>');
+
+    // Act
+    const error = await t.throwsAsync(() => new LinkChecker({}, dir).build());
+
+    // Assert
+    t.regex(error.message, /2 broken link\(s\)/);
+    t.regex(error.message, /index\.md:3: "\/guide#missing" - anchor #missing not found on \/guide/);
+    t.regex(error.message, /index\.html \(template\): "\/about" - page \/about not found/);
+
+    const report = JSON.parse(fs.readFileSync(path.join(dir.getBuild(), 'check-links.json'), 'utf8'));
+    t.is(report[0].source, 'index.md:3');
+});
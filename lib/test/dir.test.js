@@ -315,6 +315,26 @@ test('Dir.getExternalContent() - returns correct external content directory', (t
     t.true(path.isAbsolute(externalContent), 'External content path should be absolute');
 });
 
+// Test: Config directory follows SITE_CONFIG_DIR
+test('Dir.getConfig() - returns config/ or SITE_CONFIG_DIR relative to the root', (t) => {
+    const root = Dir.getRoot();
+    const previous = process.env.SITE_CONFIG_DIR;
+
+    try {
+        delete process.env.SITE_CONFIG_DIR;
+        t.is(Dir.getConfig(), path.join(root, 'config'));
+
+        process.env.SITE_CONFIG_DIR = 'sites/staging';
+        t.is(Dir.getConfig(), path.join(root, 'sites', 'staging'));
+    } finally {
+        if (previous === undefined) {
+            delete process.env.SITE_CONFIG_DIR;
+        } else {
+            process.env.SITE_CONFIG_DIR = previous;
+        }
+    }
+});
+
 // Cleanup after each test
 test.afterEach.always(async () => {
     // Note: We don't clean up test directories here because they're in .build
@@ -0,0 +1,130 @@
+/**
+ * AVA tests for markdown front matter parsing and validation
+ */
+
+const test = require('ava');
+const { FrontMatter, FRONT_MATTER_SCHEMA } = require('../build/front-matter');
+
+// FrontMatter.extract() tests
+test('FrontMatter.extract() - should return content unchanged without front matter', (t) => {
+    const content = '# Title\n\nText';
+
+    t.deepEqual(FrontMatter.extract(content), { data: {}, body: content });
+});
+
+test('FrontMatter.extract() - should parse data and blank out the block', (t) => {
+    // Arrange
+    const content = '---\ndescription: Описание\nnoindex: true\n---\n# Title\n';
+
+    // Act
+    const result = FrontMatter.extract(content);
+
+    // Assert - body keeps line numbers of the source file
+    t.deepEqual(result.data, { description: 'Описание', noindex: true });
+    t.is(result.body, '\n\n\n\n# Title\n');
+    t.is(result.body.split('\n')[4], '# Title');
+});
+
+test('FrontMatter.extract() - should accept empty front matter', (t) => {
+    t.deepEqual(FrontMatter.extract('---\n---\nText').data, {});
+});
+
+test('FrontMatter.extract() - should not treat a later thematic break as front matter', (t) => {
+    const content = 'Text\n\n---\n\nMore';
+
+    t.is(FrontMatter.extract(content).body, content);
+});
+
+test('FrontMatter.extract() - should treat an unclosed block as a thematic break', (t) => {
+    const content = '---\n\nТекст после линии\n\n# Title';
+
+    t.deepEqual(FrontMatter.extract(content, 'free/12v.md'), { data: {}, body: content });
+});
+
+test('FrontMatter.extract() - should report YAML errors with file line', (t) => {
+    t.throws(
+        () => FrontMatter.extract('---\ntitle: ok\nkeywords: [a, b\n---\n', 'page.md'),
+        { message: /^page\.md:\d+: front matter: / },
+    );
+});
+
+test('FrontMatter.extract() - should reject non-mapping front matter', (t) => {
+    t.throws(
+        () => FrontMatter.extract('---\n- a\n- b\n---\n', 'page.md'),
+        { message: 'page.md:2: front matter must be a mapping of keys' },
+    );
+});
+
+// FrontMatter.parse() tests
+test('FrontMatter.parse() - should map keys to page fields', (t) => {
+    // Arrange
+    const content = [
+        '---',
+        'title: Замена АКБ',
+        'description: Как заменить АКБ 12V',
+        'keywords: [АКБ, 12V]',
+        'noindex: false',
+        'draft: true',
+        'applies_to: [free, dreamer]',
+        'og_image: free/img/12v.jpg',
+        '---',
+        '# АКБ',
+    ].join('\n');
+
+    // Act
+    const { fields } = FrontMatter.parse(content, 'free/12v.md');
+
+    // Assert
+    t.deepEqual(fields, {
+        title: 'Замена АКБ',
+        description: 'Как заменить АКБ 12V',
+        keywords: ['АКБ', '12V'],
+        noindex: false,
+        draft: true,
+        appliesTo: ['free', 'dreamer'],
+        ogImage: 'free/img/12v.jpg',
+    });
+});
+
+test('FrontMatter.parse() - should reject unknown keys with line number', (t) => {
+    t.throws(
+        () => FrontMatter.parse('---\ntitle: x\ndescripton: typo\n---\n', 'free/12v.md'),
+        { message: /^free\/12v\.md:3: front matter: unknown key "descripton" \(allowed: title, description/ },
+    );
+});
+
+test('FrontMatter.parse() - should report the key line of the front matter, not of the body', (t) => {
+    t.throws(
+        () => FrontMatter.parse('---\n"noindex": "yes"\n---\nnoindex: в тексте\n', 'page.md'),
+        { message: 'page.md:1: front matter: "noindex" must be a boolean' },
+    );
+});
+
+test('FrontMatter.parse() - should reject wrong value types', (t) => {
+    t.throws(
+        () => FrontMatter.parse('---\nnoindex: "yes"\n---\n', 'page.md'),
+        { message: 'page.md:2: front matter: "noindex" must be a boolean' },
+    );
+    t.throws(
+        () => FrontMatter.parse('---\napplies_to: free\n---\n', 'page.md'),
+        { message: 'page.md:2: front matter: "applies_to" must be a list of strings' },
+    );
+});
+
+test('FrontMatter.parse() - should store publish_at as an ISO string', (t) => {
+    const { fields } = FrontMatter.parse('---\npublish_at: 2026-03-01\n---\n', 'page.md');
+
+    t.deepEqual(fields, { publishAt: '2026-03-01T00:00:00.000Z' });
+    t.throws(
+        () => FrontMatter.parse('---\npublish_at: soon\n---\n', 'page.md'),
+        { message: /^page\.md:2: front matter: "publish_at" must be an ISO date/ },
+    );
+});
+
+// FRONT_MATTER_SCHEMA tests
+test('FRONT_MATTER_SCHEMA - should define type and page field for every key', (t) => {
+    Object.entries(FRONT_MATTER_SCHEMA).forEach(([key, spec]) => {
+        t.is(typeof spec.type, 'string', `${key} should have a type`);
+        t.is(typeof spec.field, 'string', `${key} should have a page field`);
+    });
+});
@@ -9,6 +9,7 @@ const {
     createGitHubSlugify,
 } = require('../build/markdown.js');
 const { getSitemap } = require('./utils');
+const { LinkChecker } = require('../build/check-links');
 
 // ============================================================================
 // SECTION 1: Markdown Link Integrity Tests
@@ -467,6 +468,13 @@ test('link integrity - all HTML links point to existing URLs and anchors', async
     t.pass(`All ${Object.keys(buildHtml).length} HTML files have valid links`);
 });
 
+test('link integrity - site-wide link checker finds no broken pages or anchors', async (t) => {
+    // Use production build artifacts for integration test (per AGENTS.md rule)
+    const broken = await new LinkChecker({ skipWrite: true }).build();
+
+    t.deepEqual(broken, []);
+});
+
 // ============================================================================
 // SECTION 3: HTML Quality Tests
 // ============================================================================
@@ -1,12 +1,12 @@
 /**
  * AVA tests for the markdown-it container plugins
- * (markdown-gallery, markdown-grid, markdown-partner-link)
+ * (markdown-gallery, markdown-grid, markdown-partner-link, markdown-callout, markdown-tabs, markdown-only)
  */
 
 const test = require('ava');
-const { createMarkdownInstance } = require('../build/markdown');
+const { createMarkdownInstance, extractAnchorMap, registerContainer } = require('../build/markdown');
 
-function createMd() {
+function createMd(options = {}) {
     return createMarkdownInstance({
         sitemap: {
             sitemap: ['/'],
@@ -21,6 +21,7 @@ function createMd() {
             url2md: { '/': 'index.md' },
         },
         imageMapping: {},
+        ...options,
     });
 }
 
@@ -63,6 +64,80 @@ test('markdown-grid plugin - should render a 2-column grid of bordered cards', (
     t.is((html.match(/markdown-grid__item/g) || []).length, 2);
 });
 
+test('markdown-grid plugin - should render card titles and bodies as markdown', (t) => {
+    // Arrange
+    const md = createMd();
+    const src = [
+        '::: grid 3',
+        '![Плёнка](film.svg)',
+        '[На главную](../index.md)',
+        'Защита от **сколов**:',
+        '- капот',
+        '- бампер',
+        '',
+        'Оклейка `PPF`',
+        'Текст.',
+        ':::',
+    ].join('\n');
+
+    // Act
+    const html = md.render(src, ENV);
+
+    // Assert - a title that is a single link makes the whole card a link
+    t.true(html.includes('<div class="markdown-grid markdown-grid_columns_3">'));
+    t.true(html.includes(
+        '<div class="markdown-grid__item markdown-grid__item_link"><div class="markdown-grid__image">',
+    ));
+    t.true(html.includes('alt=Плёнка'));
+    t.true(html.includes('<a class=article__link href=/>На главную</a>'));
+    t.true(html.includes('Защита от <strong>сколов</strong>:</p><ul class=article__list>'));
+    t.true(html.includes('markdown-grid__title">Оклейка <code'));
+    t.is((html.match(/markdown-grid__item"/g) || []).length, 1);
+});
+
+test('markdown-grid plugin - should keep blank lines of fenced code and nested containers in the card', (t) => {
+    // Arrange
+    const md = createMd();
+    const src = [
+        '::: grid',
+        'Титул',
+        '```',
+        'a',
+        '',
+        'b',
+        '```',
+        '',
+        'Условие',
+        '::: only free',
+        'Первый абзац.',
+        '',
+        'Второй абзац.',
+        ':::',
+        ':::',
+    ].join('\n');
+
+    // Act
+    const html = md.render(src, ENV);
+
+    // Assert
+    t.is((html.match(/markdown-grid__item"/g) || []).length, 2);
+    t.true(html.includes('markdown-grid__title">Титул</div>'));
+    t.true(html.includes('<code>a\n\nb\n</code>'));
+    t.true(html.includes('markdown-grid__title">Условие</div>'));
+    t.regex(html, /<div class=markdown-only[^>]*>.*Первый абзац\.<\/p><p[^>]*>Второй абзац\.<\/p><\/div>/s);
+});
+
+test('markdown-grid plugin - should validate card links and the number of columns', (t) => {
+    const md = createMd();
+
+    t.throws(() => md.render('::: grid\n[Нет](../missing.md)\nТекст.\n:::', ENV), {
+        message: /^Unknown relative link/,
+    });
+    t.throws(() => md.render('::: grid 5\nЗаголовок\n:::', ENV), {
+        message: '::: grid 5: columns must be a number from 1 to 4',
+    });
+});
+
 test('markdown-partner-link plugin - should render a centered partner link', (t) => {
     const md = createMd();
     const src = [
@@ -77,3 +152,242 @@ test('markdown-partner-link plugin - should render a centered partner link', (t)
     t.true(html.includes('href="https://okleika.lovto.ru/'));
     t.true(html.includes('Перейти на сайт партнера'));
 });
+
+test('markdown-partner-link plugin - should add placement UTM parameters on the partner page', (t) => {
+    // Arrange
+    const md = createMarkdownInstance({
+        sitemap: { sitemap: ['/'], pages: {}, md2url: {}, url2md: {} },
+        imageMapping: {},
+        partnerLinks: { '/partners/lovto': { utm_source: 'voyahchat.ru', utm_campaign: 'lovto' } },
+    });
+    const src = [
+        '::: partner-link',
+        'https://okleika.lovto.ru/?utm_source=voyahchat&utm_medium=knopka',
+        'Перейти на сайт партнера',
+        ':::',
+    ].join('\n');
+
+    // Act
+    const onPartnerPage = md.render(src, { ...ENV, _currentUrl: '/partners/lovto' });
+    const elsewhere = md.render(src, { ...ENV, _currentUrl: '/help' });
+
+    // Assert - parameters already in the URL are kept
+    t.true(onPartnerPage.includes(
+        'href="https://okleika.lovto.ru/?utm_source=voyahchat&utm_medium=knopka&utm_campaign=lovto"',
+    ));
+    t.false(elsewhere.includes('utm_campaign'));
+});
+
+test('markdown-callout plugin - should render kinds with default and custom titles', (t) => {
+    const md = createMd();
+    const src = [
+        '::: warning',
+        'Сначала сохраните настройки.',
+        ':::',
+        '',
+        '::: tip Совет **дня**',
+        'Текст совета.',
+        ':::',
+    ].join('\n');
+    const html = md.render(src, ENV);
+
+    t.true(html.includes('<div class="markdown-callout markdown-callout_type_warning" role=note>'));
+    t.true(html.includes('<div class=markdown-callout__title>Внимание</div>'));
+    t.true(html.includes('<div class=markdown-callout__title>Совет <strong>дня</strong></div>'));
+    t.false(html.includes(':::'));
+});
+
+test('markdown-callout plugin - should render nested markdown, links and callouts', (t) => {
+    // Arrange
+    const md = createMd();
+    const src = [
+        '::: danger',
+        '- Не выключайте [питание](../index.md)',
+        '',
+        '```',
+        ':::',
+        '```',
+        '',
+        '::: info',
+        'Вложенный блок.',
+        ':::',
+        ':::',
+        '',
+        'После блока.',
+    ].join('\n');
+
+    // Act
+    const html = md.render(src, ENV);
+
+    // Assert - the ::: inside the code block does not close the callout
+    t.true(html.includes('<ul class=article__list>'));
+    t.true(html.includes('href=/>питание</a>'));
+    t.true(html.includes('<code>:::\n</code>'));
+    t.regex(html, /markdown-callout_type_info[^]*Вложенный блок\.<\/p><\/div><\/div><p class=article__paragraph>После/);
+});
+
+test('markdown-tabs plugin - should render stacked panels with hierarchical anchors', (t) => {
+    // Arrange
+    const md = createMd();
+    const src = [
+        '## Прошивка',
+        '',
+        '::: tabs',
+        '@tab NXP 2021',
+        'Для **2021**.',
+        '',
+        '```',
+        '@tab не вкладка',
+        '```',
+        '',
+        '@tab 8155 2023',
+        'Для 2023.',
+        ':::',
+    ].join('\n');
+
+    // Act
+    const html = md.render(src, { ...ENV });
+    const anchors = extractAnchorMap(md, src, { ...ENV, _currentUrl: '/' });
+
+    // Assert - @tab inside fenced code is text
+    t.true(html.includes('<div class=markdown-tabs><div class=markdown-tabs__panel id=прошивка-nxp-2021>'));
+    t.true(html.includes('href=#прошивка-nxp-2021 class=markdown-tabs__anchor>NXP 2021</a></div>'));
+    t.true(html.includes('<code>@tab не вкладка\n</code>'));
+    t.is((html.match(/markdown-tabs__panel/g) || []).length, 2);
+    t.is(anchors.get('nxp-2021'), 'прошивка-nxp-2021');
+    t.is(anchors.get('8155-2023'), 'прошивка-8155-2023');
+});
+
+test('markdown-tabs plugin - should reject text before the first tab and duplicate labels', (t) => {
+    const md = createMd();
+
+    t.throws(() => md.render('::: tabs\nТекст\n@tab A\n:::', ENV), {
+        message: '::: tabs: "Текст" is before the first @tab',
+    });
+    t.throws(() => md.render('::: tabs\n@tab A\nраз\n\n@tab A\nдва\n:::', { ...ENV }), {
+        message: /^Duplicate tab ID in .*: "A" generates a duplicate ID "a"$/,
+    });
+});
+
+test('markdown-only plugin - should tag block and inline content with badges and add the car filter', (t) => {
+    // Arrange
+    const md = createMd({
+        applicability: { models: { free: 'Free', dreamer: 'Dreamer' }, years: [2021, 2023, 2024] },
+    });
+    const src = [
+        '# Шторка',
+        '',
+        'Откройте {only dreamer}**шторку** и{/only} меню.',
+        '',
+        '::: only free 2024+',
+        'Только для Free.',
+        ':::',
+    ].join('\n');
+
+    // Act
+    const html = md.render(src, { ...ENV });
+
+    // Assert - the filter follows the h1, all content stays in the HTML
+    t.regex(html, /<\/h1><div class=markdown-only__filter data-vocabulary="\{&quot;models&quot;.*" hidden><\/div>/);
+    t.true(html.includes('Откройте <span class="markdown-only markdown-only_inline" data-models=dreamer>'
+        + '<span class=markdown-only__badge>Dreamer</span> <strong>шторку</strong> и</span> меню.'));
+    t.true(html.includes('<div class=markdown-only data-models=free data-years=2024->'
+        + '<span class=markdown-only__badge>Free · 2024+</span>'
+        + '<p class=article__paragraph>Только для Free.</p></div>'));
+});
+
+test('markdown-only plugin - should space conditional spans without touching other spans', (t) => {
+    // Arrange
+    const src = 'Вода H<span>2</span>O и {only free}жидкость <span>x</span>y{/only} всё.';
+
+    // Act
+    const html = createMd().render(src, { ...ENV });
+
+    // Assert
+    t.true(html.includes('Вода H<span>2</span>O и <span class="markdown-only markdown-only_inline" data-models=free>'
+        + '<span class=markdown-only__badge>free</span> жидкость<span>x</span>y</span> всё.'));
+});
+
+test('markdown-only plugin - should reject conditions outside the vocabulary', (t) => {
+    const md = createMd({ applicability: { models: { free: 'Free' }, years: [2024] } });
+
+    t.throws(() => md.render('::: only free 2021\nТекст\n:::', { ...ENV }), {
+        message: '::: only free 2021: unknown year 2021 (known: 2024)',
+    });
+    t.throws(() => md.render('Текст {only lada}для Lada{/only}', { ...ENV }), {
+        message: '{only lada}: unknown model "lada" (known: free)',
+    });
+});
+
+test('markdown-only plugin - should skip the filter without a vocabulary and keep unclosed tags as text', (t) => {
+    const html = createMd().render('Текст {only free}x{/only} и {only dreamer}y', { ...ENV });
+
+    t.false(html.includes('markdown-only__filter'));
+    t.true(html.includes('<span class=markdown-only__badge>free</span> x</span> и {only dreamer}y'));
+});
+
+// Container framework tests
+test('registerContainer() - should keep ::: lines inside fenced code literal', (t) => {
+    const md = createMd();
+    const src = [
+        '```markdown',
+        '::: grid',
+        'Заголовок',
+        ':::',
+        '```',
+    ].join('\n');
+    const html = md.render(src, ENV);
+
+    t.false(html.includes('markdown-grid'));
+    t.true(html.includes('::: grid\nЗаголовок\n:::'));
+});
+
+test('registerContainer() - should nest raw containers in markdown containers with line maps', (t) => {
+    // Arrange
+    const md = createMd();
+    const src = [
+        'Вступление.',
+        '',
+        '::: tip',
+        '::: partner-link',
+        'https://example.com/',
+        'Перейти',
+        ':::',
+        ':::',
+    ].join('\n');
+
+    // Act
+    const tokens = md.parse(src, ENV);
+    const html = md.renderer.render(tokens, md.options, ENV);
+
+    // Assert
+    const open = tokens.find((token) => token.type === 'container_open');
+    const link = tokens.find((token) => token.type === 'container');
+    t.deepEqual([open.info, open.map], ['tip', [2, 8]]);
+    t.deepEqual([link.info, link.map, link.content], ['partner-link', [3, 7], 'https://example.com/\nПерейти']);
+    t.true(html.includes(
+        'markdown-callout__title>Совет</div><a class="markdown-partner-link" href="https://example.com/">',
+    ));
+});
+
+test('registerContainer() - should render custom containers and reject duplicate names', (t) => {
+    // Arrange
+    const md = createMd();
+    registerContainer(md, 'note-box', {
+        render: (token) => `<aside data-params="${token.meta.params}">${token.content}</aside>`,
+    });
+
+    // Act
+    const html = md.render('::: note-box a b\nтекст\n:::', ENV);
+
+    // Assert
+    t.is(html, '<aside data-params="a b">текст</aside>');
+    t.throws(
+        () => registerContainer(md, 'grid', { render: () => '' }),
+        { message: 'Container "grid" is already registered' },
+    );
+    t.throws(
+        () => registerContainer(md, 'box', { markdown: true }),
+        { message: 'Container "box" needs a renderer: open()' },
+    );
+});
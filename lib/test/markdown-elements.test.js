@@ -4,7 +4,7 @@
  */
 
 const test = require('ava');
-const { createMarkdownInstance } = require('../build/markdown');
+const { createMarkdownInstance, extractAnchorMap } = require('../build/markdown');
 
 test.beforeEach(() => {
     // Reset module caches
@@ -63,6 +63,42 @@ test('markdown renderer - handles custom anchor syntax', (t) => {
     t.true(html.includes('<a href=#custom-anchor class=article__heading-anchor>Заголовок</a>'));
 });
 
+test('markdown renderer - collects headings for the table of contents', (t) => {
+    // Arrange
+    const md = createMarkdownInstance();
+    const env = {};
+    const markdown = `# Заголовок
+
+## Шаг \`adb\` **первый**
+
+### Детали {#details}`;
+
+    // Act
+    md.render(markdown, env);
+
+    // Assert
+    t.deepEqual(env._headings, [
+        { level: 1, text: 'Заголовок', anchor: 'заголовок' },
+        { level: 2, text: 'Шаг adb первый', anchor: 'заголовок-шаг-adb-первый' },
+        { level: 3, text: 'Детали', anchor: 'details' },
+    ]);
+});
+
+test('markdown renderer - extracts the same anchor map as rendering', (t) => {
+    // Arrange
+    const md = createMarkdownInstance();
+    const markdown = '# Заголовок\n\n## Шаг\n\n## Шаг {#step-2}\n\n### Детали';
+    const env = { _currentUrl: '/page' };
+
+    // Act
+    const anchors = extractAnchorMap(md, markdown, { _currentUrl: '/page' });
+    md.render(markdown, env);
+
+    // Assert
+    t.deepEqual([...anchors], [...env._processingState.anchorMap.get('/page')]);
+    t.is(anchors.get('шаг-1'), 'step-2');
+});
+
 test('markdown renderer - handles Cyrillic anchor links', (t) => {
     const md = createMarkdownInstance();
 
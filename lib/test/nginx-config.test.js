@@ -10,6 +10,8 @@ const test = require('ava');
 const nunjucks = require('nunjucks');
 const { Dir } = require('../utils/dir');
 const { TestDir } = require('./test-dir');
+const { NginxBuilder } = require('../build/build-nginx');
+const { Analytics } = require('../build/analytics');
 
 /**
  * Helper to create test sitemap data
@@ -194,6 +196,17 @@ test('nginx config() - has error page directive', async (t) => {
     t.true(config.includes('error_page 404 /404.html;'));
 });
 
+test('nginx config() - serves generated error pages', async (t) => {
+    const dir = new TestDir();
+    const testDir = dir.getRoot();
+    const config = generateNginxConfig(testDir);
+
+    t.true(config.includes('error_page 500 502 504 /500.html;'));
+    t.true(config.includes('error_page 503 /503.html;'));
+    t.true(config.includes('location ~ ^/(404|500|503)\\.html$ {'));
+    t.true(config.includes('set $target_file "html/$1.html";'));
+});
+
 // ============================================================================
 // Compression Logic Tests
 // ============================================================================
@@ -433,3 +446,66 @@ test('nginx config() - can be written to file', async (t) => {
     t.is(writtenConfig, config);
     t.true(writtenConfig.length > 0);
 });
+
+test('nginx config() - emits exact-match permanent redirects', (t) => {
+    const env = nunjucks.configure(path.join(Dir.getRoot(), 'config'), {
+        autoescape: false,
+        trimBlocks: true,
+        lstripBlocks: true,
+    });
+    const template = fs.readFileSync(path.join(Dir.getRoot(), 'config', 'config-nginx.njk'), 'utf8');
+
+    const config = env.renderString(template, {
+        ROOT: '/tmp',
+        REDIRECTS: [{ from: '/free/choice', to: '/free/models' }],
+    });
+
+    t.true(config.includes('location = /free/choice {\n            return 301 /free/models;\n        }'));
+});
+
+test('NginxBuilder.loadRedirects() - reads .build/redirects.json when present', (t) => {
+    const dir = new TestDir();
+    const builder = new NginxBuilder({}, dir);
+
+    t.deepEqual(builder.loadRedirects(), []);
+
+    fs.mkdirSync(dir.getBuild(), { recursive: true });
+    fs.writeFileSync(path.join(dir.getBuild(), 'redirects.json'), JSON.stringify([{ from: '/a', to: '/b' }]));
+
+    t.deepEqual(builder.loadRedirects(), [{ from: '/a', to: '/b' }]);
+});
+
+test('NginxBuilder.renderTemplate() - reads the template of the configured config directory', (t) => {
+    // Arrange
+    const dir = new TestDir();
+    fs.copyFileSync(path.join(Dir.getRoot(), 'config', 'site.json'), path.join(dir.getConfig(), 'site.json'));
+    fs.writeFileSync(path.join(dir.getConfig(), 'config-nginx.njk'), 'staging {{ LOG_PREFIX }}');
+    const builder = new NginxBuilder({}, dir);
+
+    // Act
+    const config = builder.renderTemplate(builder.configureNunjucks());
+
+    // Assert
+    t.is(config, 'staging voyahchat');
+});
+
+test('NginxBuilder.buildCsp() - allows the analytics snippet by hash, never unsafe-inline', (t) => {
+    // Arrange
+    const analytics = Analytics.resolve(Analytics.load(path.join(Dir.getRoot(), 'config', 'site.json')), 'production');
+
+    // Act
+    const production = new NginxBuilder({ environment: 'production' }).buildCsp();
+    const development = new NginxBuilder({ environment: 'development' }).buildCsp();
+
+    // Assert
+    t.true(production.includes(Analytics.hash(Analytics.snippet(analytics))));
+    t.false(production.includes('unsafe-inline'));
+    t.is(development, 'script-src \'self\'; object-src \'none\'; base-uri \'self\'');
+});
+
+test('nginx config() - sends Content-Security-Policy with HTML and error pages', (t) => {
+    const builder = new NginxBuilder({ environment: 'production', skipWrite: true });
+    const config = builder.renderTemplate(builder.configureNunjucks());
+
+    t.is((config.match(/add_header Content-Security-Policy "script-src 'self' 'sha256-/g) || []).length, 2);
+});
@@ -0,0 +1,272 @@
+/**
+ * AVA tests for config/partners.yml loading and aside data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { Partners } = require('../build/partners');
+const { TestDir } = require('./test-dir');
+
+/**
+ * Minimal valid placement for normalize() input
+ */
+function rawPlacement(overrides = {}) {
+    return {
+        id: 'acme',
+        name: 'Acme',
+        page: '/partners/acme',
+        text: { mobile: { title: 'Acme' } },
+        ...overrides,
+    };
+}
+
+/**
+ * Write partners.yml into an isolated directory
+ */
+function writeConfig(content) {
+    const dir = new TestDir();
+    const filePath = path.join(dir.getRoot(), 'partners.yml');
+    fs.writeFileSync(filePath, content);
+
+    return filePath;
+}
+
+// Partners.load() tests
+test('Partners.load() - should return empty sections when the file is missing', (t) => {
+    const filePath = path.join(new TestDir().getRoot(), 'partners.yml');
+
+    t.deepEqual(Partners.load(filePath), { services: null, partners: null });
+});
+
+test('Partners.load() - should report YAML errors with file line', (t) => {
+    const filePath = writeConfig('services:\n  title: [Услуги\n');
+
+    t.throws(() => Partners.load(filePath), { message: /^partners\.yml:\d+: / });
+});
+
+test('Partners.load() - should report invalid entries with file and placement', (t) => {
+    // Arrange
+    const filePath = writeConfig([
+        'partners:',
+        '  title: Партнёры',
+        '  url: /partners',
+        '  placements:',
+        '    - id: acme',
+        '      name: Acme',
+        '      text: { mobile: { title: Acme } }',
+    ].join('\n'));
+
+    // Act & Assert
+    t.throws(
+        () => Partners.load(filePath),
+        { message: 'partners.yml: placements[0] (acme).page must be a site path starting with /' },
+    );
+});
+
+test('Partners.load() - should accept project config/partners.yml', (t) => {
+    // Arrange
+    const filePath = path.join(__dirname, '..', '..', 'config', 'partners.yml');
+
+    // Act
+    const config = Partners.load(filePath);
+
+    // Assert
+    t.true(config.services.links.length > 0);
+    t.true(config.partners.placements.length > 0);
+    config.partners.placements.forEach((placement) => {
+        t.truthy(placement.text.desktop.title);
+    });
+});
+
+// Partners.normalize() tests
+test('Partners.normalize() - should fill missing text variants from the previous one', (t) => {
+    // Arrange
+    const data = {
+        partners: {
+            title: 'Партнёры',
+            url: '/partners',
+            placements: [rawPlacement({
+                text: { mobile: { title: 'Коротко' }, desktop: { title: 'Длинно', note: 'Примечание' } },
+            })],
+        },
+    };
+
+    // Act
+    const [placement] = Partners.normalize(data).partners.placements;
+
+    // Assert
+    t.deepEqual(placement.text.tablet, { title: 'Коротко', sub: null, note: null });
+    t.deepEqual(placement.text.desktop, { title: 'Длинно', sub: null, note: 'Примечание' });
+    t.deepEqual(placement.images, { tablet: null, desktop: null });
+    t.is(placement.video, null);
+});
+
+test('Partners.normalize() - should reject duplicate placement ids', (t) => {
+    const data = {
+        partners: { title: 'Партнёры', url: '/partners', placements: [rawPlacement(), rawPlacement()] },
+    };
+
+    t.throws(() => Partners.normalize(data), { message: 'duplicate placement id "acme"' });
+});
+
+test('Partners.normalize() - should reject malformed dates and ids', (t) => {
+    const placements = (placement) => ({
+        partners: { title: 'Партнёры', url: '/partners', placements: [placement] },
+    });
+
+    t.throws(
+        () => Partners.normalize(placements(rawPlacement({ from: 'soon' }))),
+        { message: /^placements\[0\] \(acme\)\.from must be an ISO date/ },
+    );
+    t.throws(
+        () => Partners.normalize(placements(rawPlacement({ id: 'Acme Inc' }))),
+        { message: /^placements\[0\]\.id must match/ },
+    );
+});
+
+test('Partners.normalize() - should reject unknown top-level keys', (t) => {
+    t.throws(() => Partners.normalize({ sponsors: [] }), { message: 'unknown top-level key "sponsors"' });
+});
+
+// Partners.isActive() tests
+test('Partners.isActive() - should show placements from "from" until "until" (exclusive)', (t) => {
+    const placement = { from: '2026-01-01', until: '2026-02-01' };
+
+    t.false(Partners.isActive(placement, new Date('2025-12-31T23:59:00Z')));
+    t.true(Partners.isActive(placement, new Date('2026-01-01T00:00:00Z')));
+    t.true(Partners.isActive(placement, new Date('2026-01-31T12:00:00Z')));
+    t.false(Partners.isActive(placement, new Date('2026-02-01T00:00:00Z')));
+    t.true(Partners.isActive({ from: null, until: null }, new Date()));
+});
+
+// Partners.buildAside() tests
+test('Partners.buildAside() - should resolve video and images of active placements', (t) => {
+    // Arrange
+    const config = Partners.normalize({
+        partners: {
+            title: 'Партнёры',
+            url: '/partners',
+            placements: [
+                rawPlacement({
+                    video: 'acme.mp4',
+                    images: { tablet: 'acme-tablet.jpg', desktop: 'missing.jpg' },
+                }),
+                rawPlacement({ id: 'old', until: '2020-01-01' }),
+            ],
+        },
+    });
+
+    // Act
+    const aside = Partners.buildAside(config, {
+        imageMapping: { 'partners/acme-tablet.jpg': '_iabc' },
+        videoHash: { 'acme.mp4': '_v123.mp4' },
+        now: new Date('2026-06-01T00:00:00Z'),
+    });
+
+    // Assert - expired placements are left out, unknown images are skipped
+    t.is(aside.services, null);
+    t.deepEqual(aside.partners.placements.map(({ id }) => id), ['acme']);
+    t.is(aside.partners.placements[0].video, '/_v123.mp4');
+    t.deepEqual(aside.partners.placements[0].images, { tablet: '/_iabc', desktop: null });
+    t.is(aside.partners.placements[0].style, '--partner-image-tablet:url(/_iabc)');
+});
+
+test('Partners.buildAside() - should drop the partners section without active placements', (t) => {
+    const config = Partners.normalize({
+        partners: { title: 'Партнёры', url: '/partners', placements: [rawPlacement({ from: '2030-01-01' })] },
+    });
+
+    t.is(Partners.buildAside(config, { now: new Date('2026-06-01T00:00:00Z') }).partners, null);
+});
+
+test('Partners.buildAside() - should keep placements limited to other sections out', (t) => {
+    // Arrange
+    const config = Partners.normalize({
+        partners: {
+            title: 'Партнёры',
+            url: '/partners',
+            placements: [rawPlacement(), rawPlacement({ id: 'free-only', sections: ['free'] })],
+        },
+    });
+
+    // Act
+    const help = Partners.buildAside(config, { section: 'help' });
+    const free = Partners.buildAside(config, { section: 'free' });
+
+    // Assert
+    t.deepEqual(help.partners.rotation, [{ id: 'acme', from: null, until: null }]);
+    t.deepEqual(free.partners.placements.map(({ id }) => id), ['acme', 'free-only']);
+});
+
+// Partners.buildPartnerLinks() tests
+test('Partners.buildPartnerLinks() - should merge default and placement UTM parameters', (t) => {
+    // Arrange
+    const config = Partners.normalize({
+        partners: {
+            title: 'Партнёры',
+            url: '/partners',
+            utm: { source: 'voyahchat.ru', medium: 'partner_page' },
+            placements: [rawPlacement({ utm: { medium: 'button', content: 'aside' } })],
+        },
+    });
+
+    // Act
+    const links = Partners.buildPartnerLinks(config);
+
+    // Assert - campaign defaults to the placement id
+    t.deepEqual(links, {
+        '/partners/acme': {
+            utm_source: 'voyahchat.ru',
+            utm_medium: 'button',
+            utm_campaign: 'acme',
+            utm_content: 'aside',
+        },
+    });
+});
+
+test('Partners.buildPartnerLinks() - should skip placements without a UTM source', (t) => {
+    const config = Partners.normalize({
+        partners: { title: 'Партнёры', url: '/partners', placements: [rawPlacement()] },
+    });
+
+    t.deepEqual(Partners.buildPartnerLinks(config), {});
+});
+
+test('Partners.normalize() - should reject unknown UTM parameters', (t) => {
+    const data = {
+        partners: { title: 'Партнёры', url: '/partners', utm: { id: 'x' }, placements: [] },
+    };
+
+    t.throws(() => Partners.normalize(data), { message: /^partners\.utm\.id is not one of source, medium/ });
+});
+
+// Partners.buildReport() tests
+test('Partners.buildReport() - should list sections, page counts and rotation shares', (t) => {
+    // Arrange
+    const config = Partners.normalize({
+        partners: {
+            title: 'Партнёры',
+            url: '/partners',
+            placements: [
+                rawPlacement(),
+                rawPlacement({ id: 'free-only', sections: ['free'] }),
+                rawPlacement({ id: 'later', from: '2030-01-01' }),
+            ],
+        },
+    });
+    const pages = [{ section: 'free' }, { section: 'free' }, { section: 'help' }, {}];
+
+    // Act
+    const report = Partners.buildReport(config, pages, new Date('2026-06-01T00:00:00Z'));
+
+    // Assert
+    t.deepEqual(report.placements.acme.sections, {
+        free: { pages: 2, share: 0.5 },
+        help: { pages: 1, share: 1 },
+        root: { pages: 1, share: 1 },
+    });
+    t.deepEqual(report.placements['free-only'].sections, { free: { pages: 2, share: 0.5 } });
+    t.false(report.placements.later.active);
+    t.deepEqual(report.placements.later.sections, {});
+});
@@ -0,0 +1,79 @@
+/**
+ * AVA tests for the persistent render cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { TestDir } = require('./test-dir');
+const { RenderCache } = require('../build/render-cache');
+
+/**
+ * Helper to create a cache entry
+ */
+function createEntry(extra = {}) {
+    return {
+        contentHash: 'content',
+        contextHash: 'context',
+        html: '<p>Cached</p>',
+        headings: [],
+        anchors: [['install', 'setup-install']],
+        dependencies: {},
+        ...extra,
+    };
+}
+
+// RenderCache.lookup() tests
+test('RenderCache.lookup() - should match content and context hashes', (t) => {
+    const cache = new RenderCache('render.json');
+    cache.set('/', createEntry());
+
+    t.truthy(cache.lookup('/', 'content', 'context'));
+    t.is(cache.lookup('/', 'changed', 'context'), null);
+    t.is(cache.lookup('/', 'content', 'changed'), null);
+    t.is(cache.lookup('/missing', 'content', 'context'), null);
+});
+
+// RenderCache.isFresh() tests
+test('RenderCache.isFresh() - should compare anchors of linked pages', (t) => {
+    const setupAnchors = new Map([['install', 'setup-install']]);
+    const entry = createEntry({
+        dependencies: { '/setup': RenderCache.hashAnchors(setupAnchors) },
+    });
+
+    t.true(RenderCache.isFresh(entry, new Map([['/setup', new Map(setupAnchors)]])));
+    t.false(RenderCache.isFresh(entry, new Map([['/setup', new Map([['other', 'setup-other']])]])));
+    t.false(RenderCache.isFresh(entry, new Map()));
+});
+
+// RenderCache.load() tests
+test('RenderCache.load() - should start empty on a corrupt file', (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const filePath = path.join(dir.getCache(), 'render.json');
+    fs.writeFileSync(filePath, '{ not json', 'utf8');
+
+    // Act
+    const cache = new RenderCache(filePath).load();
+
+    // Assert
+    t.deepEqual(cache.entries, {});
+});
+
+// RenderCache.save() tests
+test('RenderCache.save() - should drop entries of removed pages', (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const filePath = path.join(dir.getCache(), 'render.json');
+    const cache = new RenderCache(filePath);
+    cache.set('/', createEntry());
+    cache.set('/removed', createEntry());
+
+    // Act
+    cache.save(['/']);
+    const loaded = new RenderCache(filePath).load();
+
+    // Assert
+    t.deepEqual(Object.keys(loaded.entries), ['/']);
+    t.deepEqual(loaded.lookup('/', 'content', 'context'), createEntry());
+});
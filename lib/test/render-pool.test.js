@@ -0,0 +1,51 @@
+/**
+ * AVA tests for the worker thread render pool
+ */
+
+const path = require('path');
+const test = require('ava');
+const { TestDir } = require('./test-dir');
+const { RenderPool } = require('../build/render-pool');
+const { createTestContent } = require('./utils');
+
+/**
+ * Helper to create data shared with every worker
+ */
+function createShared(dir) {
+    return {
+        sitemap: { sitemap: [], pages: {}, md2url: {}, md2urls: {}, url2md: {}, unpublished: new Set() },
+        anchorMaps: new Map(),
+        imageMapping: {},
+        root: dir.getRoot(),
+    };
+}
+
+// RenderPool.defaultSize() tests
+test('RenderPool.defaultSize() - should use at least one worker', (t) => {
+    t.true(RenderPool.defaultSize() >= 1);
+});
+
+// RenderPool.render() tests
+test('RenderPool.render() - should return results by URL', async (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const files = await createTestContent(dir, {
+        'a.md': '# A\n\n## Part',
+        'b.md': '# B',
+    });
+    const jobs = [
+        { url: '/a', filePath: files['a.md'] },
+        { url: '/b', filePath: files['b.md'] },
+        { url: '/missing', filePath: path.join(dir.getContent(), 'missing.md') },
+    ];
+
+    // Act
+    const results = await new RenderPool(2).render(jobs, createShared(dir));
+
+    // Assert
+    t.deepEqual([...results.keys()].sort(), ['/a', '/b', '/missing']);
+    t.true(results.get('/a').html.includes('id=a-part'));
+    t.deepEqual(results.get('/a').headings.map((heading) => heading.anchor), ['a', 'a-part']);
+    t.deepEqual(results.get('/b').dependencies, []);
+    t.regex(results.get('/missing').error, /ENOENT/);
+});
@@ -0,0 +1,118 @@
+/**
+ * AVA tests for config/site.json loading
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { SiteConfig } = require('../build/site-config');
+const { TestDir } = require('./test-dir');
+
+/**
+ * Valid settings for validate() input
+ */
+function site(overrides = {}) {
+    return {
+        baseUrl: 'https://staging.example.org',
+        rootTitle: 'Staging',
+        contentRepo: 'staging-content',
+        assetRepos: ['staging-install'],
+        githubRawBase: 'https://github.com/example',
+        bundles: ['page'],
+        logPrefix: 'staging',
+        ...overrides,
+    };
+}
+
+// SiteConfig.load() tests
+test('SiteConfig.load() - should accept project config/site.json', (t) => {
+    // Arrange
+    const filePath = path.join(__dirname, '..', '..', 'config', 'site.json');
+
+    // Act
+    const config = SiteConfig.load(filePath);
+
+    // Assert
+    t.is(config.baseUrl, 'https://voyahchat.ru');
+    t.is(config.contentRepo, 'voyahchat-content');
+    t.deepEqual(config.bundles, ['page', 'page-index']);
+    t.deepEqual(config.community, { url: 'https://t.me/voyahchat', label: 'voyahchat' });
+});
+
+test('SiteConfig.load() - should read site.json of another config directory', (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const filePath = path.join(dir.getConfig(), 'site.json');
+    fs.writeFileSync(filePath, JSON.stringify(site()));
+
+    // Act
+    const config = SiteConfig.load(filePath);
+
+    // Assert
+    t.is(config.baseUrl, 'https://staging.example.org');
+    t.is(config.logPrefix, 'staging');
+});
+
+test('SiteConfig.load() - should report missing and invalid files with the file name', (t) => {
+    // Arrange
+    const dir = new TestDir();
+    const filePath = path.join(dir.getConfig(), 'site.json');
+
+    // Act & Assert
+    t.throws(() => SiteConfig.load(filePath), { message: /^site\.json: not found in / });
+
+    fs.writeFileSync(filePath, JSON.stringify(site({ baseUrl: 'https://staging.example.org/' })));
+    t.throws(
+        () => SiteConfig.load(filePath),
+        { message: 'site.json: baseUrl must be an http(s) URL without a trailing slash' },
+    );
+});
+
+// SiteConfig.validate() tests
+test('SiteConfig.validate() - should reject malformed repositories and bundles', (t) => {
+    t.throws(() => SiteConfig.validate(site({ contentRepo: '../content' })), { message: /^contentRepo / });
+    t.throws(() => SiteConfig.validate(site({ assetRepos: 'install' })), { message: /^assetRepos / });
+    t.throws(() => SiteConfig.validate(site({ bundles: [] })), { message: /^bundles / });
+    t.throws(() => SiteConfig.validate(site({ githubRawBase: 'github.com' })), { message: /^githubRawBase / });
+    t.notThrows(() => SiteConfig.validate(site({ githubRawBase: null })));
+});
+
+test('SiteConfig.validate() - should default models to none and reject names that are not section slugs', (t) => {
+    t.deepEqual(SiteConfig.validate(site()).models, []);
+    t.deepEqual(SiteConfig.validate(site({ models: ['free', 'dreamer'] })).models, ['free', 'dreamer']);
+    t.throws(() => SiteConfig.validate(site({ models: 'free' })), { message: /^models / });
+    t.throws(() => SiteConfig.validate(site({ models: ['/free'] })), { message: /^models / });
+});
+
+test('SiteConfig.validate() - should default community to none and require a URL and a label', (t) => {
+    const community = { url: 'https://t.me/staging', label: 'staging' };
+
+    t.is(SiteConfig.validate(site()).community, null);
+    t.deepEqual(SiteConfig.validate(site({ community })).community, community);
+    t.throws(() => SiteConfig.validate(site({ community: 'https://t.me/staging' })), { message: /^community / });
+    t.throws(() => SiteConfig.validate(site({ community: { url: 't.me/staging', label: 'staging' } })), {
+        message: /^community /,
+    });
+    t.throws(() => SiteConfig.validate(site({ community: { url: community.url, label: ' ' } })), {
+        message: /^community /,
+    });
+});
+
+// SiteConfig.assetLinkRegex() tests
+test('SiteConfig.assetLinkRegex() - should match raw links to asset repositories only', (t) => {
+    // Arrange
+    const regex = SiteConfig.assetLinkRegex(site({ assetRepos: ['staging-install', 'staging-docs'] }));
+    const text = 'https://github.com/example/staging-docs/raw/refs/heads/main/manual.pdf '
+        + 'https://github.com/example/other/raw/refs/heads/main/file.zip';
+
+    // Act
+    const matches = [...text.matchAll(regex)].map((match) => [match[1], match[2]]);
+
+    // Assert
+    t.deepEqual(matches, [['staging-docs', 'manual.pdf']]);
+});
+
+test('SiteConfig.assetLinkRegex() - should return null without githubRawBase or asset repositories', (t) => {
+    t.is(SiteConfig.assetLinkRegex(site({ githubRawBase: null })), null);
+    t.is(SiteConfig.assetLinkRegex(site({ assetRepos: [] })), null);
+});
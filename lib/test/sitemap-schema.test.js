@@ -0,0 +1,231 @@
+/**
+ * AVA tests for sitemap.yml schema validation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+const { SitemapSchema, PAGE_OPTIONS } = require('../build/sitemap-schema');
+
+// SitemapSchema.parseShorthand() tests
+test('SitemapSchema.parseShorthand() - should parse title, url and file', (t) => {
+    const result = SitemapSchema.parseShorthand('Home [/, index.md]');
+
+    t.deepEqual(result, { title: 'Home', url: '/', file: 'index.md', options: {} });
+});
+
+test('SitemapSchema.parseShorthand() - should parse inline options as YAML', (t) => {
+    const result = SitemapSchema.parseShorthand('Link [/a, a.md, { navLabel: \'Метка\', hidden: true }]');
+
+    t.deepEqual(result.options, { navLabel: 'Метка', hidden: true });
+});
+
+test('SitemapSchema.parseShorthand() - should return null for non-shorthand text', (t) => {
+    t.is(SitemapSchema.parseShorthand('Just a title'), null);
+});
+
+test('SitemapSchema.parseShorthand() - should throw on broken inline options', (t) => {
+    t.throws(
+        () => SitemapSchema.parseShorthand('Bad [/a, a.md, { layout: [ }]'),
+        { message: /invalid inline options/ },
+    );
+});
+
+// SitemapSchema.parse() tests
+test('SitemapSchema.parse() - should normalize all entry forms', (t) => {
+    // Arrange
+    const content = [
+        'sitemap:',
+        '  - Home [/, index.md]:',
+        '      layout: blocks/page-index/page-index.njk',
+        '  - Docs [/docs, docs/index.md]:',
+        '    - Guide [guide, docs/guide.md]',
+        '    - \'Link [/about, about.md, { navLabel: "О нас" }]\'',
+        '  - About [/about, about.md]:',
+        '      description: About us',
+        '      children:',
+        '        - Team [team, team.md]',
+        '  - title: Contacts',
+        '    url: /contacts',
+        '    file: contacts.md',
+        '    hidden: true',
+    ].join('\n');
+
+    // Act
+    const result = SitemapSchema.parse(content);
+
+    // Assert
+    t.deepEqual(result, [
+        { title: 'Home', url: '/', file: 'index.md', layout: 'blocks/page-index/page-index.njk' },
+        {
+            title: 'Docs',
+            url: '/docs',
+            file: 'docs/index.md',
+            children: [
+                { title: 'Guide', url: 'guide', file: 'docs/guide.md' },
+                { title: 'Link', url: '/about', file: 'about.md', navLabel: 'О нас' },
+            ],
+        },
+        {
+            title: 'About',
+            url: '/about',
+            file: 'about.md',
+            description: 'About us',
+            children: [{ title: 'Team', url: 'team', file: 'team.md' }],
+        },
+        { title: 'Contacts', url: '/contacts', file: 'contacts.md', hidden: true },
+    ]);
+});
+
+test('SitemapSchema.parse() - should be idempotent on normalized entries', (t) => {
+    const entries = SitemapSchema.parse('sitemap:\n  - Docs [/docs, docs.md]:\n    - Guide [guide, guide.md]\n');
+
+    t.deepEqual(SitemapSchema.normalize(entries), entries);
+});
+
+test('SitemapSchema.parse() - should return empty list for empty sitemap', (t) => {
+    t.deepEqual(SitemapSchema.parse(''), []);
+    t.deepEqual(SitemapSchema.parse('sitemap:\n'), []);
+});
+
+test('SitemapSchema.parse() - should report unknown option with line number', (t) => {
+    const content = 'sitemap:\n  - Home [/, index.md]\n  - Docs [/docs, docs.md]:\n      layuot: x\n';
+
+    t.throws(
+        () => SitemapSchema.parse(content, 'config/sitemap.yml'),
+        { message: /^config\/sitemap\.yml:3: unknown option "layuot" \(allowed: layout, navLabel/ },
+    );
+});
+
+test('SitemapSchema.parse() - should report wrong option type', (t) => {
+    const content = 'sitemap:\n  - \'Docs [/docs, docs.md, { hidden: "yes" }]\'\n';
+
+    t.throws(
+        () => SitemapSchema.parse(content),
+        { message: /^sitemap\.yml:2: option "hidden" must be a boolean, got string "yes"/ },
+    );
+});
+
+test('SitemapSchema.parse() - should report malformed nested entry line', (t) => {
+    const content = [
+        'sitemap:',
+        '  - Home [/, index.md]',
+        '  - Docs [/docs, docs/index.md]:',
+        '    - Guide [guide, docs/guide.md]',
+        '    - Broken [broken]',
+    ].join('\n');
+
+    t.throws(
+        () => SitemapSchema.parse(content),
+        { message: /^sitemap\.yml:5: "Broken \[broken\]" does not match "Title \[url, file\.md\]"/ },
+    );
+});
+
+test('SitemapSchema.parse() - should report the line of entries sharing a title', (t) => {
+    const content = [
+        'sitemap:',
+        '  - Page [/p, p.md]',
+        '  - Other [/o, o.md]:',
+        '      layout: blocks/page/x',
+        '  - page [/x, x]',
+    ].join('\n');
+
+    t.throws(
+        () => SitemapSchema.parse(content),
+        { message: 'sitemap.yml:5: "file" must point to a .md file, got "x"' },
+    );
+});
+
+test('SitemapSchema.parse() - should report the entry line, not an option mentioning its title', (t) => {
+    const content = [
+        'sitemap:',
+        '  - Home [/, index.md]:',
+        '      description: Guide to the site',
+        '  - \'Guide [/guide, guide.md, { hidden: 1 }]\'',
+    ].join('\n');
+
+    t.throws(
+        () => SitemapSchema.parse(content),
+        { message: 'sitemap.yml:4: option "hidden" must be a boolean, got number 1' },
+    );
+});
+
+test('SitemapSchema.parse() - should report entry without children or options', (t) => {
+    const content = 'sitemap:\n  - Docs [/docs, docs.md]:\n  - Guide [/guide, guide.md]\n';
+
+    t.throws(
+        () => SitemapSchema.parse(content),
+        { message: /^sitemap\.yml:2: "Docs \[\/docs, docs\.md\]" must be followed by a list of children/ },
+    );
+});
+
+test('SitemapSchema.parse() - should report missing explicit fields', (t) => {
+    const content = 'sitemap:\n  - title: Docs\n    url: /docs\n';
+
+    t.throws(
+        () => SitemapSchema.parse(content),
+        { message: /^sitemap\.yml:2: "file" is required/ },
+    );
+});
+
+test('SitemapSchema.parse() - should require markdown files', (t) => {
+    t.throws(
+        () => SitemapSchema.parse('sitemap:\n  - Docs [/docs, docs.html]\n'),
+        { message: /^sitemap\.yml:2: "file" must point to a \.md file, got "docs\.html"/ },
+    );
+});
+
+test('SitemapSchema.parse() - should report YAML syntax errors with line number', (t) => {
+    t.throws(
+        () => SitemapSchema.parse('sitemap:\n  - Home [/, index.md]\n  - \'Broken\n'),
+        { message: /^sitemap\.yml:\d+: / },
+    );
+});
+
+test('SitemapSchema.parse() - should require top-level sitemap key', (t) => {
+    t.throws(
+        () => SitemapSchema.parse('pages:\n  - Home [/, index.md]\n'),
+        { message: 'sitemap.yml:1: expected a top-level "sitemap:" key' },
+    );
+});
+
+test('SitemapSchema.parse() - should accept project config/sitemap.yml', (t) => {
+    // Arrange
+    const sitemapPath = path.join(__dirname, '..', '..', 'config', 'sitemap.yml');
+    const content = fs.readFileSync(sitemapPath, 'utf8');
+
+    // Act
+    const result = SitemapSchema.parse(content, 'config/sitemap.yml');
+
+    // Assert
+    t.true(result.length > 0);
+    t.is(result[0].url, '/');
+    t.is(result[0].layout, 'blocks/page-index/page-index.njk');
+});
+
+// PAGE_OPTIONS tests
+test('PAGE_OPTIONS - should document type and description for every option', (t) => {
+    Object.entries(PAGE_OPTIONS).forEach(([name, spec]) => {
+        t.is(typeof spec.type, 'string', `${name} should have a type`);
+        t.is(typeof spec.description, 'string', `${name} should have a description`);
+    });
+});
+
+test('SitemapSchema.normalize() - should accept ISO dates for publishAt', (t) => {
+    // Arrange
+    const items = [
+        { 'Later [/later, later.md]': { publishAt: new Date('2026-03-01T00:00:00Z') } },
+        { 'Time [/time, time.md]': { publishAt: '2026-03-01T09:00+03:00' } },
+    ];
+
+    // Act
+    const [later, time] = SitemapSchema.normalize(items);
+
+    // Assert - YAML dates are stored as ISO strings
+    t.is(later.publishAt, '2026-03-01T00:00:00.000Z');
+    t.is(time.publishAt, '2026-03-01T09:00+03:00');
+    t.throws(
+        () => SitemapSchema.normalize([{ 'Bad [/bad, bad.md]': { publishAt: 'next monday' } }]),
+        { message: /option "publishAt" must be an ISO date/ },
+    );
+});
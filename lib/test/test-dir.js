@@ -59,6 +59,15 @@ class TestDir {
         return this._ensureDir(path.join(this.testDir, '.build'));
     }
 
+    /**
+     * Get cache directory (.cache)
+     * Directory is created automatically
+     * @returns {string} Path to cache directory
+     */
+    getCache() {
+        return this._ensureDir(path.join(this.testDir, '.cache'));
+    }
+
     /**
      * Get site directory
      * Directory is created automatically
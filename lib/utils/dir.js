@@ -39,6 +39,14 @@ class Dir {
         return path.join(Dir.getRoot(), '.build');
     }
 
+    /**
+     * Get cache directory path (kept by `npm run clean`)
+     * @returns {string} Path to cache directory
+     */
+    static getCache() {
+        return path.join(Dir.getRoot(), '.cache');
+    }
+
     /**
      * Get site directory path
      * @returns {string} Path to site directory
@@ -47,12 +55,23 @@ class Dir {
         return path.join(Dir.getRoot(), 'site');
     }
 
+    /**
+     * Get site config directory path
+     * SITE_CONFIG_DIR (relative to the project root) switches to another site.
+     * @returns {string} Path to config directory
+     */
+    static getConfig() {
+        const configDir = process.env.SITE_CONFIG_DIR;
+
+        return configDir ? path.resolve(Dir.getRoot(), configDir) : path.join(Dir.getRoot(), 'config');
+    }
+
     /**
      * Get content directory path
      * @returns {string} Path to content directory
      */
     static getContent() {
-        const levels = require('../../config/levels.json');
+        const levels = require(path.join(Dir.getConfig(), 'levels.json'));
 
         return path.join(Dir.getRoot(), levels[0]);
     }
@@ -92,10 +111,12 @@ class Dir {
 
     /**
      * Get external content directory path
-     * @returns {string} Path to external/voyahchat-content directory
+     * @returns {string} Path to external/{contentRepo} directory (config/site.json)
      */
     static getExternalContent() {
-        return path.join(Dir.getRoot(), 'external', 'voyahchat-content');
+        const { SiteConfig } = require('../build/site-config');
+
+        return path.join(Dir.getRoot(), 'external', SiteConfig.load().contentRepo);
     }
 
     /**